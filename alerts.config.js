@@ -0,0 +1,18 @@
+module.exports = {
+  apps: [
+    {
+      name: "scanner-alerts",
+      script: "./alerts.js",
+      // Notifier channels to send to (see notifiers.js); only rule changes
+      // (firing/resolved) are sent
+      args: "pushover",
+      // Evaluate the rules every 3 hours, like the report jobs
+      cron_restart: "0 */3 * * *",
+      // Do not auto-restart if the process exits normally; only restart via cron
+      autorestart: false,
+      error_file: "./logs/alerts-error.log",
+      out_file: "./logs/alerts-out.log",
+      merge_logs: true
+    }
+  ]
+};
@@ -0,0 +1,268 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { loadBasesMapping, analyzeAndFormatLocal, rentedRoi24h, fleetRoi24h } = require('./anal_rc1');
+const { loadRecords, computeEfficiency, fleetEfficiency } = require('./efficiency');
+const { filterBuckets } = require('./scan_store');
+const { explicitWindow } = require('./windows');
+const { loadNotifierConfig, resolveChannels, notify } = require('./notifiers');
+const { EXIT_CODES } = require('./scan_analyzer');
+
+const ALERT_RULES_PATH = process.env.ALERT_RULES_PATH || "./alert_rules.json";
+const ALERT_STATE_PATH = process.env.ALERT_STATE_PATH || "./data/alert_state.json";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used when there is no alert_rules.json. Every rule may also name a single
+// `fleet`; without one it is checked for each fleet (or, for roi_below, the
+// rented fleets as a whole).
+const DEFAULT_RULES = [
+  { id: "roi-below-100", type: "roi_below", threshold: 100, consecutiveRuns: 2 },
+  { id: "efficiency-drop", type: "efficiency_drop", points: 20, windowHours: 24, baselineDays: 7 },
+  { id: "no-scans-2h", type: "no_scans", hours: 2 }
+];
+
+function loadRules(filePath = ALERT_RULES_PATH) {
+  if (!fs.existsSync(filePath)) return DEFAULT_RULES;
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rules)) throw new Error(`${filePath} must contain an array of rules.`);
+  return rules;
+}
+
+function loadAlertState(filePath = ALERT_STATE_PATH) {
+  if (!fs.existsSync(filePath)) return { alerts: {} };
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function saveAlertState(state, filePath = ALERT_STATE_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+}
+
+// Rule types that need an SDU price. Without one they are skipped and their
+// alerts left as they were; the other rules still run.
+const PRICED_RULE_TYPES = ["roi_below"];
+
+// Per-fleet scan stats over [from, to), as the efficiency report counts them.
+function efficiencyBetween(buckets, from, to) {
+  return computeEfficiency(filterBuckets(buckets, { until: to }), null, to, explicitWindow(from, to)).fleetStats;
+}
+
+function fleetNamesOf(rule, context) {
+  if (rule.fleet) return [rule.fleet];
+  const names = new Set(Object.keys(context.fleetData || {}));
+  context.buckets.forEach(bucket => names.add(bucket.fleet));
+  return [...names];
+}
+
+// Each evaluator returns the conditions that currently hold as
+// { key, message }; the key identifies one alert across runs.
+const EVALUATORS = {
+  roi_below(rule, context) {
+    const { fleetData, currentPrice } = context;
+    if (!rule.fleet) {
+      // The roi report's rented ROI, so owned fleets cannot hide losing rentals.
+      const roi = rentedRoi24h(context);
+      return roi !== null && roi < rule.threshold
+        ? [{ key: rule.id, message: `Rented fleet ROI ${roi.toFixed(0)}% is below ${rule.threshold}%` }]
+        : [];
+    }
+    const data = fleetData[rule.fleet];
+    const roi = data ? fleetRoi24h(data, currentPrice) : null;
+    return roi !== null && roi < rule.threshold
+      ? [{ key: `${rule.id}:${rule.fleet}`, message: `${rule.fleet} ROI ${roi.toFixed(0)}% is below ${rule.threshold}%` }]
+      : [];
+  },
+
+  efficiency_drop(rule, context) {
+    const { buckets, now } = context;
+    const windowStart = new Date(now.getTime() - (rule.windowHours || 24) * HOUR_MS);
+    const baselineStart = new Date(now.getTime() - (rule.baselineDays || 7) * 24 * HOUR_MS);
+    const recentStats = efficiencyBetween(buckets, windowStart, now);
+    const baselineStats = efficiencyBetween(buckets, baselineStart, windowStart);
+    const hits = [];
+    fleetNamesOf(rule, context).forEach(fleet => {
+      if (!recentStats[fleet] || !baselineStats[fleet]) return;
+      const recent = fleetEfficiency(recentStats[fleet]);
+      const baseline = fleetEfficiency(baselineStats[fleet]);
+      const drop = baseline - recent;
+      if (drop >= rule.points) {
+        hits.push({
+          key: `${rule.id}:${fleet}`,
+          message: `${fleet} efficiency ${recent.toFixed(1)}% is ${drop.toFixed(1)} points below its ` +
+            `${rule.baselineDays || 7}-day baseline (${baseline.toFixed(1)}%)`
+        });
+      }
+    });
+    return hits;
+  },
+
+  no_scans(rule, context) {
+    const { buckets, now } = context;
+    const lastSeen = {};
+    buckets.forEach(bucket => {
+      if (!(lastSeen[bucket.fleet] >= bucket.last)) lastSeen[bucket.fleet] = bucket.last;
+    });
+    const hits = [];
+    fleetNamesOf(rule, context).forEach(fleet => {
+      const silentMs = lastSeen[fleet] === undefined ? Infinity : now.getTime() - lastSeen[fleet];
+      if (silentMs >= rule.hours * HOUR_MS) {
+        const since = lastSeen[fleet] === undefined
+          ? "never seen in the log"
+          : `last scan ${(silentMs / HOUR_MS).toFixed(1)}h ago`;
+        hits.push({ key: `${rule.id}:${fleet}`, message: `No scans from ${fleet} in ${rule.hours}h (${since})` });
+      }
+    });
+    return hits;
+  }
+};
+
+// Ids of the rules that cannot be evaluated with this context.
+function skippedRules(rules, context) {
+  return context.priceError ? rules.filter(rule => PRICED_RULE_TYPES.includes(rule.type)).map(rule => rule.id) : [];
+}
+
+function evaluateRules(rules, context) {
+  const skipped = skippedRules(rules, context);
+  const results = [];
+  rules.forEach(rule => {
+    const evaluate = EVALUATORS[rule.type];
+    if (!evaluate) throw new Error(`Unknown alert rule type "${rule.type}" (rule ${rule.id}).`);
+    if (skipped.includes(rule.id)) return;
+    evaluate(rule, context).forEach(hit => {
+      results.push({ ...hit, ruleId: rule.id, consecutiveRuns: rule.consecutiveRuns || 1 });
+    });
+  });
+  return results;
+}
+
+// Advance the on-disk state by one run. An alert fires once its condition has
+// held for `consecutiveRuns` runs and resolves on the first run it no longer
+// holds; only those transitions are reported. Alerts of the `skipped` rule
+// ids (see skippedRules) are carried over unchanged.
+function updateAlertState(state, results, now = new Date(), skipped = []) {
+  const alerts = {};
+  const fired = [];
+  const resolved = [];
+
+  results.forEach(result => {
+    const previous = state.alerts[result.key] || { consecutive: 0, firing: false };
+    const entry = {
+      ruleId: result.ruleId,
+      message: result.message,
+      consecutive: previous.consecutive + 1,
+      firing: previous.firing,
+      since: previous.since || null
+    };
+    if (!entry.firing && entry.consecutive >= result.consecutiveRuns) {
+      entry.firing = true;
+      entry.since = now.toISOString();
+      fired.push(entry);
+    }
+    alerts[result.key] = entry;
+  });
+
+  Object.entries(state.alerts).forEach(([key, previous]) => {
+    if (skipped.includes(previous.ruleId)) alerts[key] = previous;
+    else if (!alerts[key] && previous.firing) resolved.push(previous);
+  });
+
+  return { state: { alerts, lastRun: now.toISOString() }, fired, resolved };
+}
+
+function formatAlertSummary(fired, resolved, state) {
+  const lines = ["Scanner Alerts:"];
+  fired.forEach(alert => lines.push(`🔴 FIRING: ${alert.message}`));
+  resolved.forEach(alert => lines.push(`✅ RESOLVED: ${alert.message}`));
+  const active = Object.values(state.alerts).filter(alert => alert.firing);
+  lines.push("");
+  lines.push(active.length === 0
+    ? "No rules firing."
+    : `${active.length} firing: ${[...new Set(active.map(alert => alert.ruleId))].join(", ")}`);
+  return lines.join("\n");
+}
+
+// The ROI results and scan buckets the rules look at. Without a price
+// (ENOPRICE) there are no ROI results and `priceError` says why, so the
+// scan-only rules still run.
+async function buildAlertContext(hours = 24, now = new Date()) {
+  const buckets = await loadRecords();
+  try {
+    const result = await analyzeAndFormatLocal(hours, loadBasesMapping(), { until: now });
+    return { ...result, buckets, now, priceError: null };
+  } catch (err) {
+    if (err.code !== "ENOPRICE") throw err;
+    return { fleetData: {}, buckets, now, priceError: err };
+  }
+}
+
+// `node alerts.js [channel...]` sends rule changes to the notifier channels
+// (names from notifiers.js, or "default" for the alerts list); without
+// channels the summary is printed.
+async function main() {
+  const channelNames = process.argv.slice(2).flatMap(arg => arg.split(",")).filter(Boolean);
+
+  try {
+    const rules = loadRules();
+    const context = await buildAlertContext();
+    const skipped = skippedRules(rules, context);
+    if (skipped.length > 0) {
+      console.error(`Skipping ${skipped.join(", ")}: ${context.priceError.message}`);
+      process.exitCode = EXIT_CODES.NO_PRICE;
+    }
+    const { state, fired, resolved } = updateAlertState(
+      loadAlertState(),
+      evaluateRules(rules, context),
+      context.now,
+      skipped
+    );
+    saveAlertState(state);
+
+    if (fired.length === 0 && resolved.length === 0) {
+      console.log("No alert changes.");
+      return;
+    }
+    const message = formatAlertSummary(fired, resolved, state);
+
+    let channels = [];
+    try {
+      channels = resolveChannels(loadNotifierConfig(), channelNames, "alerts");
+    } catch (err) {
+      console.error(`${err.message} Printing to stdout instead:`);
+    }
+    if (channels.length === 0) {
+      console.log(message);
+      return;
+    }
+    const results = await notify(channels, {
+      title: "Scanner Alerts",
+      text: message,
+      // Newly firing alerts bypass quiet hours; resolutions do not.
+      priority: fired.length > 0 ? 1 : 0
+    });
+    results.forEach(result => {
+      if (result.ok) console.log(`Alert summary sent to ${result.channel}.`);
+      else console.error(`Error sending alert summary to ${result.channel}: ${result.error}`);
+    });
+    if (results.some(result => !result.ok)) process.exitCode = EXIT_CODES.NOTIFY_FAILED;
+  } catch (err) {
+    console.error("Error evaluating alerts:", err);
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  loadRules,
+  loadAlertState,
+  saveAlertState,
+  skippedRules,
+  evaluateRules,
+  updateAlertState,
+  formatAlertSummary,
+  buildAlertContext
+};
+
+if (require.main === module) {
+  main();
+}
@@ -1,52 +1,58 @@
 require('dotenv').config();
 const fs = require('fs');
-const csv = require('csv-parser');
-const axios = require('axios');
-const { getLowestSDUPrice } = require('./sdu_price');
+const {
+  PRICE_MODES,
+  summarizeOrderBook,
+  selectPrice,
+  describePriceMode,
+  formatOrderBookLine
+} = require('./order_book');
+const { analyzeFleetActivity, formatClock, STATUS } = require('./fleet_activity');
+const { buildStints, stintEconomics, basePath, relocationLines } = require('./fleet_stints');
+const { loadRentalContracts, normalizeFleetName, contractsForFleet, isActiveDuring, rentForWindow, dailyRateAt } = require('./rentals');
+const { loadCostModel, consumedResources, fleetOperatingCosts } = require('./operating_costs');
+const { loadScanBuckets, bucketScanTimes, bucketBetween, filterBuckets } = require('./scan_store');
+const { loadPriceHistory, priceAt, PRICE_KINDS } = require('./price_history');
+const { noPriceError, getQuote, describeQuote, quoteInfo } = require('./price_providers');
+const { formatValue, renderSectionText, renderFooterText } = require('./report_format');
+const { rollingWindow } = require('./windows');
 
 const CSV_FILE_PATH = process.env.CSV_FILE_PATH || "/mnt/star_atlas/scanning/scan_stats.csv";
 const BASES_FILE_PATH = process.env.BASES_FILE_PATH || "./.bases"; // now looks in the local directory
 
 const DEBUG = process.env.DEBUG_BASES === 'true';
 
-// 1. Build rental prices mapping from .env
-function loadRentalPrices() {
-  const rentalPrices = {};
-  for (const [key, value] of Object.entries(process.env)) {
-    if (key.startsWith("RENTAL_")) {
-      const fleetName = key
-        .slice("RENTAL_".length)
-        .split('_')
-        .map(word => word.toLowerCase())
-        .join(' ');
-      rentalPrices[fleetName] = parseFloat(value);
-    }
-  }
-  return rentalPrices;
+// How SDUs are valued: "ask" (lowest single ask), "bid", "vwap" or "mid".
+// VWAP walks the asks for SDU_VWAP_UNITS units, or the window's SDU total.
+const SDU_PRICE_MODE = process.env.SDU_PRICE_MODE || PRICE_MODES.ASK;
+const SDU_VWAP_UNITS = parseInt(process.env.SDU_VWAP_UNITS, 10) || 0;
+
+// 1. Rental contracts from rentals.json (or the legacy RENTAL_* keys in .env)
+const rentalContracts = loadRentalContracts();
+
+// Daily rent in ATLAS of the fleet's current contract, or "N/A" for owned
+// fleets. USD contracts need `atlasUsd` to be converted.
+function getRentalCost(fleet, atlasUsd) {
+  return dailyRateAt(rentalContracts, fleet, new Date(), atlasUsd) ?? "N/A";
 }
-const rentalPrices = loadRentalPrices();
 
-function getRentalCost(fleet) {
-  const normalizedFleet = fleet.toLowerCase().trim();
-  return rentalPrices[normalizedFleet] ?? "N/A";
+// Rent charged to the fleet over the last 24h (prorated by analyzeAndFormatLocal),
+// falling back to the daily rate when fleetData has not been through it.
+function fleetRent24h(fleet, data) {
+  if (data.rent24h !== undefined) return data.rent24h === null ? "N/A" : data.rent24h;
+  return getRentalCost(fleet);
 }
 
-// 2. Fetch current ATLAS-to-USD conversion rate from CoinGecko
-async function getAtlasUsdPrice() {
-  try {
-    const response = await axios.get(
-      "https://api.coingecko.com/api/v3/simple/price?ids=star-atlas&vs_currencies=usd"
-    );
-    return response.data["star-atlas"]?.usd || 0.0013;
-  } catch (err) {
-    console.error("Error fetching ATLAS USD price:", err);
-    return 0.0013;
-  }
+function formatRent(rent) {
+  return rent === "N/A" ? rent : String(+rent.toFixed(2));
 }
 
-// 3. Load bases mapping from the .bases file
-function loadBasesMapping() {
-  const content = fs.readFileSync(BASES_FILE_PATH, 'utf8');
+// 2. Prices come from the provider chain in price_providers.js.
+
+// 3. Load bases mapping from the .bases file (a profile may have its own, see
+// profiles.js)
+function loadBasesMapping(filePath = BASES_FILE_PATH) {
+  const content = fs.readFileSync(filePath, 'utf8');
   const mapping = {};
   const lines = content.split('\n').filter(line => line.trim());
   lines.forEach(line => {
@@ -64,309 +70,592 @@ function loadBasesMapping() {
   return mapping;
 }
 
-// 4. Process CSV and reconcile the coordinate using the mapping
-async function processCSV(hours, basesMapping) {
-  return new Promise((resolve, reject) => {
-    const now = new Date();
-    const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
-    const last24h = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-    const fleetData = {};
-    fs.createReadStream(CSV_FILE_PATH)
-      .pipe(csv())
-      .on('data', (row) => {
-        if (!row.Timestamp || !row["Fleet Name"] || !row["SDU Count"]) return;
-        const timestamp = new Date(row.Timestamp);
-        if (isNaN(timestamp)) return;
-
-        const fleet = row["Fleet Name"].trim();
-        const sduCount = parseInt(row["SDU Count"], 10) || 0;
-
-        if (!fleetData[fleet]) {
-          fleetData[fleet] = { SDUs: 0, SDUs24h: 0, baseName: "" };
-        }
-        if (timestamp >= since) fleetData[fleet].SDUs += sduCount;
-        if (timestamp >= last24h) fleetData[fleet].SDUs24h += sduCount;
-
-        // Try to get the coordinate from either "Starbase Coordinate" or "Starbase"
-        let starbaseKey = "";
-        if (row["Starbase Coordinate"] && row["Starbase Coordinate"].trim() !== "") {
-          starbaseKey = row["Starbase Coordinate"].trim();
-        } else if (row["Starbase"] && row["Starbase"].trim() !== "") {
-          starbaseKey = row["Starbase"].trim();
-        }
-        if (starbaseKey !== "") {
-          const baseName = basesMapping[starbaseKey] || "Unknown";
-          if (DEBUG) {
-            console.log(`Row with key "${starbaseKey}" mapped to base name: "${baseName}"`);
-          }
-          fleetData[fleet].baseName = baseName;
-        }
-      })
-      .on('end', () => resolve(fleetData))
-      .on('error', reject);
-  });
+function newFleetEntry(prices) {
+  const entry = { SDUs: 0, SDUs24h: 0, scans: 0, scans24h: 0, baseName: "" };
+  if (prices) {
+    Object.assign(entry, { realizedVal: 0, realizedVal24h: 0, realizedUsd: 0, realizedUsd24h: 0 });
+  }
+  return entry;
 }
 
-// 5. Format the fleet table with a new "Base" column that shows the base name,
-// and sort the output alphabetically by base name.
-function formatFleetTable(fleetData, hours, price) {
-  if (Object.keys(fleetData).length === 0) {
-    return `⚠️ No data for the last ${hours} hours.\n`;
-  }
-  const headers = ["Fleet", "Base", "SDUs", "Val", "24h SDUs", "24h Val", "Rent", "ROI"];
-  const tableRows = [];
-  tableRows.push(headers);
-
-  // Convert fleetData to an array and sort by the baseName field alphabetically.
-  const sortedEntries = Object.entries(fleetData).sort((a, b) => {
-    const baseA = a[1].baseName || "";
-    const baseB = b[1].baseName || "";
-    return baseA.localeCompare(baseB);
+// A bucket's SDUs in ATLAS and USD with each scan priced at its own time.
+// Rollups without `detail` are priced at their first scan.
+function realizedValue(bucket, prices) {
+  const scans = bucket.detail
+    ? bucket.detail.map(([offset, SDUs]) => [bucket.hour + offset, SDUs])
+    : [[bucket.first, bucket.SDUs]];
+  let atlas = 0;
+  let usd = 0;
+  scans.forEach(([time, SDUs]) => {
+    if (!(SDUs > 0)) return;
+    const price = priceAt(prices.sduHistory, time, prices.currentPrice);
+    atlas += SDUs * price;
+    usd += SDUs * price * priceAt(prices.atlasUsdHistory, time, prices.atlasUsd);
   });
+  return { atlas, usd };
+}
+
+// When a fleet's first stint began: the window start, or the start of its
+// earliest contract running in the window if that is later.
+function stintsFrom(contracts, fleet, since, now) {
+  const starts = contractsForFleet(contracts, fleet)
+    .filter(contract => isActiveDuring(contract, since, now))
+    .map(contract => (contract.start ? contract.start.getTime() : -Infinity));
+  if (starts.length === 0) return since;
+  return new Date(Math.max(since.getTime(), Math.min(...starts)));
+}
+
+// 4. Process the scan log (via the hourly rollups in scan_store.js) and
+// reconcile the coordinate using the mapping.
+// When `prices` ({ sduHistory, atlasUsdHistory, currentPrice, atlasUsd }) is
+// given, every scan is also valued at the nearest recorded price before it
+// ("realized"), falling back to the current price.
+// Each fleet also gets an `activity` gap analysis (see fleet_activity.js) and
+// `activeMs24h`, its running time in the last 24h, and rented fleets that
+// never appear in the CSV are added with no SDUs.
+// `stints` splits the window by base (see fleet_stints.js); `baseName` is the
+// fleet's current base.
+// `options` ({ csvFile, window, until, fleets, bases, rentalContracts })
+// picks the scan log(s), sets the window (see windows.js; default: the
+// `hours` before `until` or now), filters by fleet and base (see
+// filterBuckets in scan_store.js) and replaces rentals.json's contracts.
+// The "24h" figures cover the window's `day`, which lies inside it.
+async function processCSV(hours, basesMapping, prices, options = {}) {
+  const window = options.window || rollingWindow(hours, options.until);
+  const now = window.until;
+  const since = window.since;
+  const last24h = window.day.since;
+
+  const fleetData = {};
+  const scanTimes = {};
+  const firstSeen = {};
+  const lastSeen = {};
+  const visits = {};
+  const buckets = filterBuckets(
+    await loadScanBuckets({ csvFile: options.csvFile || CSV_FILE_PATH }),
+    { ...options, until: now },
+    basesMapping
+  );
 
-  sortedEntries.forEach(([fleet, data]) => {
-    const valDynamic = (data.SDUs * price).toFixed(2);
-    const val24h = (data.SDUs24h * price).toFixed(2);
-    const rent = getRentalCost(fleet);
-    let roi = "N/A";
-    if (rent !== "N/A" && !isNaN(parseFloat(rent)) && parseFloat(rent) > 0) {
-      roi = ((data.SDUs24h * price) / parseFloat(rent) * 100).toFixed(0) + "%";
+  buckets.forEach(bucket => {
+    const fleet = bucket.fleet;
+    if (!fleetData[fleet]) {
+      fleetData[fleet] = newFleetEntry(prices);
+      scanTimes[fleet] = [];
+    }
+    const data = fleetData[fleet];
+    const baseName = bucket.coord !== "" ? basesMapping[bucket.coord] || "Unknown" : null;
+    if (DEBUG && baseName) {
+      console.log(`Bucket with key "${bucket.coord}" mapped to base name: "${baseName}"`);
+    }
+    if (!(firstSeen[fleet] <= bucket.first)) firstSeen[fleet] = bucket.first;
+    if (!(lastSeen[fleet] >= bucket.last)) {
+      lastSeen[fleet] = bucket.last;
+      if (baseName) data.baseName = baseName;
+    }
+    if (bucket.last < since.getTime()) return;
+
+    // A bucket straddling a window start only counts the scans inside.
+    const part = bucketBetween(bucket, since);
+    const part24h = bucketBetween(bucket, last24h);
+    const SDUs = part.SDUs;
+    const SDUs24h = part24h.SDUs;
+    data.SDUs += SDUs;
+    data.SDUs24h += SDUs24h;
+    data.scans += part.scans;
+    data.scans24h += part24h.scans;
+    bucketScanTimes(bucket)
+      .filter(time => time >= since.getTime())
+      .forEach(time => scanTimes[fleet].push(time));
+
+    if (prices && bucket.SDUs > 0) {
+      const realized = realizedValue(part, prices);
+      const realized24h = realizedValue(part24h, prices);
+      data.realizedVal += realized.atlas;
+      data.realizedUsd += realized.usd;
+      data.realizedVal24h += realized24h.atlas;
+      data.realizedUsd24h += realized24h.usd;
+    }
+
+    if (baseName) {
+      if (!visits[fleet]) visits[fleet] = [];
+      visits[fleet].push({ first: bucket.first, last: bucket.last, baseName, scans: bucket.scans, SDUs, SDUs24h });
     }
-    tableRows.push([
-      fleet,
-      data.baseName || "",
-      data.SDUs.toString(),
-      valDynamic,
-      data.SDUs24h.toString(),
-      val24h,
-      rent.toString(),
-      roi
-    ]);
   });
 
-  const colWidths = headers.map((_, colIndex) => {
-    let maxWidth = 0;
-    tableRows.forEach(row => {
-      const cellText = row[colIndex];
-      if (cellText.length > maxWidth) {
-        maxWidth = cellText.length;
+  // Fleets that were never seen have no base, so a base filter leaves them out.
+  const contracts = options.rentalContracts || rentalContracts;
+  const fleetFilter = (options.fleets || []).map(normalizeFleetName);
+  for (const contract of contracts) {
+    if (!isActiveDuring(contract, since, now)) continue;
+    if ((options.bases || []).length > 0) continue;
+    if (fleetFilter.length > 0 && !fleetFilter.includes(contract.key)) continue;
+    const seen = Object.keys(fleetData).some(name => name.toLowerCase().trim() === contract.key);
+    if (!seen) fleetData[contract.fleet] = newFleetEntry(prices);
+  }
+  for (const [fleet, data] of Object.entries(fleetData)) {
+    // Prorated parts of older rollups are fractions; round each fleet once.
+    ["SDUs", "SDUs24h", "scans", "scans24h"].forEach(key => { data[key] = Math.round(data[key]); });
+    data.activity = analyzeFleetActivity(scanTimes[fleet] || [], lastSeen[fleet] ?? null, since, now, firstSeen[fleet] ?? null);
+    data.activeMs24h = analyzeFleetActivity(
+      (scanTimes[fleet] || []).filter(time => time >= last24h.getTime()),
+      lastSeen[fleet] ?? null, last24h, now, firstSeen[fleet] ?? null
+    ).activeMs;
+    const { stints, relocations } = buildStints(visits[fleet] || [], now, stintsFrom(contracts, fleet, since, now));
+    data.stints = stints;
+    data.relocations = relocations;
+    if (stints.length > 0) data.baseName = stints[stints.length - 1].baseName;
+  }
+  return fleetData;
+}
+
+// 5. Fleet breakdown section: one row per fleet, sorted by base name, with a
+// child row per base for fleets that relocated within the window. `rent` is
+// the fleet's 24h rent, or for child rows the rent of that stint.
+function fleetSection(fleetData, hours, price) {
+  const showRealized = Object.values(fleetData).some(data => data.realizedVal !== undefined);
+  const showProfile = Object.values(fleetData).some(data => data.profile);
+  const columns = [
+    { key: "fleet", label: "Fleet" },
+    { key: "profile", label: "Profile" },
+    { key: "base", label: "Base" },
+    { key: "SDUs", label: "SDUs" },
+    { key: "value", label: "Val", digits: 2 },
+    { key: "realized", label: "Realized", digits: 2 },
+    { key: "SDUs24h", label: "24h SDUs" },
+    { key: "value24h", label: "24h Val", digits: 2 },
+    { key: "rent", label: "Rent", format: rent => formatRent(rent ?? "N/A") },
+    { key: "roi", label: "ROI", digits: 0, suffix: "%" },
+    { key: "status", label: "Status" }
+  ].filter(column => (showRealized || column.key !== "realized") && (showProfile || column.key !== "profile"));
+
+  const rows = Object.entries(fleetData)
+    .sort((a, b) => (a[1].baseName || "").localeCompare(b[1].baseName || ""))
+    .map(([fleet, data]) => {
+      const rent = fleetRent24h(fleet, data);
+      const row = {
+        fleet,
+        base: data.baseName || "",
+        SDUs: data.SDUs,
+        value: data.SDUs * price,
+        SDUs24h: data.SDUs24h,
+        value24h: data.SDUs24h * price,
+        rent: rent === "N/A" ? null : rent,
+        roi: rent !== "N/A" && rent > 0 ? (data.SDUs24h * price) / rent * 100 : null,
+        status: data.activity ? data.activity.label : "",
+        statusCode: data.activity ? data.activity.status : null
+      };
+      if (showRealized) row.realized = data.realizedVal || 0;
+      if (showProfile) row.profile = data.profile;
+
+      // One child row per base the fleet scanned from, with prorated rent and ROI
+      if (data.stints && data.stints.length > 1) {
+        row.base = basePath(data.stints);
+        row.children = data.stints.map(stint => {
+          const { value, rent: stintRent, roi } = stintEconomics(stint, price);
+          const start = new Date(stint.start);
+          const end = new Date(stint.end);
+          return {
+            fleet,
+            base: stint.baseName,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            SDUs: stint.SDUs,
+            value,
+            SDUs24h: stint.SDUs24h,
+            value24h: stint.SDUs24h * price,
+            rent: stintRent,
+            roi,
+            display: {
+              fleet: "↳ " + stint.baseName,
+              base: `${formatClock(start)} - ${formatClock(end)}`,
+              rent: stintRent === null ? "N/A" : stintRent.toFixed(2)
+            }
+          };
+        });
       }
+      return row;
     });
-    return maxWidth;
-  });
 
-  const separatorRow = colWidths.map(w => "-".repeat(w)).join("   ");
-  const lines = [];
-  lines.push(`SDU Breakdown (Last ${hours}h):`);
-  tableRows.forEach((row, rowIndex) => {
-    if (rowIndex === 1) {
-      lines.push(separatorRow);
-    }
-    const line = row.map((cell, i) => cell.padEnd(colWidths[i])).join("   ");
-    lines.push(line);
-  });
-  return lines.join("\n");
+  return {
+    id: "fleets",
+    title: `SDU Breakdown (Last ${hours}h)`,
+    emptyMessage: `⚠️ No data for the last ${hours} hours.`,
+    columns,
+    rows
+  };
 }
 
-// Mobile formatting (includes the Base label and sorts by base name)
-function formatFleetTableMobile(fleetData, hours, price) {
-  if (Object.keys(fleetData).length === 0) return `No data for the last ${hours} hours.`;
+function relocationSection(fleetData) {
+  const lines = relocationLines(fleetData);
+  return lines.length > 0 ? { id: "relocations", title: "Relocations", lines } : null;
+}
 
-  // Sort entries by baseName
-  const sortedEntries = Object.entries(fleetData).sort((a, b) => {
-    const baseA = a[1].baseName || "";
-    const baseB = b[1].baseName || "";
-    return baseA.localeCompare(baseB);
-  });
+// ROI in percent of a value against its costs, or null without costs.
+function roiOf(val, cost) {
+  return cost > 0 ? (val / cost) * 100 : null;
+}
 
-  const lines = [`SDU Breakdown (Last ${hours}h):`];
-  sortedEntries.forEach(([fleet, data]) => {
-    const rent = getRentalCost(fleet);
-    if (rent === "N/A" || isNaN(parseFloat(rent))) return;
-    const valDynamic = (data.SDUs * price).toFixed(2);
-    const val24h = (data.SDUs24h * price).toFixed(2);
-    const roi = ((data.SDUs24h * price) / parseFloat(rent) * 100).toFixed(0) + "%";
-    lines.push(`• ${fleet} (${data.baseName || ""})`);
-    lines.push(`   ROI:  ${roi}`);
-    lines.push(`   24h:  ${val24h} ATLAS`);
-    lines.push(`   ${hours}h: ${valDynamic} ATLAS`);
-    lines.push("");
-  });
-  return lines.join("\n");
+// 24h ROI of the rented fleets: their value against their rent and
+// operating costs. Owned fleets' value does not count towards it.
+function rentedRoi24h(result) {
+  const { operating } = result;
+  return roiOf(result.rentedVal24h, result.rentedRent24h + (operating ? operating.rented.cost24h : 0));
+}
+
+// 24h ROI of one rented fleet against its rent and operating costs, like
+// rentedRoi24h; null for owned fleets.
+function fleetRoi24h(data, price) {
+  if (!(data.rent24h > 0)) return null;
+  return roiOf(data.SDUs24h * price, data.rent24h + (data.operatingCost24h || 0));
 }
 
-// 6. Format net profit summary (detailed and mobile versions)
-// [Net profit formatting functions remain unchanged]
-function formatNetProfitSummary(
-  net24h, netDynamic,
-  netRented24h, netRentedDynamic,
-  netOwned24h, netOwnedDynamic,
-  hours, atlasUsd,
-  totalVal24h, totalRent24h,
-  rentedVal24h, rentedRent24h
-) {
-  const overallUsd24h = (net24h * atlasUsd).toFixed(2);
-  const overallUsdDynamic = (netDynamic * atlasUsd).toFixed(2);
-  const rentedUsd24h = (netRented24h * atlasUsd).toFixed(2);
-  const rentedUsdDynamic = (netRentedDynamic * atlasUsd).toFixed(2);
-  const ownedUsd24h = (netOwned24h * atlasUsd).toFixed(2);
-  const ownedUsdDynamic = (netOwnedDynamic * atlasUsd).toFixed(2);
-
-  const overallROI = totalRent24h > 0 ? ((totalVal24h / totalRent24h) * 100).toFixed(0) + "%" : "N/A";
-  const rentedROI = rentedRent24h > 0 ? ((rentedVal24h / rentedRent24h) * 100).toFixed(0) + "%" : "N/A";
-
-  const headers = ["Category", "24h(ATLAS)", "24h(USD)", `Last ${hours}h(ATLAS)`, `Last ${hours}h(USD)`, "ROI"];
-  const rowsData = [
+// 6. Net profit section: rented, owned and overall nets in ATLAS and USD.
+// With operating costs (`result.operating`) the cost columns are added; the
+// nets already have those costs deducted.
+function netProfitSection(result, hours) {
+  const { atlasUsd, operating } = result;
+  const categories = [
     {
-      Category: "Rented",
-      "24h(ATLAS)": netRented24h.toFixed(2),
-      "24h(USD)": rentedUsd24h,
-      [`Last ${hours}h(ATLAS)`]: netRentedDynamic.toFixed(2),
-      [`Last ${hours}h(USD)`]: rentedUsdDynamic,
-      ROI: rentedROI
+      category: "Rented",
+      net24h: result.netRented24h,
+      netDynamic: result.netRentedDynamic,
+      roi: rentedRoi24h(result),
+      costs: operating && operating.rented
     },
     {
-      Category: "Owned",
-      "24h(ATLAS)": netOwned24h.toFixed(2),
-      "24h(USD)": ownedUsd24h,
-      [`Last ${hours}h(ATLAS)`]: netOwnedDynamic.toFixed(2),
-      [`Last ${hours}h(USD)`]: ownedUsdDynamic,
-      ROI: "N/A"
+      category: "Owned",
+      net24h: result.netOwned24h,
+      netDynamic: result.netOwnedDynamic,
+      roi: operating ? roiOf(operating.owned.val24h, operating.owned.cost24h) : null,
+      costs: operating && operating.owned
     },
     {
-      Category: "Overall",
-      "24h(ATLAS)": net24h.toFixed(2),
-      "24h(USD)": overallUsd24h,
-      [`Last ${hours}h(ATLAS)`]: netDynamic.toFixed(2),
-      [`Last ${hours}h(USD)`]: overallUsdDynamic,
-      ROI: overallROI
+      category: "Overall",
+      net24h: result.net24h,
+      netDynamic: result.netDynamic,
+      roi: roiOf(result.totalVal24h, result.totalRent24h + (operating ? operating.total.cost24h : 0)),
+      costs: operating && operating.total
     }
   ];
 
-  const colWidths = headers.map(h => h.length);
-  rowsData.forEach(row => {
-    headers.forEach((header, i) => {
-      const cell = String(row[header]);
-      if (cell.length > colWidths[i]) colWidths[i] = cell.length;
+  const rows = categories.map(({ category, net24h, netDynamic, roi, costs }) => {
+    const row = { category };
+    if (costs) Object.assign(row, { cost24h: costs.cost24h, costDynamic: costs.costDynamic });
+    return Object.assign(row, {
+      net24h,
+      net24hUsd: net24h * atlasUsd,
+      netDynamic,
+      netDynamicUsd: netDynamic * atlasUsd,
+      roi
     });
   });
 
-  const headerRow = headers.map((h, i) => h.padEnd(colWidths[i])).join("   ");
-  const separatorRow = colWidths.map(w => "-".repeat(w)).join("   ");
-  const dataRows = rowsData.map(row =>
-    headers.map((header, i) => String(row[header]).padEnd(colWidths[i])).join("   ")
-  );
+  const columns = [
+    { key: "category", label: "Category" },
+    { key: "net24h", label: "24h(ATLAS)", digits: 2 },
+    { key: "net24hUsd", label: "24h(USD)", digits: 2 },
+    { key: "netDynamic", label: `Last ${hours}h(ATLAS)`, digits: 2 },
+    { key: "netDynamicUsd", label: `Last ${hours}h(USD)`, digits: 2 },
+    { key: "roi", label: "ROI", digits: 0, suffix: "%" }
+  ];
+  if (operating) {
+    columns.splice(1, 0,
+      { key: "cost24h", label: "24h Costs", digits: 2 },
+      { key: "costDynamic", label: `${hours}h Costs`, digits: 2 }
+    );
+  }
 
-  return `Net Profits:\n${headerRow}\n${separatorRow}\n${dataRows.join("\n")}`;
+  const section = { id: "netProfits", title: "Net Profits", columns, rows };
+  if (operating && operating.unpriced.length > 0) {
+    section.notes = [`(No market price for ${operating.unpriced.join(", ")}; not included in costs)`];
+  }
+  return section;
 }
 
-function formatNetProfitSummaryMobile(
-  net24h, netDynamic,
-  netRented24h, netRentedDynamic,
-  netOwned24h, netOwnedDynamic,
-  hours, atlasUsd
-) {
-  const rentedUsd24h = (netRented24h * atlasUsd).toFixed(2);
-  const rentedUsdDynamic = (netRentedDynamic * atlasUsd).toFixed(2);
-  const ownedUsd24h = (netOwned24h * atlasUsd).toFixed(2);
-  const ownedUsdDynamic = (netOwnedDynamic * atlasUsd).toFixed(2);
-  const overallUsd24h = (net24h * atlasUsd).toFixed(2);
-  const overallUsdDynamic = (netDynamic * atlasUsd).toFixed(2);
-
-  let lines = ["Net Profits:"];
-  lines.push(`• Rented`);
-  lines.push(`    24h:     ${netRented24h.toFixed(2)} ATLAS (${rentedUsd24h} USD)`);
-  lines.push(`    Last ${hours}h: ${netRentedDynamic.toFixed(2)} ATLAS (${rentedUsdDynamic} USD)`);
-  lines.push("");
-  lines.push(`• Owned`);
-  lines.push(`    24h:     ${netOwned24h.toFixed(2)} ATLAS (${ownedUsd24h} USD)`);
-  lines.push(`    Last ${hours}h: ${netOwnedDynamic.toFixed(2)} ATLAS (${ownedUsdDynamic} USD)`);
-  lines.push("");
-  lines.push(`• Overall`);
-  lines.push(`    24h:     ${net24h.toFixed(2)} ATLAS (${overallUsd24h} USD)`);
-  lines.push(`    Last ${hours}h: ${netDynamic.toFixed(2)} ATLAS (${overallUsdDynamic} USD)`);
-  return lines.join("\n");
+// Net profits per profile of a consolidated run (mergeRoiResults), with their
+// sum.
+function profileSection(result, hours) {
+  if (!result.profiles) return null;
+  const { atlasUsd } = result;
+  const rows = result.profiles.map(entry => ({ ...entry }));
+  rows.push({
+    profile: "Total",
+    fleets: rows.reduce((sum, row) => sum + row.fleets, 0),
+    net24h: result.net24h,
+    netDynamic: result.netDynamic
+  });
+  rows.forEach(row => {
+    row.net24hUsd = row.net24h * atlasUsd;
+    row.netDynamicUsd = row.netDynamic * atlasUsd;
+  });
+  return {
+    id: "profiles",
+    title: "Net Profits by Profile",
+    columns: [
+      { key: "profile", label: "Profile" },
+      { key: "fleets", label: "Fleets" },
+      { key: "net24h", label: "24h(ATLAS)", digits: 2 },
+      { key: "net24hUsd", label: "24h(USD)", digits: 2 },
+      { key: "netDynamic", label: `Last ${hours}h(ATLAS)`, digits: 2 },
+      { key: "netDynamicUsd", label: `Last ${hours}h(USD)`, digits: 2 }
+    ],
+    rows
+  };
 }
 
-// 7. Combine fleet table and net profit summary; append current SDU price
-function buildFinalMessage(
-  fleetTableStr,
-  net24h, netDynamic,
-  netRented24h, netRentedDynamic,
-  netOwned24h, netOwnedDynamic,
-  hours, atlasUsd,
-  totalVal24h, totalRent24h,
-  rentedVal24h, rentedRent24h,
-  isMobile,
-  currentPrice
-) {
-  let summaryStr;
-  if (isMobile) {
-    summaryStr = formatNetProfitSummaryMobile(
-      net24h, netDynamic,
-      netRented24h, netRentedDynamic,
-      netOwned24h, netOwnedDynamic,
-      hours, atlasUsd
-    );
-  } else {
-    summaryStr = formatNetProfitSummary(
-      net24h, netDynamic,
-      netRented24h, netRentedDynamic,
-      netOwned24h, netOwnedDynamic,
-      hours, atlasUsd,
-      totalVal24h, totalRent24h,
-      rentedVal24h, rentedRent24h
-    );
-  }
-  const priceLine = `Current SDU Price: ${currentPrice.toFixed(2)} ATLAS (${(currentPrice * atlasUsd).toFixed(2)} USD)`;
-  return fleetTableStr + "\n\n" + summaryStr + "\n\n" + priceLine;
+// 7. Realized value (each scan at the SDU price recorded when it happened)
+// versus mark-to-market value (everything at the current price), and the
+// price the report used.
+function atlasWithUsd(value, item) {
+  return `${value.toFixed(2)} ATLAS (${item.usd.toFixed(2)} USD)`;
+}
+
+function valuationSection(valuation, hours, atlasUsd) {
+  return {
+    id: "valuation",
+    title: `Fleet Value (Last ${hours}h)`,
+    items: [
+      {
+        key: "realized",
+        label: "Realized at scan-time price",
+        value: valuation.realizedDynamic,
+        usd: valuation.realizedUsdDynamic,
+        format: atlasWithUsd
+      },
+      {
+        key: "markToMarket",
+        label: "Mark-to-market at current price",
+        value: valuation.markDynamic,
+        usd: valuation.markDynamic * atlasUsd,
+        format: atlasWithUsd
+      }
+    ]
+  };
+}
+
+// Staleness notes ("SDU price 3h 10m old (last known good)") for quotes that
+// did not come live from their provider.
+function priceNotes(quotes, now = new Date()) {
+  return Object.entries(quotes)
+    .map(([kind, quote]) => describeQuote(kind, quote, now))
+    .filter(Boolean)
+    .map(note => `⚠️ ${note}`);
+}
+
+function priceSection(result) {
+  const { currentPrice, atlasUsd, priceInfo } = result;
+  const { quotes = {} } = priceInfo;
+  const section = {
+    id: "price",
+    items: [{
+      key: "sduPrice",
+      label: `Current SDU Price (${priceInfo.label})`,
+      value: currentPrice,
+      usd: currentPrice * atlasUsd,
+      format: atlasWithUsd
+    }]
+  };
+  // A manual price has no order book worth showing.
+  const manual = quotes.sduBook && quotes.sduBook.source === "manual";
+  if (priceInfo.orderBook && !manual) section.lines = [formatOrderBookLine(priceInfo.orderBook)];
+  const notes = priceNotes(quotes);
+  if (notes.length > 0) section.notes = notes;
+  return section;
+}
+
+// The whole ROI report for analyzeAndFormatLocal's result; `hours` is the
+// window's length as shown in headings.
+function buildRoiReport(result, hours) {
+  const { since, until } = result.window;
+  const sections = [
+    fleetSection(result.fleetData, hours, result.currentPrice),
+    relocationSection(result.fleetData),
+    netProfitSection(result, hours),
+    profileSection(result, hours),
+    valuationSection(result.valuation, hours, result.atlasUsd),
+    priceSection(result)
+  ].filter(Boolean);
+
+  return {
+    report: "roi",
+    title: `Scanner ROI (Last ${hours}h)`,
+    generatedAt: new Date().toISOString(),
+    meta: {
+      hours,
+      since: since.toISOString(),
+      until: until.toISOString(),
+      profiles: result.profiles ? result.profiles.map(entry => entry.profile) : undefined,
+      currentPrice: result.currentPrice,
+      atlasUsd: result.atlasUsd,
+      priceMode: result.priceInfo.mode,
+      orderBook: result.priceInfo.orderBook,
+      priceSources: Object.fromEntries(
+        Object.entries(result.priceInfo.quotes || {}).map(([kind, quote]) => [kind, quoteInfo(quote)])
+      )
+    },
+    sections
+  };
+}
+
+function sectionById(report, id) {
+  return report.sections.find(section => section.id === id);
+}
+
+// Mobile layout (Pushover): rented fleets only, one block per fleet and net
+// profits as a list.
+function renderRoiMobile(report) {
+  const { hours } = report.meta;
+  const fleets = sectionById(report, "fleets");
+  const fleetLines = [fleets.rows.length === 0 ? `No data for the last ${hours} hours.` : `${fleets.title}:`];
+  fleets.rows.forEach(row => {
+    if (row.rent === null) return;
+    fleetLines.push(`• ${row.fleet} (${row.base})`);
+    if (row.statusCode && row.statusCode !== STATUS.ACTIVE) fleetLines.push(`   ⚠️ ${row.status}`);
+    fleetLines.push(`   ROI:  ${formatValue(row.roi, { digits: 0, suffix: "%" })}`);
+    fleetLines.push(`   24h:  ${row.value24h.toFixed(2)} ATLAS`);
+    fleetLines.push(`   ${hours}h: ${row.value.toFixed(2)} ATLAS`);
+    if (row.realized !== undefined) fleetLines.push(`   Realized: ${row.realized.toFixed(2)} ATLAS`);
+    (row.children || []).forEach(stint => {
+      const roi = formatValue(stint.roi, { digits: 0, suffix: "%" });
+      fleetLines.push(`   ${stint.base} (${stint.display.base}): ${stint.value.toFixed(2)} ATLAS, ROI ${roi}`);
+    });
+    fleetLines.push("");
+  });
+
+  const netLines = ["Net Profits:"];
+  sectionById(report, "netProfits").rows.forEach((row, i) => {
+    if (i > 0) netLines.push("");
+    netLines.push(`• ${row.category}`);
+    netLines.push(`    24h:     ${row.net24h.toFixed(2)} ATLAS (${row.net24hUsd.toFixed(2)} USD)`);
+    netLines.push(`    Last ${hours}h: ${row.netDynamic.toFixed(2)} ATLAS (${row.netDynamicUsd.toFixed(2)} USD)`);
+    if (row.cost24h !== undefined) {
+      netLines.push(`    Costs:   ${row.cost24h.toFixed(2)} (24h) / ${row.costDynamic.toFixed(2)} (${hours}h) ATLAS`);
+    }
+  });
+
+  return [
+    fleetLines.join("\n"),
+    netLines.join("\n"),
+    renderSectionText(sectionById(report, "valuation")),
+    renderSectionText(sectionById(report, "price")),
+    renderFooterText(report)
+  ].filter(text => text !== "").join("\n\n");
 }
 
 // 8. Compute net profits and other metrics
-async function analyzeAndFormatLocal(hours = 24, basesMapping) {
-  const fleetData = await processCSV(hours, basesMapping);
-  const lowestPriceObj = await getLowestSDUPrice();
-  if (!lowestPriceObj || !lowestPriceObj.price) throw new Error("No valid SDU price found.");
-  const currentPrice = parseFloat(lowestPriceObj.price);
-  const atlasUsd = await getAtlasUsdPrice();
+// `options.priceMode` / `options.vwapUnits` override SDU_PRICE_MODE / SDU_VWAP_UNITS;
+// `options.csvFile`, `options.window`, `options.until`, `options.fleets`,
+// `options.bases` and `options.rentalContracts` are passed on to processCSV.
+async function analyzeAndFormatLocal(hours = 24, basesMapping, options = {}) {
+  const priceMode = options.priceMode || SDU_PRICE_MODE;
+  const quotes = {
+    sduBook: await getQuote("sduBook"),
+    atlasUsd: await getQuote("atlasUsd")
+  };
+  const book = quotes.sduBook.value;
+  const atlasUsd = quotes.atlasUsd.value;
+  // The price history records best asks, so rows older than any record fall
+  // back to the current best ask as well.
+  const window = options.window || rollingWindow(hours, options.until);
+  const fleetData = await processCSV(hours, basesMapping, {
+    sduHistory: loadPriceHistory(PRICE_KINDS.SDU),
+    atlasUsdHistory: loadPriceHistory(PRICE_KINDS.ATLAS_USD),
+    currentPrice: book.asks.length > 0 ? book.asks[0].price : book.bids[0].price,
+    atlasUsd
+  }, { ...options, window });
+
+  const windowSDUs = Object.values(fleetData).reduce((sum, data) => sum + data.SDUs, 0);
+  const vwapUnits = options.vwapUnits || SDU_VWAP_UNITS || windowSDUs;
+  const orderBook = summarizeOrderBook(book, vwapUnits);
+  const currentPrice = selectPrice(orderBook, priceMode);
+  const priceLabel = describePriceMode(priceMode, vwapUnits);
+  if (!currentPrice) throw noPriceError(`No valid SDU price found (${priceLabel}).`);
 
   let totalValDynamic = 0, totalVal24h = 0;
   let totalRentDynamic = 0, totalRent24h = 0;
   let rentedValDynamic = 0, rentedVal24h = 0;
   let rentedRentDynamic = 0, rentedRent24h = 0;
   let ownedValDynamic = 0, ownedVal24h = 0;
+  let realizedDynamic = 0, realizedUsdDynamic = 0;
+
+  // Operating costs, when operating_costs.json exists, are priced at the
+  // current lowest asks of the consumables; without any price they count as
+  // unpriced.
+  const costModel = loadCostModel();
+  let resourcePrices = {};
+  if (costModel) {
+    try {
+      quotes.resources = await getQuote("resources", { mints: consumedResources(costModel) });
+      resourcePrices = quotes.resources.value;
+    } catch (err) {
+      console.error(err.message);
+    }
+  }
+  const newCosts = () => ({ cost24h: 0, costDynamic: 0, val24h: 0 });
+  const operating = costModel
+    ? { rented: newCosts(), owned: newCosts(), total: newCosts(), unpriced: [] }
+    : null;
+
+  // Rent is charged only for the overlap of each contract with the window.
+  const contracts = options.rentalContracts || rentalContracts;
+  const { since, until: now } = window;
+  const last24h = window.day.since;
 
   for (const [fleet, data] of Object.entries(fleetData)) {
     const valDynamic = data.SDUs * currentPrice;
     const val24h = data.SDUs24h * currentPrice;
     totalValDynamic += valDynamic;
     totalVal24h += val24h;
+    realizedDynamic += data.realizedVal;
+    realizedUsdDynamic += data.realizedUsd;
+
+    data.rent24h = rentForWindow(contracts, fleet, last24h, now, atlasUsd);
+    data.rentDynamic = rentForWindow(contracts, fleet, since, now, atlasUsd);
+    (data.stints || []).forEach(stint => {
+      const stintStart = new Date(Math.max(stint.start, since.getTime()));
+      stint.rent = rentForWindow(contracts, fleet, stintStart, new Date(stint.end), atlasUsd);
+    });
+
+    const rented = data.rent24h !== null || data.rentDynamic !== null;
+    if (operating) {
+      const costs = fleetOperatingCosts(costModel, fleet, data, resourcePrices);
+      data.operatingCost24h = costs.cost24h;
+      data.operatingCostDynamic = costs.costDynamic;
+      data.operatingBreakdown = costs.breakdown;
+      [rented ? operating.rented : operating.owned, operating.total].forEach(bucket => {
+        bucket.cost24h += costs.cost24h;
+        bucket.costDynamic += costs.costDynamic;
+        bucket.val24h += val24h;
+      });
+      costs.unpriced.forEach(name => {
+        if (!operating.unpriced.includes(name)) operating.unpriced.push(name);
+      });
+    }
 
-    const rent = getRentalCost(fleet);
-    const rentNum = parseFloat(rent);
-    if (!isNaN(rentNum) && rentNum > 0) {
-      totalRent24h += rentNum;
-      const prorated = rentNum * (hours / 24);
-      totalRentDynamic += prorated;
+    if (rented) {
+      totalRent24h += data.rent24h || 0;
+      totalRentDynamic += data.rentDynamic || 0;
       rentedValDynamic += valDynamic;
       rentedVal24h += val24h;
-      rentedRentDynamic += prorated;
-      rentedRent24h += rentNum;
+      rentedRentDynamic += data.rentDynamic || 0;
+      rentedRent24h += data.rent24h || 0;
     } else {
       ownedValDynamic += valDynamic;
       ownedVal24h += val24h;
     }
   }
 
-  const net24h = totalVal24h - totalRent24h;
-  const netDynamic = totalValDynamic - totalRentDynamic;
-  const netRented24h = rentedVal24h - rentedRent24h;
-  const netRentedDynamic = rentedValDynamic - rentedRentDynamic;
-  const netOwned24h = ownedVal24h;
-  const netOwnedDynamic = ownedValDynamic;
+  const costs = operating || { rented: newCosts(), owned: newCosts(), total: newCosts() };
+  const net24h = totalVal24h - totalRent24h - costs.total.cost24h;
+  const netDynamic = totalValDynamic - totalRentDynamic - costs.total.costDynamic;
+  const netRented24h = rentedVal24h - rentedRent24h - costs.rented.cost24h;
+  const netRentedDynamic = rentedValDynamic - rentedRentDynamic - costs.rented.costDynamic;
+  const netOwned24h = ownedVal24h - costs.owned.cost24h;
+  const netOwnedDynamic = ownedValDynamic - costs.owned.costDynamic;
 
   return {
+    window,
     fleetData,
     currentPrice,
     atlasUsd,
@@ -379,79 +668,103 @@ async function analyzeAndFormatLocal(hours = 24, basesMapping) {
     totalVal24h,
     totalRent24h,
     rentedVal24h,
-    rentedRent24h
+    rentedRent24h,
+    valuation: {
+      realizedDynamic,
+      realizedUsdDynamic,
+      markDynamic: totalValDynamic
+    },
+    priceInfo: {
+      mode: priceMode,
+      label: priceLabel,
+      orderBook,
+      quotes
+    },
+    operating
+  };
+}
+
+const NET_KEYS = [
+  "net24h", "netDynamic", "netRented24h", "netRentedDynamic", "netOwned24h", "netOwnedDynamic",
+  "totalVal24h", "totalRent24h", "rentedVal24h", "rentedRent24h"
+];
+
+/**
+ * One result for several profiles' analyzeAndFormatLocal results, given as
+ * [{ profile, result }]: every fleet marked with its `profile` (a name taken
+ * by an earlier profile gets the profile appended), the nets, values and
+ * costs added up, and `profiles` with each one's nets. Prices come from the
+ * first result; with VWAP pricing each profile's nets use its own VWAP.
+ */
+function mergeRoiResults(entries) {
+  const merged = {
+    ...entries[0].result,
+    fleetData: {},
+    valuation: { realizedDynamic: 0, realizedUsdDynamic: 0, markDynamic: 0 },
+    operating: null,
+    profiles: []
   };
+  NET_KEYS.forEach(key => { merged[key] = 0; });
+
+  entries.forEach(({ profile, result }) => {
+    Object.entries(result.fleetData).forEach(([fleet, data]) => {
+      merged.fleetData[merged.fleetData[fleet] ? `${fleet} (${profile})` : fleet] = { ...data, profile };
+    });
+    NET_KEYS.forEach(key => { merged[key] += result[key]; });
+    Object.keys(merged.valuation).forEach(key => { merged.valuation[key] += result.valuation[key]; });
+    if (result.operating) {
+      const newCosts = () => ({ cost24h: 0, costDynamic: 0, val24h: 0 });
+      if (!merged.operating) merged.operating = { rented: newCosts(), owned: newCosts(), total: newCosts(), unpriced: [] };
+      ["rented", "owned", "total"].forEach(group => {
+        Object.keys(merged.operating[group]).forEach(key => { merged.operating[group][key] += result.operating[group][key]; });
+      });
+      result.operating.unpriced.forEach(name => {
+        if (!merged.operating.unpriced.includes(name)) merged.operating.unpriced.push(name);
+      });
+    }
+    merged.profiles.push({
+      profile,
+      fleets: Object.keys(result.fleetData).length,
+      net24h: result.net24h,
+      netDynamic: result.netDynamic
+    });
+  });
+  return merged;
 }
 
-// 9. Main function
+// 9. Main function: `node anal_rc1.js [pushover] [hours]` is kept for
+// existing cron jobs and runs `scan-analyzer roi` (see scan_analyzer.js).
 async function main() {
   const args = process.argv.slice(2);
   const usePushover = args[0] === "pushover";
   const hoursArgIndex = usePushover ? 1 : 0;
   const hours = args.length > hoursArgIndex ? parseInt(args[hoursArgIndex], 10) || 24 : 24;
 
-  // Load bases mapping from .bases file
-  const basesMapping = loadBasesMapping();
-
-  try {
-    const {
-      fleetData,
-      currentPrice,
-      atlasUsd,
-      net24h,
-      netDynamic,
-      netRented24h,
-      netRentedDynamic,
-      netOwned24h,
-      netOwnedDynamic,
-      totalVal24h,
-      totalRent24h,
-      rentedVal24h,
-      rentedRent24h
-    } = await analyzeAndFormatLocal(hours, basesMapping);
-
-    const fleetTableStr = usePushover
-      ? formatFleetTableMobile(fleetData, hours, currentPrice)
-      : formatFleetTable(fleetData, hours, currentPrice);
-
-    const finalMessage = buildFinalMessage(
-      fleetTableStr,
-      net24h,
-      netDynamic,
-      netRented24h,
-      netRentedDynamic,
-      netOwned24h,
-      netOwnedDynamic,
-      hours,
-      atlasUsd,
-      totalVal24h,
-      totalRent24h,
-      rentedVal24h,
-      rentedRent24h,
-      usePushover,
-      currentPrice
-    );
-
-    if (usePushover) {
-      const pushoverToken = process.env.PUSHOVER_TOKEN;
-      const pushoverUser = process.env.PUSHOVER_USER;
-      if (!pushoverToken || !pushoverUser) {
-        console.error("Pushover credentials missing. Printing to stdout instead:");
-        console.log(finalMessage);
-      } else {
-        await axios.post("https://api.pushover.net/1/messages.json", {
-          token: pushoverToken,
-          user: pushoverUser,
-          message: finalMessage
-        });
-        console.log("Message sent to Pushover.");
-      }
-    } else {
-      console.log(finalMessage);
-    }
-  } catch (err) {
-    console.error("Error analyzing data:", err);
-  }
+  const cliArgs = ["roi", "--since", `${hours}h`];
+  if (usePushover) cliArgs.push("--notify", "pushover");
+  process.exitCode = await require('./scan_analyzer').run(cliArgs);
 }
 
-main();
+module.exports = {
+  SDU_PRICE_MODE,
+  getRentalCost,
+  loadBasesMapping,
+  roiOf,
+  rentedRoi24h,
+  fleetRoi24h,
+  processCSV,
+  fleetSection,
+  relocationSection,
+  netProfitSection,
+  valuationSection,
+  priceSection,
+  priceNotes,
+  mergeRoiResults,
+  buildRoiReport,
+  renderRoiMobile,
+  analyzeAndFormatLocal
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,291 @@
+require('dotenv').config();
+const { bucketBetween } = require('./scan_store');
+
+// Flags fleets, sectors and fleet/sector pairs whose recent scans are
+// improbably bad against their own baseline:
+//   success rate   binomial test: P(X <= recent successes | n, baseline rate)
+//   SDUs per scan  Poisson test on the recent SDU total, scaled by the
+//                  baseline's dispersion (variance / mean) so a naturally
+//                  lumpy yield is not flagged for every dry spell
+// The baseline is the ANOMALY_BASELINE_DAYS before the recent window.
+// With two tests per group and every fleet, sector and pair tested, some
+// p-values fall below any alpha by chance, so groups are flagged by their
+// Benjamini-Hochberg adjusted p-values (q), keeping the expected share of
+// false alarms among the flagged at ANOMALY_ALPHA.
+const ANOMALY_ALPHA = parseFloat(process.env.ANOMALY_ALPHA) || 0.01;
+const ANOMALY_BASELINE_DAYS = parseFloat(process.env.ANOMALY_BASELINE_DAYS) || 7;
+
+// Groups with fewer scans are not tested.
+const MIN_BASELINE_SCANS = 30;
+const MIN_RECENT_SCANS = 10;
+
+const SCOPES = {
+  fleet: bucket => bucket.fleet,
+  sector: bucket => (bucket.coord ? bucket.coord : null),
+  pair: bucket => (bucket.coord ? `${bucket.fleet}|${bucket.coord}` : null)
+};
+
+// log(e^a + e^b) without overflow.
+function logAdd(a, b) {
+  if (a === -Infinity) return b;
+  if (b === -Infinity) return a;
+  const max = Math.max(a, b);
+  return max + Math.log(Math.exp(a - max) + Math.exp(b - max));
+}
+
+// P(X <= k) for X ~ Binomial(n, p), summed in log space.
+function binomialCdf(k, n, p) {
+  if (k >= n || p <= 0) return 1;
+  if (k < 0) return 0;
+  if (p >= 1) return 0;
+  let logPmf = n * Math.log(1 - p);
+  let logCdf = logPmf;
+  const ratio = Math.log(p) - Math.log(1 - p);
+  for (let i = 0; i < k; i++) {
+    logPmf += Math.log(n - i) - Math.log(i + 1) + ratio;
+    logCdf = logAdd(logCdf, logPmf);
+  }
+  return Math.min(1, Math.exp(logCdf));
+}
+
+// P(X <= k) for X ~ Poisson(lambda).
+function poissonCdf(k, lambda) {
+  if (k < 0) return 0;
+  if (lambda <= 0) return 1;
+  let logPmf = -lambda;
+  let logCdf = logPmf;
+  for (let i = 1; i <= k; i++) {
+    logPmf += Math.log(lambda) - Math.log(i);
+    logCdf = logAdd(logCdf, logPmf);
+  }
+  return Math.min(1, Math.exp(logCdf));
+}
+
+/**
+ * Totals, success rate and SDUs per scan (mean and variance) of a group's
+ * bucket parts ({ scans, successful, SDUs }). Buckets only keep sums, so the
+ * per-scan variance is estimated from how far each bucket's mean strays from
+ * the overall mean: Var(bucket mean) = variance / scans.
+ */
+function summarize(parts) {
+  const scans = parts.reduce((sum, part) => sum + part.scans, 0);
+  const successful = parts.reduce((sum, part) => sum + part.successful, 0);
+  const SDUs = parts.reduce((sum, part) => sum + part.SDUs, 0);
+  const mean = scans > 0 ? SDUs / scans : null;
+  const used = parts.filter(part => part.scans > 0);
+  const variance = used.length > 1
+    ? used.reduce((sum, part) => sum + part.scans * (part.SDUs / part.scans - mean) ** 2, 0) / (used.length - 1)
+    : null;
+  return {
+    scans: Math.round(scans),
+    successful: Math.round(successful),
+    SDUs: Math.round(SDUs),
+    successRate: scans > 0 ? successful / scans : null,
+    sdusPerScan: mean,
+    sduVariance: variance
+  };
+}
+
+function lowSuccessPValue(recent, baseline) {
+  return binomialCdf(recent.successful, recent.scans, baseline.successRate);
+}
+
+function lowYieldPValue(recent, baseline) {
+  const dispersion = baseline.sduVariance && baseline.sdusPerScan > 0
+    ? Math.max(1, baseline.sduVariance / baseline.sdusPerScan)
+    : 1;
+  return poissonCdf(Math.floor(recent.SDUs / dispersion), (recent.scans * baseline.sdusPerScan) / dispersion);
+}
+
+// Benjamini-Hochberg adjusted p-values, in the order given.
+function adjustPValues(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+  const adjusted = new Array(m);
+  let min = 1;
+  for (let rank = m; rank >= 1; rank--) {
+    const i = order[rank - 1];
+    min = Math.min(min, (pValues[i] * m) / rank);
+    adjusted[i] = min;
+  }
+  return adjusted;
+}
+
+// Bucket parts per scope key over [from, to), straddling buckets cut at the
+// window edges.
+function groupParts(buckets, keyOf, from, to) {
+  const groups = new Map();
+  buckets.forEach(bucket => {
+    const key = keyOf(bucket);
+    if (key === null) return;
+    const { scans, successful, SDUs } = bucketBetween(bucket, from, to);
+    if (scans <= 0) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ scans, successful, SDUs });
+  });
+  return groups;
+}
+
+/**
+ * Test every fleet, sector and fleet/sector pair in `buckets`: the recent
+ * window [recentStart, until) against [baselineStart, recentStart).
+ * Returns { alpha, tests, flagged }, where each test is
+ * { scope, fleet, coord, baseline, recent, pSuccess, pYield, qSuccess, qYield }
+ * (q: adjusted across all tests) and flagged ones also carry `metrics`
+ * (which of "success" and "yield" had q below `alpha`).
+ */
+function detectAnomalies(buckets, { recentStart, until, baselineStart, alpha = ANOMALY_ALPHA }) {
+  const tests = [];
+  Object.entries(SCOPES).forEach(([scope, keyOf]) => {
+    const baselines = groupParts(buckets, keyOf, baselineStart, recentStart);
+    const recents = groupParts(buckets, keyOf, recentStart, until);
+    recents.forEach((parts, key) => {
+      if (!baselines.has(key)) return;
+      const baseline = summarize(baselines.get(key));
+      const recent = summarize(parts);
+      if (baseline.scans < MIN_BASELINE_SCANS || recent.scans < MIN_RECENT_SCANS) return;
+      const [fleet, coord] = scope === "fleet" ? [key, null] : scope === "sector" ? [null, key] : key.split("|");
+      tests.push({
+        scope,
+        fleet,
+        coord,
+        baseline,
+        recent,
+        pSuccess: lowSuccessPValue(recent, baseline),
+        pYield: lowYieldPValue(recent, baseline)
+      });
+    });
+  });
+
+  const qValues = adjustPValues(tests.flatMap(test => [test.pSuccess, test.pYield]));
+  tests.forEach((test, i) => {
+    test.qSuccess = qValues[2 * i];
+    test.qYield = qValues[2 * i + 1];
+  });
+
+  const flagged = tests
+    .map(test => ({
+      ...test,
+      metrics: [test.qSuccess < alpha ? "success" : null, test.qYield < alpha ? "yield" : null].filter(Boolean)
+    }))
+    .filter(test => test.metrics.length > 0)
+    .sort((a, b) => Math.min(a.qSuccess, a.qYield) - Math.min(b.qSuccess, b.qYield));
+  return { alpha, tests, flagged };
+}
+
+function formatPValue(p) {
+  if (p === null || p === undefined) return "N/A";
+  return p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+}
+
+function sectorLabel(coord, basesMapping) {
+  if (!coord) return "";
+  return basesMapping[coord] ? `${basesMapping[coord]} (${coord})` : coord;
+}
+
+function percent(rate) {
+  return rate === null ? null : rate * 100;
+}
+
+// Flagged groups, most improbable first, one row per failing metric, plus
+// every test as a detail section.
+function anomalySections(result, hours, baselineDays, basesMapping = {}) {
+  const rows = [];
+  result.flagged.forEach(test => {
+    test.metrics.forEach(metric => {
+      const success = metric === "success";
+      rows.push({
+        scope: test.scope,
+        fleet: test.fleet || "(all)",
+        sector: sectorLabel(test.coord, basesMapping) || "(all)",
+        metric: success ? "success rate" : "SDUs/scan",
+        baseline: success ? percent(test.baseline.successRate) : test.baseline.sdusPerScan,
+        recent: success ? percent(test.recent.successRate) : test.recent.sdusPerScan,
+        unit: success ? "%" : "",
+        scans: test.recent.scans,
+        pValue: success ? test.pSuccess : test.pYield,
+        qValue: success ? test.qSuccess : test.qYield
+      });
+    });
+  });
+  const number = (value, row) => (value === null ? "N/A" : value.toFixed(2) + row.unit);
+
+  return [
+    {
+      id: "anomalies",
+      title: `Anomalies (last ${hours}h vs ${baselineDays}d baseline, q < ${result.alpha})`,
+      emptyMessage: `✅ No fleet or sector did improbably badly in the last ${hours} hours.`,
+      columns: [
+        { key: "scope", label: "Scope" },
+        { key: "fleet", label: "Fleet" },
+        { key: "sector", label: "Sector" },
+        { key: "metric", label: "Metric" },
+        { key: "baseline", label: "Baseline", format: number },
+        { key: "recent", label: "Recent", format: number },
+        { key: "scans", label: "Scans" },
+        { key: "pValue", label: "p", format: formatPValue },
+        { key: "qValue", label: "q", format: formatPValue }
+      ],
+      rows
+    },
+    {
+      id: "baselines",
+      title: "Baselines Tested",
+      detail: true,
+      columns: [
+        { key: "scope", label: "Scope" },
+        { key: "fleet", label: "Fleet" },
+        { key: "coord", label: "Coord" },
+        { key: "baselineScans", label: "Baseline Scans" },
+        { key: "baselineSuccessRate", label: "Baseline Success", digits: 1, suffix: "%" },
+        { key: "baselineSdusPerScan", label: "Baseline SDU/Scan", digits: 2 },
+        { key: "baselineSduVariance", label: "SDU/Scan Variance", digits: 2 },
+        { key: "recentScans", label: "Recent Scans" },
+        { key: "recentSuccessRate", label: "Recent Success", digits: 1, suffix: "%" },
+        { key: "recentSdusPerScan", label: "Recent SDU/Scan", digits: 2 },
+        { key: "pSuccess", label: "p (success)", format: formatPValue },
+        { key: "pYield", label: "p (yield)", format: formatPValue },
+        { key: "qSuccess", label: "q (success)", format: formatPValue },
+        { key: "qYield", label: "q (yield)", format: formatPValue }
+      ],
+      rows: result.tests.map(test => ({
+        scope: test.scope,
+        fleet: test.fleet || "",
+        coord: test.coord || "",
+        baselineScans: test.baseline.scans,
+        baselineSuccessRate: percent(test.baseline.successRate),
+        baselineSdusPerScan: test.baseline.sdusPerScan,
+        baselineSduVariance: test.baseline.sduVariance,
+        recentScans: test.recent.scans,
+        recentSuccessRate: percent(test.recent.successRate),
+        recentSdusPerScan: test.recent.sdusPerScan,
+        pSuccess: test.pSuccess,
+        pYield: test.pYield,
+        qSuccess: test.qSuccess,
+        qYield: test.qYield
+      }))
+    }
+  ];
+}
+
+function buildAnomalyReport(result, hours, baselineDays, basesMapping = {}) {
+  return {
+    report: "anomalies",
+    title: `Scanner Anomalies (Last ${hours}h)`,
+    generatedAt: new Date().toISOString(),
+    meta: { hours, baselineDays, alpha: result.alpha, tested: result.tests.length, flagged: result.flagged.length },
+    sections: anomalySections(result, hours, baselineDays, basesMapping)
+  };
+}
+
+module.exports = {
+  ANOMALY_ALPHA,
+  ANOMALY_BASELINE_DAYS,
+  binomialCdf,
+  poissonCdf,
+  adjustPValues,
+  summarize,
+  detectAnomalies,
+  anomalySections,
+  buildAnomalyReport
+};
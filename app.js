@@ -0,0 +1,190 @@
+require('dotenv').config();
+const { App } = require('@slack/bolt');
+const { loadBasesMapping, analyzeAndFormatLocal, buildRoiReport } = require('./anal_rc1');
+const { loadRecords, computeEfficiency, fleetEfficiency } = require('./efficiency');
+const { getQuote, describeQuote } = require('./price_providers');
+const { PRICE_MODES } = require('./order_book');
+const { renderSectionText } = require('./report_format');
+const { chunkMessage } = require('./notifiers');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+
+// Slack rejects section text longer than 3000 characters.
+const MAX_SECTION_LENGTH = 2900;
+
+// Wrap a preformatted table in one or more code-block sections, splitting on
+// line boundaries (and a line longer than the limit within it) so every
+// section stays under Slack's text limit.
+function codeBlockSections(text) {
+  return chunkMessage(text, MAX_SECTION_LENGTH).map(section => ({
+    type: "section",
+    text: { type: "mrkdwn", text: "```" + section + "```" }
+  }));
+}
+
+function headerBlock(text) {
+  return { type: "header", text: { type: "plain_text", text } };
+}
+
+function contextBlock(text) {
+  return { type: "context", elements: [{ type: "mrkdwn", text }] };
+}
+
+// Parse the numeric argument of a slash command, e.g. "/scanners 48".
+function parseNumberArg(text, fallback) {
+  const value = parseInt((text || "").trim(), 10);
+  return value > 0 ? value : fallback;
+}
+
+// Optional price mode after the hours, e.g. "/scanners 48 vwap".
+function parsePriceModeArg(text) {
+  const modes = Object.values(PRICE_MODES);
+  return (text || "").trim().toLowerCase().split(/\s+/).find(word => modes.includes(word));
+}
+
+// /scanners [hours] [ask|bid|vwap|mid]
+async function buildScannersBlocks(hours, priceMode) {
+  const basesMapping = loadBasesMapping();
+  const result = await analyzeAndFormatLocal(hours, basesMapping, { priceMode });
+  const report = buildRoiReport(result, hours);
+
+  // Tables go in code blocks; the price section becomes the footer context.
+  const blocks = [headerBlock(report.title)];
+  report.sections.forEach(section => {
+    if (section.id === "price") return;
+    blocks.push(...codeBlockSections(renderSectionText(section)));
+  });
+  blocks.push(contextBlock(renderSectionText(report.sections.find(section => section.id === "price"))));
+  return blocks;
+}
+
+// /efficiency [days]
+async function buildEfficiencyBlocks(days) {
+  const allBuckets = await loadRecords();
+  if (allBuckets.length === 0) {
+    return [contextBlock("No records found in the logfile.")];
+  }
+  const report = computeEfficiency(allBuckets, days);
+
+  const fleetNames = Object.keys(report.fleetStats);
+  const nameWidth = fleetNames.reduce((max, f) => Math.max(max, f.length), "Fleet".length);
+  const tableLines = [
+    `${"Fleet".padEnd(nameWidth)}   Scans   Hits    Eff (%)`,
+    `${"-".repeat(nameWidth)}   -----   -----   -------`
+  ];
+  fleetNames.forEach(fleet => {
+    const stats = report.fleetStats[fleet];
+    tableLines.push(
+      `${fleet.padEnd(nameWidth)}   ${String(stats.total).padEnd(5)}   ` +
+      `${String(stats.successful).padEnd(5)}   ${fleetEfficiency(stats).toFixed(2)}`
+    );
+  });
+
+  return [
+    headerBlock(`Scan Fleet Efficiency (Last ${days} days)`),
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Overall Efficiency*\n${report.overallEfficiency.toFixed(2)}%` },
+        { type: "mrkdwn", text: `*Scans*\n${report.successfulScans} / ${report.totalScans}` },
+        { type: "mrkdwn", text: `*Logfile Duration*\n${report.totalLogfileDurationStr}` },
+        { type: "mrkdwn", text: `*Filtered Duration*\n${report.filteredDurationStr}` }
+      ]
+    },
+    ...codeBlockSections(tableLines.join("\n"))
+  ];
+}
+
+// /sdu-price
+async function buildSduPriceBlocks() {
+  let quote;
+  try {
+    quote = await getQuote("sduBook");
+  } catch (err) {
+    return [contextBlock(err.message)];
+  }
+  const lowest = quote.value.asks[0];
+  if (!lowest) {
+    return [contextBlock("No valid SDU price found.")];
+  }
+  const blocks = [
+    headerBlock("Lowest SDU Listing"),
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Price*\n${lowest.price.toFixed(6)} ATLAS` },
+        { type: "mrkdwn", text: `*Quantity*\n${quote.source === "manual" ? "N/A" : lowest.quantity}` },
+        { type: "mrkdwn", text: `*Seller*\n${lowest.owner}` }
+      ]
+    }
+  ];
+  const note = describeQuote("sduBook", quote);
+  if (note) blocks.push(contextBlock(`⚠️ ${note}`));
+  return blocks;
+}
+
+// Ack right away (Slack times out after 3 seconds), then post the report to
+// the command's response_url once it has been built.
+function reportHandler(buildBlocks, fallbackText) {
+  return async ({ command, ack, respond, logger }) => {
+    await ack();
+    try {
+      const blocks = await buildBlocks(command.text);
+      await respond({ response_type: "in_channel", text: fallbackText, blocks });
+    } catch (err) {
+      logger.error(err);
+      await respond({ response_type: "ephemeral", text: `Error: ${err.message}` });
+    }
+  };
+}
+
+function registerCommands(app) {
+  app.command("/scanners", reportHandler(
+    text => buildScannersBlocks(parseNumberArg(text, 24), parsePriceModeArg(text)),
+    "Scanner ROI report"
+  ));
+  app.command("/efficiency", reportHandler(
+    text => buildEfficiencyBlocks(parseNumberArg(text, 4)),
+    "Scan fleet efficiency report"
+  ));
+  app.command("/sdu-price", reportHandler(
+    () => buildSduPriceBlocks(),
+    "SDU price"
+  ));
+  return app;
+}
+
+// SLACK_API_URL lets the Web API client talk to a local fake Slack endpoint.
+function createApp(options = {}) {
+  const slackApiUrl = options.slackApiUrl || process.env.SLACK_API_URL;
+  const app = new App({
+    token: options.token || process.env.SLACK_BOT_TOKEN,
+    signingSecret: options.signingSecret || process.env.SLACK_SIGNING_SECRET,
+    clientOptions: slackApiUrl ? { slackApiUrl } : undefined
+  });
+  return registerCommands(app);
+}
+
+async function main() {
+  const app = createApp();
+  await app.start(PORT);
+  console.log(`⚡️ Slack scanners bot listening on port ${PORT}`);
+}
+
+module.exports = {
+  createApp,
+  registerCommands,
+  codeBlockSections,
+  parseNumberArg,
+  parsePriceModeArg,
+  buildScannersBlocks,
+  buildEfficiencyBlocks,
+  buildSduPriceBlocks
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error("Error starting Slack app:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,228 @@
+const { bucketBetween } = require('./scan_store');
+const { buildTimeSeries } = require('./efficiency_trends');
+const { summarize } = require('./anomalies');
+const { formatClock } = require('./fleet_activity');
+const { roiOf } = require('./anal_rc1');
+
+// A/B comparison of two sides, each { label, since, until, fleets, buckets,
+// roi } where `buckets` are the side's filtered scan buckets and `roi` is
+// analyzeAndFormatLocal's result for the same window and fleets. Differences
+// are B - A with 95% confidence intervals: normal approximations, except for
+// the success rate, whose interval is built from each side's Wilson interval
+// (Newcombe's method) so a side at 0% or 100% still has some uncertainty.
+
+const HOUR_MS = 60 * 60 * 1000;
+const CONFIDENCE_Z = 1.96;
+
+// Hours covering less than this much of the window edge are left out of the
+// SDUs/hour samples, so a few minutes of scans do not count as a whole hour.
+const MIN_SAMPLE_HOURS = 0.5;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function sampleVariance(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1);
+}
+
+// Half-width of the interval for the difference of two independent
+// estimates with the given standard errors.
+function diffHalfWidth(seA, seB) {
+  return seA === null || seB === null ? null : CONFIDENCE_Z * Math.sqrt(seA ** 2 + seB ** 2);
+}
+
+// Wilson score interval { low, high } for a rate measured over n trials, or
+// null without trials.
+function wilsonInterval(rate, n) {
+  if (rate === null || !(n > 0)) return null;
+  const z2 = CONFIDENCE_Z ** 2;
+  const denominator = 1 + z2 / n;
+  const center = (rate + z2 / (2 * n)) / denominator;
+  const halfWidth = (CONFIDENCE_Z / denominator) * Math.sqrt((rate * (1 - rate)) / n + z2 / (4 * n * n));
+  return { low: Math.max(0, center - halfWidth), high: Math.min(1, center + halfWidth) };
+}
+
+// Newcombe's interval for rateB - rateA from the two Wilson intervals, as
+// { low, high } offsets from the difference.
+function diffInterval(rateA, ciA, rateB, ciB) {
+  if (ciA === null || ciB === null) return null;
+  return {
+    low: Math.sqrt((rateB - ciB.low) ** 2 + (ciA.high - rateA) ** 2),
+    high: Math.sqrt((ciB.high - rateB) ** 2 + (rateA - ciA.low) ** 2)
+  };
+}
+
+// SDUs per fleet-hour: one sample per hour of the window for every fleet
+// that scanned in it, idle hours included as 0.
+function hourlySamples(side) {
+  const series = buildTimeSeries(side.buckets, { since: side.since, until: side.until, interval: "hour" });
+  const samples = [];
+  Object.values(series.fleets).forEach(points => {
+    points
+      .filter(point => point.hours >= MIN_SAMPLE_HOURS)
+      .forEach(point => samples.push(point.SDUs / point.hours));
+  });
+  return samples;
+}
+
+function bucketParts(side) {
+  return side.buckets
+    .map(bucket => {
+      const { scans, successful, SDUs } = bucketBetween(bucket, side.since, side.until);
+      return { scans, successful, SDUs };
+    })
+    .filter(part => part.scans > 0);
+}
+
+/**
+ * Everything one side contributes: scan totals, success rate with its Wilson
+ * interval, SDUs per scan with its standard error, SDUs per fleet-hour from hourly samples,
+ * and value, costs and ROI at the ROI report's current SDU price. ROI is
+ * the roi report's: value against rent and operating costs.
+ */
+function sideStats(side) {
+  const totals = summarize(bucketParts(side));
+  const samples = hourlySamples(side);
+  const sdusPerHour = mean(samples);
+  const hourVariance = sampleVariance(samples);
+  const price = side.roi.currentPrice;
+
+  const fleetData = Object.values(side.roi.fleetData);
+  const value = side.roi.valuation.markDynamic;
+  const cost = fleetData.reduce((sum, data) => sum + (data.rentDynamic || 0) + (data.operatingCostDynamic || 0), 0);
+  // The value's uncertainty comes from the hourly yield; rent and costs are known.
+  const valueSe = hourVariance === null ? null : Math.sqrt(hourVariance / samples.length) * samples.length * price;
+
+  const p = totals.successRate;
+  return {
+    scans: totals.scans,
+    successRate: p,
+    successCi: wilsonInterval(p, totals.scans),
+    sdusPerScan: totals.sdusPerScan,
+    sdusPerScanSe: totals.sduVariance === null ? null : Math.sqrt(totals.sduVariance / totals.scans),
+    sdusPerHour,
+    sdusPerHourSe: hourVariance === null ? null : Math.sqrt(hourVariance / samples.length),
+    fleetHours: samples.length,
+    valuePerFleetDay: sdusPerHour === null ? null : sdusPerHour * 24 * price,
+    valuePerFleetDaySe: hourVariance === null ? null : Math.sqrt(hourVariance / samples.length) * 24 * price,
+    value,
+    cost,
+    roi: roiOf(value, cost),
+    roiSe: cost > 0 && valueSe !== null ? (valueSe / cost) * 100 : null
+  };
+}
+
+// Metrics in the order they are shown; `scale` turns the stored value into
+// the displayed unit, `se` and `ci` name the standard error or the interval.
+const METRICS = [
+  { key: "scans", label: "Scans", digits: 0 },
+  { key: "successRate", ci: "successCi", label: "Success rate", digits: 1, suffix: "%", scale: 100 },
+  { key: "sdusPerScan", se: "sdusPerScanSe", label: "SDUs/scan", digits: 2 },
+  { key: "sdusPerHour", se: "sdusPerHourSe", label: "SDUs/fleet-hour", digits: 2 },
+  { key: "valuePerFleetDay", se: "valuePerFleetDaySe", label: "Value/fleet-day (ATLAS)", digits: 2 },
+  { key: "value", label: "Value (ATLAS)", digits: 2 },
+  { key: "cost", label: "Rent + costs (ATLAS)", digits: 2 },
+  { key: "roi", se: "roiSe", label: "ROI", digits: 0, suffix: "%" }
+];
+
+function compareRows(a, b) {
+  return METRICS.map(metric => {
+    const scale = metric.scale || 1;
+    const valueA = a[metric.key] === null ? null : a[metric.key] * scale;
+    const valueB = b[metric.key] === null ? null : b[metric.key] * scale;
+    const diff = valueA === null || valueB === null ? null : valueB - valueA;
+    let offsets = null;
+    if (diff !== null && metric.ci) {
+      offsets = diffInterval(a[metric.key], a[metric.ci], b[metric.key], b[metric.ci]);
+    } else if (diff !== null && metric.se) {
+      const halfWidth = diffHalfWidth(a[metric.se], b[metric.se]);
+      offsets = halfWidth === null ? null : { low: halfWidth, high: halfWidth };
+    }
+    const ciLow = offsets === null ? null : diff - offsets.low * scale;
+    const ciHigh = offsets === null ? null : diff + offsets.high * scale;
+    return {
+      metric: metric.label,
+      a: valueA,
+      b: valueB,
+      diff,
+      ciLow,
+      ciHigh,
+      // The interval excludes zero.
+      significant: offsets === null ? null : ciLow > 0 || ciHigh < 0,
+      digits: metric.digits,
+      suffix: metric.suffix || ""
+    };
+  });
+}
+
+function describeSide(side) {
+  const hours = Math.round(((side.until - side.since) / HOUR_MS) * 10) / 10;
+  const fleets = side.fleets.length > 0 ? side.fleets.join(", ") : "all fleets";
+  return `${fleets}, ${formatClock(side.since)} - ${formatClock(side.until)} (${hours}h)`;
+}
+
+function sideLabel(key, side) {
+  return side.label === key ? key : `${key} (${side.label})`;
+}
+
+function buildCompareReport(sideA, sideB) {
+  const a = sideStats(sideA);
+  const b = sideStats(sideB);
+  const rows = compareRows(a, b);
+  const number = (value, row) => (value === null ? "N/A" : value.toFixed(row.digits) + row.suffix);
+  const signed = (value, row) => (value === null ? "N/A" : (value >= 0 ? "+" : "") + value.toFixed(row.digits) + row.suffix);
+  const interval = (value, row) =>
+    row.ciLow === null ? "" : `[${signed(row.ciLow, row)}, ${signed(row.ciHigh, row)}]`;
+
+  return {
+    report: "compare",
+    title: `Scanner Comparison (${sideA.label} vs ${sideB.label})`,
+    generatedAt: new Date().toISOString(),
+    meta: {
+      confidence: 0.95,
+      a: { label: sideA.label, since: sideA.since.toISOString(), until: sideA.until.toISOString(), fleets: sideA.fleets },
+      b: { label: sideB.label, since: sideB.since.toISOString(), until: sideB.until.toISOString(), fleets: sideB.fleets },
+      currentPrice: sideB.roi.currentPrice
+    },
+    sections: [
+      {
+        id: "sides",
+        items: [
+          { key: "a", label: sideLabel("A", sideA), value: describeSide(sideA) },
+          { key: "b", label: sideLabel("B", sideB), value: describeSide(sideB) }
+        ]
+      },
+      {
+        id: "comparison",
+        title: "B - A (95% confidence interval)",
+        columns: [
+          { key: "metric", label: "Metric" },
+          { key: "a", label: "A", format: number },
+          { key: "b", label: "B", format: number },
+          { key: "diff", label: "B - A", format: signed },
+          { key: "ciLow", label: "95% CI", format: interval },
+          { key: "significant", label: "", format: value => (value ? "*" : "") }
+        ],
+        rows
+      },
+      {
+        id: "notes",
+        notes: [
+          "* the interval excludes zero.",
+          `Value and ROI at the current SDU price; SDUs/fleet-hour from hourly samples (${a.fleetHours} A, ${b.fleetHours} B).`
+        ]
+      }
+    ]
+  };
+}
+
+module.exports = {
+  CONFIDENCE_Z,
+  wilsonInterval,
+  sideStats,
+  compareRows,
+  buildCompareReport
+};
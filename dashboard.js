@@ -0,0 +1,130 @@
+require('dotenv').config();
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { COMMANDS, OPTIONS, UsageError, parseCliArgs, buildReport } = require('./scan_analyzer');
+const { renderJson } = require('./report_format');
+const { collectMetrics, renderMetrics } = require('./metrics');
+
+// Local dashboard and JSON API over the scan-analyzer reports:
+//   GET /                  dashboard.html (per-fleet charts, refreshes itself)
+//   GET /api/<command>     the report as JSON, e.g. /api/efficiency?window=yesterday
+//   GET /api/fleets        alias of /api/roi
+//   GET /metrics           Prometheus metrics (see metrics.js)
+// Query parameters are the command-line options without dashes (since,
+// until, window, fleet, base, interval, vs-fleet, ...); repeat fleet= for
+// several.
+// PORT belongs to the Slack app (app.js), so the dashboard has its own.
+const DASHBOARD_PORT = parseInt(process.env.DASHBOARD_PORT, 10) || 3001;
+const DASHBOARD_HOST = process.env.DASHBOARD_HOST || "127.0.0.1";
+
+const DASHBOARD_PAGE = path.join(__dirname, "dashboard.html");
+
+const ALIASES = { fleets: "roi" };
+
+// Options that make no sense over HTTP: file paths stay on the server, the
+// API only speaks JSON and never notifies, and PRICE_SOURCE decides whether
+// prices are replayed.
+const SERVER_ONLY_OPTIONS = ["csv", "book", "format", "notify", "offline", "help"];
+
+function statusFor(err) {
+  if (err instanceof UsageError) return 400;
+  if (err.code === "ENOCSV" || err.code === "ENOPRICE") return 503;
+  return 500;
+}
+
+// Query string to the argv scan_analyzer.js parses.
+function queryToArgs(command, searchParams) {
+  const args = [command];
+  for (const [name, value] of searchParams) {
+    if (!OPTIONS[name] || SERVER_ONLY_OPTIONS.includes(name)) {
+      throw new UsageError(`Unknown parameter "${name}".`);
+    }
+    args.push(`--${name}=${value}`);
+  }
+  return args;
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, { "Content-Type": contentType, "Cache-Control": "no-store" });
+  res.end(body);
+}
+
+function sendJson(res, status, body) {
+  send(res, status, "application/json; charset=utf-8", typeof body === "string" ? body : JSON.stringify(body));
+}
+
+async function handleApi(res, name, searchParams) {
+  const command = ALIASES[name] || name;
+  if (!COMMANDS[command]) {
+    sendJson(res, 404, { error: `Unknown report "${name}".` });
+    return;
+  }
+  try {
+    const opts = parseCliArgs(queryToArgs(command, searchParams));
+    const report = await buildReport(opts);
+    sendJson(res, 200, renderJson(report));
+  } catch (err) {
+    const status = statusFor(err);
+    if (status === 500) console.error(`Error running ${command}:`, err);
+    sendJson(res, status, { error: err.message, code: err.code });
+  }
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    sendJson(res, 405, { error: `${req.method} not allowed.` });
+    return;
+  }
+  if (url.pathname === "/" || url.pathname === "/index.html") {
+    send(res, 200, "text/html; charset=utf-8", fs.readFileSync(DASHBOARD_PAGE));
+    return;
+  }
+  if (url.pathname === "/metrics") {
+    try {
+      send(res, 200, "text/plain; version=0.0.4; charset=utf-8", renderMetrics(await collectMetrics()));
+    } catch (err) {
+      console.error("Error collecting metrics:", err);
+      send(res, statusFor(err), "text/plain; charset=utf-8", `${err.message}\n`);
+    }
+    return;
+  }
+  if (url.pathname === "/api") {
+    sendJson(res, 200, { reports: [...Object.keys(ALIASES), ...Object.keys(COMMANDS)] });
+    return;
+  }
+  const api = /^\/api\/([a-z-]+)\/?$/.exec(url.pathname);
+  if (api) {
+    await handleApi(res, api[1], url.searchParams);
+    return;
+  }
+  sendJson(res, 404, { error: `Nothing at ${url.pathname}.` });
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => {
+      console.error("Error handling request:", err);
+      if (!res.headersSent) sendJson(res, 500, { error: err.message });
+      else res.end();
+    });
+  });
+}
+
+function main() {
+  const server = createServer();
+  server.listen(DASHBOARD_PORT, DASHBOARD_HOST, () => {
+    console.log(`Scan dashboard on http://${DASHBOARD_HOST}:${DASHBOARD_PORT}/`);
+  });
+}
+
+module.exports = {
+  DASHBOARD_PORT,
+  queryToArgs,
+  createServer
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,151 @@
+const { loadScanBuckets, loadScanQuality } = require('./scan_store');
+const { COLUMNS, WARNINGS, checkHeader } = require('./scan_schema');
+const { formatClock } = require('./fleet_activity');
+
+// Data quality of the scan log over a window: the rows ingestion rejected or
+// warned about (scan_schema.js), the header against the declared columns,
+// and coordinates the .bases file has no name for.
+
+/**
+ * Everything the validate report and the report footers need. Accepted,
+ * rejected and flagged rows are counted by the ingestion runs since `since`,
+ * so they share one window; over the whole log, accepted scans are those in
+ * the store (older runs did not count them). Unknown coordinates come from
+ * the buckets scanned since `since`.
+ */
+async function assessDataQuality({ csvFile, since = null, basesMapping = null }) {
+  const { quality, header } = await loadScanQuality({ csvFile, since });
+  const buckets = await loadScanBuckets({ csvFile, since });
+
+  const coords = new Map();
+  let stored = 0;
+  buckets.forEach(bucket => {
+    stored += bucket.scans;
+    if (!basesMapping || !bucket.coord || basesMapping[bucket.coord]) return;
+    if (!coords.has(bucket.coord)) coords.set(bucket.coord, { coord: bucket.coord, scans: 0, fleets: new Set(), last: 0 });
+    const entry = coords.get(bucket.coord);
+    entry.scans += bucket.scans;
+    entry.fleets.add(bucket.fleet);
+    entry.last = Math.max(entry.last, bucket.last);
+  });
+  const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+
+  return {
+    since: since ? since.toISOString() : null,
+    header: header ? { columns: header, ...checkHeader(header) } : null,
+    accepted: since ? quality.accepted : stored,
+    rejected: sum(quality.rejected),
+    rejections: quality.rejected,
+    warnings: quality.warnings,
+    examples: quality.examples,
+    basesChecked: Boolean(basesMapping),
+    unknownCoords: [...coords.values()]
+      .map(entry => ({ ...entry, fleets: [...entry.fleets].sort() }))
+      .sort((a, b) => b.scans - a.scans)
+  };
+}
+
+function listCounts(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([reason, count]) => `${count} ${reason}`)
+    .join(", ");
+}
+
+// Footer lines for other reports; empty when nothing is wrong. Rows without
+// a coordinate are normal for old logs, so they are left to the validate
+// report.
+function qualityNotes(assessment) {
+  const notes = [];
+  if (assessment.header && assessment.header.missing.length > 0) {
+    notes.push(`⚠️ Scan log header lacks ${assessment.header.missing.join(", ")}.`);
+  }
+  if (assessment.rejected > 0) {
+    notes.push(`⚠️ ${assessment.rejected} scan log rows skipped (${listCounts(assessment.rejections)}).`);
+  }
+  const outOfOrder = assessment.warnings[WARNINGS.OUT_OF_ORDER];
+  if (outOfOrder) notes.push(`⚠️ ${outOfOrder} row${outOfOrder === 1 ? "" : "s"} logged out of order.`);
+  if (assessment.unknownCoords.length > 0) {
+    const coords = assessment.unknownCoords.map(entry => entry.coord);
+    notes.push(`⚠️ Coordinates missing from .bases: ${coords.slice(0, 5).join(", ")}${coords.length > 5 ? ", ..." : ""}.`);
+  }
+  if (notes.length > 0) notes.push("Run `scan-analyzer validate` for details.");
+  return notes;
+}
+
+function buildValidateReport(assessment, hours = null) {
+  const window = hours ? `Last ${hours}h` : "Whole Log";
+  const total = assessment.accepted + assessment.rejected;
+  const issueRows = (counts, kind) => Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([reason, count]) => ({
+      kind,
+      reason,
+      count,
+      share: total > 0 ? (count / total) * 100 : null,
+      examples: assessment.examples[reason] || []
+    }));
+  const header = assessment.header;
+
+  const items = [
+    { key: "rows", label: "Rows read", value: total },
+    { key: "accepted", label: "Scans accepted", value: assessment.accepted },
+    { key: "rejected", label: "Rows rejected", value: assessment.rejected },
+    {
+      key: "header",
+      label: "Header",
+      value: header
+        ? header.missing.length > 0 ? `missing ${header.missing.join(", ")}` : "ok"
+        : "not read yet"
+    }
+  ];
+  if (header && header.unknown.length > 0) {
+    items.push({ key: "unknownColumns", label: "Unknown columns", value: header.unknown });
+  }
+
+  return {
+    report: "validate",
+    title: `Scan Log Data Quality (${window})`,
+    generatedAt: new Date().toISOString(),
+    meta: {
+      hours,
+      since: assessment.since,
+      schema: COLUMNS.map(column => ({ name: column.name, aliases: column.aliases || [], required: column.required })),
+      header
+    },
+    sections: [
+      { id: "summary", items },
+      {
+        id: "issues",
+        title: "Rejected Rows and Warnings",
+        emptyMessage: "✅ Every row passed validation.",
+        columns: [
+          { key: "kind", label: "Kind" },
+          { key: "reason", label: "Reason" },
+          { key: "count", label: "Rows" },
+          { key: "share", label: "Share", digits: 2, suffix: "%" },
+          { key: "examples", label: "Latest example", format: examples => examples[examples.length - 1] || "" }
+        ],
+        rows: [...issueRows(assessment.rejections, "rejected"), ...issueRows(assessment.warnings, "warning")]
+      },
+      {
+        id: "unknownCoords",
+        title: "Coordinates Missing from .bases",
+        emptyMessage: assessment.basesChecked ? "✅ Every coordinate has a base name." : "No .bases file to check against.",
+        columns: [
+          { key: "coord", label: "Coordinate" },
+          { key: "scans", label: "Scans" },
+          { key: "fleets", label: "Fleets" },
+          { key: "last", label: "Last Scan", format: last => formatClock(new Date(last)) }
+        ],
+        rows: assessment.unknownCoords.map(entry => ({ ...entry, last: new Date(entry.last).toISOString() }))
+      }
+    ]
+  };
+}
+
+module.exports = {
+  assessDataQuality,
+  qualityNotes,
+  buildValidateReport
+};
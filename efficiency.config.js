@@ -2,9 +2,9 @@ module.exports = {
   apps: [
     {
       name: "efficiency",
-      script: "./efficiency.js",
-      // Pass arguments "4 pushover" to filter for 4 days and enable pushover notifications
-      args: "4 pushover",
+      script: "./scan_analyzer.js",
+      // Efficiency over the last 4 days, sent to Pushover
+      args: "efficiency --since 4d --notify pushover",
       // Restart this process every 3 hours using cron syntax
       cron_restart: "0 */3 * * *",
       // Set additional PM2 options if needed:
@@ -1,28 +1,30 @@
 require('dotenv').config();
-const fs = require('fs');
-const csv = require('csv-parser');
-const axios = require('axios');
+const { loadScanBuckets, bucketScanTimes, bucketBetween } = require('./scan_store');
+const { analyzeFleetActivity, formatClock, formatShortDuration, STATUS } = require('./fleet_activity');
+const { formatValue, renderText, renderFooterText } = require('./report_format');
+const { sparkline, formatTrend } = require('./efficiency_trends');
+const { rollingWindow } = require('./windows');
 
 // Load configuration from .env
 const CSV_FILE = process.env.CSV_FILE_PATH || '/mnt/star_atlas/scanning/scan_stats.csv';
-const PUSHOVER_USER = process.env.PUSHOVER_USER;
-const PUSHOVER_TOKEN = process.env.PUSHOVER_TOKEN;
 
 // Process command-line arguments:
 //   e.g. node analyze_sdu.js 5 pushover
 //   e.g. node analyze_sdu.js pushover
 //   e.g. node analyze_sdu.js 5
-const args = process.argv.slice(2);
-let daysParam = null;
-let usePushover = false;
-
-args.forEach(arg => {
-  if (arg.toLowerCase() === 'pushover') {
-    usePushover = true;
-  } else if (!isNaN(arg)) {
-    daysParam = parseInt(arg, 10);
-  }
-});
+function parseArgs(args) {
+  let daysParam = null;
+  let usePushover = false;
+
+  args.forEach(arg => {
+    if (arg.toLowerCase() === 'pushover') {
+      usePushover = true;
+    } else if (!isNaN(arg)) {
+      daysParam = parseInt(arg, 10);
+    }
+  });
+  return { daysParam, usePushover };
+}
 
 /**
  * Converts a duration (in milliseconds) to a string "X days, Y hours".
@@ -37,164 +39,320 @@ function formatDuration(ms) {
   return `${days} day${days === 1 ? '' : 's'}, ${hours} hour${hours === 1 ? '' : 's'}`;
 }
 
-let allRecords = [];
-
-// Read CSV file and collect records
-fs.createReadStream(CSV_FILE)
-  .pipe(csv())
-  .on('data', (row) => {
-    // Convert Timestamp to a Date object (assuming ISO 8601 format)
-    row.timestampDate = new Date(row.Timestamp);
-    // Convert SDU Count to a number
-    row.sduCount = Number(row['SDU Count']);
-    allRecords.push(row);
-  })
-  .on('end', () => {
-    if (allRecords.length === 0) {
-      console.error("No records found in the logfile.");
-      return;
-    }
+// Read the scan log as hourly rollups (only new CSV lines are parsed)
+function loadRecords(csvFile = CSV_FILE) {
+  return loadScanBuckets({ csvFile });
+}
 
-    // Determine total logfile timespan using allRecords
-    const earliest = new Date(Math.min(...allRecords.map(r => r.timestampDate.getTime())));
-    const latest = new Date(Math.max(...allRecords.map(r => r.timestampDate.getTime())));
-    const totalLogfileMs = latest - earliest;
-    const totalLogfileDurationStr = formatDuration(totalLogfileMs);
-
-    // Filter records if daysParam is specified
-    let records = allRecords;
-    let filteredDurationStr = '';
-    if (daysParam) {
-      // Filter to the last N days from the maximum date
-      const cutoffDate = new Date(latest.getTime() - daysParam * 24 * 60 * 60 * 1000);
-      records = records.filter(r => r.timestampDate >= cutoffDate);
-
-      // Compute actual filtered timespan (from earliest in the filtered set to latest)
-      if (records.length > 0) {
-        const earliestFiltered = new Date(Math.min(...records.map(r => r.timestampDate.getTime())));
-        const latestFiltered = new Date(Math.max(...records.map(r => r.timestampDate.getTime())));
-        filteredDurationStr = formatDuration(latestFiltered - earliestFiltered);
-      } else {
-        // If no records remain, filtered duration is 0
-        filteredDurationStr = '0 days, 0 hours';
-      }
+/**
+ * Computes overall and per-fleet efficiency for the scan buckets, optionally
+ * restricted to `window` (see windows.js) or the last `daysParam` days before
+ * `now`, the same window the ROI report uses. The buckets must end before the
+ * window does. Fleet activity is judged as of `now`.
+ */
+function computeEfficiency(allBuckets, daysParam, now = new Date(), window = null) {
+  if (!window && daysParam) window = rollingWindow(daysParam * 24, now);
+  // Determine total logfile timespan using allBuckets
+  let earliestMs = Infinity;
+  let latestMs = -Infinity;
+  allBuckets.forEach(bucket => {
+    earliestMs = Math.min(earliestMs, bucket.first);
+    latestMs = Math.max(latestMs, bucket.last);
+  });
+  const earliest = new Date(earliestMs);
+  const latest = new Date(latestMs);
+  const totalLogfileMs = latest - earliest;
+  const totalLogfileDurationStr = formatDuration(totalLogfileMs);
+
+  // Filter buckets if daysParam is specified; a bucket straddling the cutoff
+  // only counts the scans after it
+  let buckets = allBuckets;
+  let filteredDurationStr = '';
+  let cutoffDate = earliest;
+  if (window) {
+    cutoffDate = window.since;
+    buckets = allBuckets
+      .map(bucket => bucketBetween(bucket, cutoffDate))
+      .filter(bucket => bucket.scans > 0);
+
+    // Compute actual filtered timespan (from earliest in the filtered set to latest)
+    if (buckets.length > 0) {
+      const earliestFiltered = buckets.reduce(
+        (min, bucket) => Math.min(min, bucket.first), Infinity);
+      const latestFiltered = buckets.reduce((max, bucket) => Math.max(max, bucket.last), -Infinity);
+      filteredDurationStr = formatDuration(latestFiltered - earliestFiltered);
+    } else {
+      // If no scans remain, filtered duration is 0
+      filteredDurationStr = '0 days, 0 hours';
     }
+  }
 
-    // Compute overall efficiency for the selected records
-    const totalScans = records.length;
-    const successfulScans = records.filter(r => r.sduCount > 0).length;
-    const overallEfficiency = totalScans > 0 ? (successfulScans / totalScans) * 100 : 0;
-
-    // Compute fleet-by-fleet efficiency
-    const fleetStats = {};
-    records.forEach(record => {
-      const fleet = record['Fleet Name'];
-      if (!fleetStats[fleet]) {
-        fleetStats[fleet] = { total: 0, successful: 0 };
-      }
-      fleetStats[fleet].total++;
-      if (record.sduCount > 0) {
-        fleetStats[fleet].successful++;
-      }
-    });
-
-    // --------------------------
-    // 1) Build Console (ASCII) Output
-    // --------------------------
-    
-    // Prepare lines for the top header with consistent padding
-    const labelWidth = 35;
-    const consoleLines = [];
-
-    consoleLines.push('-------------------------------------------------------');
-    consoleLines.push('      SCU Scan Fleet Efficiency Report');
-    consoleLines.push('-------------------------------------------------------');
-    consoleLines.push('Total Logfile Duration:'.padEnd(labelWidth) + totalLogfileDurationStr);
-
-    if (daysParam) {
-      consoleLines.push(
-        `Filtered Duration (last ${daysParam} days):`.padEnd(labelWidth) + filteredDurationStr
-      );
+  // Compute fleet-by-fleet efficiency
+  const fleetStats = {};
+  buckets.forEach(bucket => {
+    if (!fleetStats[bucket.fleet]) {
+      fleetStats[bucket.fleet] = { total: 0, successful: 0 };
     }
-    consoleLines.push('Overall Efficiency:'.padEnd(labelWidth) + overallEfficiency.toFixed(2) + '%');
-
-    // Build a nicely aligned table for fleets
-    const fleetNames = Object.keys(fleetStats);
-    const maxFleetNameLength = fleetNames.reduce((max, f) => Math.max(max, f.length), 0);
-    const fleetNameColWidth = Math.max(maxFleetNameLength, 28); // minimum width
-
-    // Table header
-    const headerLine = `+-${'-'.repeat(fleetNameColWidth)}-+-${'-'.repeat(16)}-+`;
-    let tableLines = [];
-    tableLines.push('--- Breakdown by Fleet ---');
-    tableLines.push(headerLine);
-    tableLines.push(
-      `| ${'Fleet Name'.padEnd(fleetNameColWidth)} | ${'Efficiency (%)'.padEnd(16)} |`
+    fleetStats[bucket.fleet].total += bucket.scans;
+    fleetStats[bucket.fleet].successful += bucket.successful;
+  });
+  Object.values(fleetStats).forEach(stats => {
+    stats.total = Math.round(stats.total);
+    stats.successful = Math.round(stats.successful);
+  });
+
+  // Compute overall efficiency for the selected scans
+  const totalScans = Object.values(fleetStats).reduce((sum, stats) => sum + stats.total, 0);
+  const successfulScans = Object.values(fleetStats).reduce((sum, stats) => sum + stats.successful, 0);
+  const overallEfficiency = totalScans > 0 ? (successfulScans / totalScans) * 100 : 0;
+
+  // Gap analysis per fleet: cadence, last seen, silences and status as of now
+  const firstSeen = {};
+  const lastSeen = {};
+  const scanTimes = {};
+  allBuckets.forEach(bucket => {
+    if (!(firstSeen[bucket.fleet] <= bucket.first)) firstSeen[bucket.fleet] = bucket.first;
+    if (!(lastSeen[bucket.fleet] >= bucket.last)) lastSeen[bucket.fleet] = bucket.last;
+  });
+  buckets.forEach(bucket => {
+    if (!scanTimes[bucket.fleet]) scanTimes[bucket.fleet] = [];
+    bucketScanTimes(bucket)
+      .filter(time => time >= cutoffDate.getTime())
+      .forEach(time => scanTimes[bucket.fleet].push(time));
+  });
+  Object.keys(fleetStats).forEach(fleet => {
+    fleetStats[fleet].activity = analyzeFleetActivity(
+      scanTimes[fleet] || [], lastSeen[fleet] ?? null, cutoffDate, now, firstSeen[fleet] ?? null
     );
-    tableLines.push(headerLine);
-
-    // Table rows
-    fleetNames.forEach(fleet => {
-      const stats = fleetStats[fleet];
-      const efficiency = stats.total > 0 ? (stats.successful / stats.total) * 100 : 0;
-      tableLines.push(
-        `| ${fleet.padEnd(fleetNameColWidth)} | ${efficiency.toFixed(2).padEnd(16)} |`
-      );
-    });
-
-    // Table footer
-    tableLines.push(headerLine);
-
-    // Combine console lines
-    const consoleMessage = consoleLines.join('\n') + '\n\n' + tableLines.join('\n');
-
-    // Print to stdout
-    console.log(consoleMessage);
-
-    // --------------------------
-    // 2) Build Pushover (Mobile-Friendly) Output
-    // --------------------------
-    const pushoverLines = [];
-    pushoverLines.push('SCU Scan Fleet Efficiency Report');
-    pushoverLines.push('');
-    pushoverLines.push(`Total Logfile Duration: ${totalLogfileDurationStr}`);
-    if (daysParam) {
-      pushoverLines.push(`Filtered Duration (last ${daysParam} days): ${filteredDurationStr}`);
-    }
-    pushoverLines.push(`Overall Efficiency: ${overallEfficiency.toFixed(2)}%`);
-    pushoverLines.push('');
-    pushoverLines.push('Breakdown by Fleet:');
-
-    fleetNames.forEach(fleet => {
-      const stats = fleetStats[fleet];
-      const efficiency = stats.total > 0 ? (stats.successful / stats.total) * 100 : 0;
-      pushoverLines.push(` • ${fleet}: ${efficiency.toFixed(2)}%`);
-    });
-
-    const pushoverMessage = pushoverLines.join('\n');
-
-    // Optionally send Pushover notification if "pushover" argument is present
-    if (usePushover) {
-      if (!PUSHOVER_USER || !PUSHOVER_TOKEN) {
-        console.error("Pushover requested but PUSHOVER_USER or PUSHOVER_TOKEN not set.");
-        return;
-      }
-      axios.post('https://api.pushover.net/1/messages.json', null, {
-        params: {
-          token: PUSHOVER_TOKEN,
-          user: PUSHOVER_USER,
-          message: pushoverMessage,
-          title: 'SCU Scan Fleet Efficiency'
-        }
-      })
-      .then(() => {
-        console.log('Pushover notification sent.');
-      })
-      .catch(error => {
-        console.error('Error sending Pushover notification:', error.message);
-      });
+  });
+
+  return {
+    daysParam,
+    windowName: window && window.kind !== "rolling" ? window.name : null,
+    windowStart: cutoffDate,
+    // A whole-log run ends just past the latest scan, so that scan is inside
+    // [windowStart, windowEnd).
+    windowEnd: window ? window.until : new Date(latestMs + 1),
+    totalLogfileDurationStr,
+    filteredDurationStr,
+    totalScans,
+    successfulScans,
+    overallEfficiency,
+    fleetStats
+  };
+}
+
+function fleetEfficiency(stats) {
+  return stats.total > 0 ? (stats.successful / stats.total) * 100 : 0;
+}
+
+// "4d" or "36h".
+function formatPeriod(ms) {
+  const hours = Math.round(ms / (60 * 60 * 1000));
+  return hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+}
+
+// Sparklines, rolling success rate and the change against the previous
+// period per fleet, plus the raw series as a detail section.
+function trendSections(trends) {
+  const unit = trends.interval;
+  const period = formatPeriod(trends.periodMs);
+  const fleets = Object.keys(trends.fleets);
+  const trendRows = fleets.map(fleet => {
+    const { points, current, previous, successDelta } = trends.fleets[fleet];
+    const last = points[points.length - 1];
+    return {
+      fleet,
+      scansSpark: sparkline(points.map(point => point.scans)),
+      successSpark: sparkline(points.map(point => point.successRate), 100),
+      rollingSuccessRate: last ? last.rollingSuccessRate : null,
+      successRate: current ? current.successRate : null,
+      previousSuccessRate: previous ? previous.successRate : null,
+      successDelta,
+      sdusPerScan: current ? current.sdusPerScan : null,
+      sdusPerHour: current ? current.sdusPerHour : null
+    };
+  });
+  const seriesRows = [];
+  fleets.forEach(fleet => trends.fleets[fleet].points.forEach(point => seriesRows.push({ fleet, ...point })));
+
+  return [
+    {
+      id: "trends",
+      title: `Trend by Fleet (per ${unit}, vs previous ${period})`,
+      style: "boxed",
+      columns: [
+        { key: "fleet", label: "Fleet Name", minWidth: 28 },
+        { key: "scansSpark", label: `Scans/${unit}` },
+        { key: "successSpark", label: `Success/${unit}` },
+        { key: "rollingSuccessRate", label: `Rolling ${trends.rollingPoints}${unit[0]}`, digits: 1, suffix: "%" },
+        { key: "sdusPerScan", label: "SDU/Scan", digits: 2 },
+        { key: "sdusPerHour", label: "SDU/h", digits: 1 },
+        { key: "successDelta", label: `vs prev ${period}`, format: formatTrend }
+      ],
+      rows: trendRows
+    },
+    {
+      id: "series",
+      title: `Scans per ${unit}`,
+      detail: true,
+      columns: [
+        { key: "fleet", label: "Fleet" },
+        { key: "start", label: "Start" },
+        { key: "scans", label: "Scans" },
+        { key: "successful", label: "Successful" },
+        { key: "successRate", label: "Success", digits: 1, suffix: "%" },
+        { key: "sdusPerScan", label: "SDU/Scan", digits: 2 },
+        { key: "sdusPerHour", label: "SDU/h", digits: 1 },
+        { key: "rollingSuccessRate", label: "Rolling Success", digits: 1, suffix: "%" },
+        { key: "rollingSdusPerScan", label: "Rolling SDU/Scan", digits: 2 },
+        { key: "rollingSdusPerHour", label: "Rolling SDU/h", digits: 1 }
+      ],
+      rows: seriesRows
     }
-  })
-  .on('error', (error) => {
-    console.error(`Error reading CSV file: ${error.message}`);
+  ];
+}
+
+// --------------------------
+// 1) Build the report object shared by every output format
+// --------------------------
+// `trends` (computeTrends in efficiency_trends.js) is optional.
+function buildEfficiencyReport(efficiency, trends = null) {
+  const { daysParam, windowName, totalLogfileDurationStr, filteredDurationStr, overallEfficiency, fleetStats } = efficiency;
+  const fleetNames = Object.keys(fleetStats);
+
+  const items = [{ key: "logfileDuration", label: "Total Logfile Duration", value: totalLogfileDurationStr }];
+  if (daysParam) {
+    const label = `Filtered Duration (${windowName || `last ${daysParam} days`})`;
+    items.push({ key: "filteredDuration", label, value: filteredDurationStr });
+  }
+  items.push({ key: "overallEfficiency", label: "Overall Efficiency", value: overallEfficiency, digits: 2, suffix: "%" });
+
+  return {
+    report: "efficiency",
+    title: "SCU Scan Fleet Efficiency Report",
+    generatedAt: new Date().toISOString(),
+    meta: {
+      days: daysParam,
+      totalScans: efficiency.totalScans,
+      successfulScans: efficiency.successfulScans,
+      interval: trends ? trends.interval : null,
+      trendPeriod: trends ? formatPeriod(trends.periodMs) : null
+    },
+    sections: [
+      { id: "summary", labelWidth: 35, items },
+      {
+        id: "fleets",
+        title: "Breakdown by Fleet",
+        style: "boxed",
+        columns: [
+          { key: "fleet", label: "Fleet Name", minWidth: 28 },
+          { key: "efficiency", label: "Efficiency (%)", digits: 2, minWidth: 16 },
+          { key: "status", label: "Status", minWidth: 22 }
+        ],
+        rows: fleetNames.map(fleet => {
+          const stats = fleetStats[fleet];
+          return {
+            fleet,
+            efficiency: fleetEfficiency(stats),
+            scans: stats.total,
+            successful: stats.successful,
+            status: stats.activity ? stats.activity.label : '',
+            statusCode: stats.activity ? stats.activity.status : null
+          };
+        })
+      },
+      {
+        // Usual cadence, last scan, longest silence, downtime
+        id: "activity",
+        title: "Scan Activity by Fleet",
+        style: "boxed",
+        columns: [
+          { key: "fleet", label: "Fleet Name", minWidth: 28 },
+          { key: "cadenceMs", label: "Cadence", format: formatShortDuration, minWidth: 8 },
+          { key: "lastSeen", label: "Last Seen", format: time => (time ? formatClock(new Date(time)) : 'never'), minWidth: 11 },
+          { key: "longestSilenceMs", label: "Longest Silence", format: formatShortDuration, minWidth: 15 },
+          { key: "downtimeMs", label: "Downtime", format: formatShortDuration, minWidth: 8 }
+        ],
+        rows: fleetNames.map(fleet => {
+          const activity = fleetStats[fleet].activity;
+          return {
+            fleet,
+            cadenceMs: activity.cadenceMs,
+            lastSeen: activity.lastSeen ? activity.lastSeen.toISOString() : null,
+            longestSilenceMs: activity.longestSilenceMs,
+            downtimeMs: activity.downtimeMs
+          };
+        })
+      },
+      ...(trends ? trendSections(trends) : [])
+    ]
+  };
+}
+
+// --------------------------
+// 2) Console (ASCII) layout
+// --------------------------
+function renderEfficiencyText(report) {
+  const banner = [
+    '-------------------------------------------------------',
+    `      ${report.title}`,
+    '-------------------------------------------------------'
+  ];
+  return banner.join('\n') + '\n' + renderText(report);
+}
+
+// --------------------------
+// 3) Pushover (Mobile-Friendly) layout
+// --------------------------
+function renderEfficiencyMobile(report) {
+  const [summary, fleets] = report.sections;
+  const trends = report.sections.find(section => section.id === "trends");
+  const trendOf = fleet => {
+    const row = trends && trends.rows.find(r => r.fleet === fleet);
+    return row && row.successDelta !== null ? ` ${formatTrend(row.successDelta)}` : '';
+  };
+
+  const pushoverLines = [];
+  pushoverLines.push(report.title);
+  pushoverLines.push('');
+  summary.items.forEach(item => pushoverLines.push(`${item.label}: ${formatValue(item.value, item)}`));
+  pushoverLines.push('');
+  pushoverLines.push(trends ? `Breakdown by Fleet (trend vs previous ${report.meta.trendPeriod}):` : 'Breakdown by Fleet:');
+
+  fleets.rows.forEach(row => {
+    const status = row.statusCode && row.statusCode !== STATUS.ACTIVE ? ` (${row.status})` : '';
+    pushoverLines.push(` • ${row.fleet}: ${row.efficiency.toFixed(2)}%${trendOf(row.fleet)}${status}`);
   });
+
+  const footer = renderFooterText(report);
+  return pushoverLines.join('\n') + (footer ? '\n\n' + footer : '');
+}
+
+const EFFICIENCY_RENDERERS = { text: renderEfficiencyText, mobile: renderEfficiencyMobile };
+
+// Kept for existing cron jobs: `node efficiency.js [days] [pushover]` runs
+// `scan-analyzer efficiency` (see scan_analyzer.js).
+async function main() {
+  const { daysParam, usePushover } = parseArgs(process.argv.slice(2));
+  const cliArgs = ["efficiency"];
+  if (daysParam) cliArgs.push("--since", `${daysParam}d`);
+  if (usePushover) cliArgs.push("--notify", "pushover");
+  process.exitCode = await require('./scan_analyzer').run(cliArgs);
+}
+
+module.exports = {
+  parseArgs,
+  formatDuration,
+  loadRecords,
+  computeEfficiency,
+  fleetEfficiency,
+  buildEfficiencyReport,
+  renderEfficiencyText,
+  renderEfficiencyMobile,
+  EFFICIENCY_RENDERERS
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,181 @@
+const { bucketBetween } = require('./scan_store');
+const { startOf, addCalendar } = require('./windows');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const INTERVALS = ["hour", "day"];
+
+// Trailing points folded into the rolling figures: 6 hours or 7 days.
+const ROLLING_POINTS = { hour: 6, day: 7 };
+
+// Success rate changes smaller than this (in points) count as flat.
+const FLAT_POINTS = 0.5;
+
+const SPARK_LEVELS = "▁▂▃▄▅▆▇█";
+const SPARKLINE_MAX_POINTS = 48;
+
+// Start of the hour or day containing `time`, in REPORT_TIMEZONE.
+function intervalStart(time, interval) {
+  return startOf(time, interval);
+}
+
+// Days are stepped on the calendar so DST changes keep them at midnight.
+function nextInterval(start, interval) {
+  return addCalendar(start, interval, 1);
+}
+
+// Hourly for windows up to two days, daily beyond.
+function defaultInterval(windowMs) {
+  return Math.round(windowMs / HOUR_MS) <= 48 ? "hour" : "day";
+}
+
+function rates(scans, successful, SDUs, hours) {
+  return {
+    successRate: scans > 0 ? (successful / scans) * 100 : null,
+    sdusPerScan: scans > 0 ? SDUs / scans : null,
+    sdusPerHour: hours > 0 ? SDUs / hours : null
+  };
+}
+
+// Scan totals per fleet over [from, to); buckets straddling either end count
+// the scans inside.
+function totalsBetween(buckets, from, to) {
+  const totals = {};
+  buckets.forEach(bucket => {
+    const part = bucketBetween(bucket, from, to);
+    if (part.scans <= 0) return;
+    const fleet = totals[bucket.fleet] || (totals[bucket.fleet] = { scans: 0, successful: 0, SDUs: 0 });
+    fleet.scans += part.scans;
+    fleet.successful += part.successful;
+    fleet.SDUs += part.SDUs;
+  });
+  Object.values(totals).forEach(fleet => {
+    fleet.scans = Math.round(fleet.scans);
+    fleet.successful = Math.round(fleet.successful);
+    fleet.SDUs = Math.round(fleet.SDUs);
+    Object.assign(fleet, rates(fleet.scans, fleet.successful, fleet.SDUs, (to - from) / HOUR_MS));
+  });
+  return totals;
+}
+
+// Add rolling success rate, SDUs per scan and SDUs per hour over the last
+// `window` points (including the point itself) to every point.
+function addRolling(points, window) {
+  points.forEach((point, i) => {
+    const span = points.slice(Math.max(0, i - window + 1), i + 1);
+    const sum = key => span.reduce((total, p) => total + p[key], 0);
+    const rolling = rates(sum("scans"), sum("successful"), sum("SDUs"), sum("hours"));
+    point.rollingSuccessRate = rolling.successRate;
+    point.rollingSdusPerScan = rolling.sdusPerScan;
+    point.rollingSdusPerHour = rolling.sdusPerHour;
+  });
+  return points;
+}
+
+/**
+ * Hourly or daily series per fleet over [since, until): one point per
+ * interval, empty ones included, with { start, hours, scans, successful,
+ * SDUs, successRate, sdusPerScan, sdusPerHour } plus the rolling figures.
+ * The first and last intervals are cut to the window, and their per-hour
+ * rates use the hours actually covered.
+ */
+function buildTimeSeries(buckets, { since, until, interval = "hour" }) {
+  const starts = [];
+  for (let start = intervalStart(since.getTime(), interval); start < until.getTime(); start = nextInterval(start, interval)) {
+    starts.push(start);
+  }
+  const index = new Map(starts.map((start, i) => [start, i]));
+
+  const counts = {};
+  buckets.forEach(bucket => {
+    const i = index.get(intervalStart(bucket.first, interval));
+    if (i === undefined) return;
+    const part = bucketBetween(bucket, since, until);
+    if (part.scans <= 0) return;
+    const fleet = counts[bucket.fleet] || (counts[bucket.fleet] = starts.map(() => ({ scans: 0, successful: 0, SDUs: 0 })));
+    fleet[i].scans += part.scans;
+    fleet[i].successful += part.successful;
+    fleet[i].SDUs += part.SDUs;
+  });
+
+  const fleets = {};
+  Object.entries(counts).forEach(([fleet, slots]) => {
+    const points = slots.map((slot, i) => {
+      const from = Math.max(starts[i], since.getTime());
+      const to = Math.min(nextInterval(starts[i], interval), until.getTime());
+      const hours = (to - from) / HOUR_MS;
+      const scans = Math.round(slot.scans);
+      const successful = Math.round(slot.successful);
+      const SDUs = Math.round(slot.SDUs);
+      return { start: new Date(starts[i]).toISOString(), hours, scans, successful, SDUs, ...rates(scans, successful, SDUs, hours) };
+    });
+    fleets[fleet] = addRolling(points, ROLLING_POINTS[interval]);
+  });
+  return { interval, since: since.toISOString(), until: until.toISOString(), fleets };
+}
+
+// Unicode block sparkline; missing values are blanks. `max` fixes the scale
+// (e.g. 100 for percentages), otherwise the largest value is the top. Only
+// the last SPARKLINE_MAX_POINTS values fit.
+function sparkline(values, max = null) {
+  const shown = values.slice(-SPARKLINE_MAX_POINTS);
+  const top = max ?? Math.max(0, ...shown.filter(value => value !== null));
+  return shown
+    .map(value => {
+      if (value === null) return " ";
+      if (top <= 0) return SPARK_LEVELS[0];
+      return SPARK_LEVELS[Math.min(SPARK_LEVELS.length - 1, Math.round((value / top) * (SPARK_LEVELS.length - 1)))];
+    })
+    .join("");
+}
+
+// "▲ +3.2", "▼ -1.0", "= +0.2", or "" when either side has no scans.
+function formatTrend(delta) {
+  if (delta === null || delta === undefined) return "";
+  const arrow = delta >= FLAT_POINTS ? "▲" : delta <= -FLAT_POINTS ? "▼" : "=";
+  return `${arrow} ${delta >= 0 ? "+" : ""}${delta.toFixed(1)}`;
+}
+
+/**
+ * Everything the efficiency report shows about trends for the window
+ * [since, until): the series, and per fleet the window's totals against the
+ * same length of time just before it. `periodMs` overrides that length
+ * (e.g. for a whole-log window, which has nothing before it).
+ */
+function computeTrends(buckets, { since, until, interval = null, periodMs = null }) {
+  const windowMs = until - since;
+  const resolvedInterval = interval || defaultInterval(windowMs);
+  const period = periodMs || windowMs;
+  const periodStart = new Date(until.getTime() - period);
+  const current = totalsBetween(buckets, periodStart, until);
+  const previous = totalsBetween(buckets, new Date(periodStart.getTime() - period), periodStart);
+  const series = buildTimeSeries(buckets, { since, until, interval: resolvedInterval });
+
+  const fleets = {};
+  Object.keys(series.fleets).forEach(fleet => {
+    const now = current[fleet] || null;
+    const before = previous[fleet] || null;
+    fleets[fleet] = {
+      points: series.fleets[fleet],
+      current: now,
+      previous: before,
+      successDelta: now && before && now.successRate !== null && before.successRate !== null
+        ? now.successRate - before.successRate
+        : null
+    };
+  });
+  return { interval: resolvedInterval, rollingPoints: ROLLING_POINTS[resolvedInterval], periodMs: period, fleets };
+}
+
+module.exports = {
+  INTERVALS,
+  ROLLING_POINTS,
+  defaultInterval,
+  totalsBetween,
+  addRolling,
+  buildTimeSeries,
+  sparkline,
+  formatTrend,
+  computeTrends
+};
@@ -0,0 +1,115 @@
+// Gap analysis over a fleet's scan timestamps: tells a fleet that stopped
+// scanning (crashed, out of fuel/food) apart from one that scans poorly.
+const { zonedParts } = require('./windows');
+
+// A silence longer than this many usual scan intervals counts as downtime and
+// marks the fleet "stalled"; longer than OFFLINE_AFTER_CADENCES, "offline".
+const STALLED_AFTER_CADENCES = 3;
+const OFFLINE_AFTER_CADENCES = 10;
+// Cadence the stall and offline thresholds assume for fleets with fewer than
+// two scans in the window; their `cadenceMs` is null, as it was not measured.
+const ASSUMED_CADENCE_MS = 30 * 60 * 1000;
+
+const STATUS = {
+  ACTIVE: "active",
+  STALLED: "stalled",
+  OFFLINE: "offline",
+  NEVER_SEEN: "never seen"
+};
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * @param scanTimes  epoch ms of the fleet's scans inside the window
+ * @param lastSeen   epoch ms of the fleet's latest scan anywhere in the log, or null
+ * @param since      window start (Date)
+ * @param now        window end (Date)
+ * @param firstSeen  epoch ms of the fleet's earliest scan anywhere in the log, or null
+ * `activeMs` is the time the fleet ran in the window: from the window start
+ * (or its first scan, if it started inside the window) to `now`, less
+ * downtime; nothing if it did not scan in the window.
+ */
+function analyzeFleetActivity(scanTimes, lastSeen, since, now, firstSeen = null) {
+  if (lastSeen === null || lastSeen === undefined) {
+    return {
+      scans: 0, cadenceMs: null, lastSeen: null,
+      longestSilenceMs: now - since, downtimeMs: now - since, activeMs: 0,
+      status: STATUS.NEVER_SEEN, label: STATUS.NEVER_SEEN
+    };
+  }
+
+  const times = [...scanTimes].sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) gaps.push(times[i] - times[i - 1]);
+  const measuredMs = median(gaps.filter(gap => gap > 0));
+  const cadenceMs = measuredMs || ASSUMED_CADENCE_MS;
+  const stallMs = STALLED_AFTER_CADENCES * cadenceMs;
+
+  // Silences: between scans and since the last one, plus the one before the
+  // first scan if the fleet scanned before the window. A fleet that started
+  // inside the window was not down before it started.
+  const scannedBefore = firstSeen !== null && firstSeen < since.getTime();
+  const silences = times.length > 0
+    ? [...(scannedBefore ? [times[0] - since.getTime()] : []), ...gaps, now.getTime() - times[times.length - 1]]
+    : [now - since];
+  const longestSilenceMs = Math.max(0, ...silences);
+  const downtimeMs = silences
+    .filter(silence => silence > stallMs)
+    .reduce((sum, silence) => sum + silence - cadenceMs, 0);
+  const activeFrom = scannedBefore ? since.getTime() : times[0];
+  const activeMs = times.length > 0 ? Math.max(0, now.getTime() - activeFrom - downtimeMs) : 0;
+
+  const silentFor = now.getTime() - lastSeen;
+  let status = STATUS.ACTIVE;
+  if (silentFor > OFFLINE_AFTER_CADENCES * cadenceMs) status = STATUS.OFFLINE;
+  else if (silentFor > stallMs) status = STATUS.STALLED;
+
+  return {
+    scans: times.length,
+    cadenceMs: measuredMs,
+    lastSeen: new Date(lastSeen),
+    longestSilenceMs,
+    downtimeMs,
+    activeMs,
+    status,
+    label: status === STATUS.OFFLINE ? `offline since ${formatClock(new Date(lastSeen), now)}` : status
+  };
+}
+
+// HH:MM in REPORT_TIMEZONE, prefixed with MM-DD when the time is not on the
+// same day as `now`.
+function formatClock(date, now = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  const time = zonedParts(date.getTime());
+  const today = zonedParts(now.getTime());
+  const clock = `${pad(time.hour)}:${pad(time.minute)}`;
+  return time.year === today.year && time.month === today.month && time.day === today.day
+    ? clock
+    : `${pad(time.month)}-${pad(time.day)} ${clock}`;
+}
+
+// e.g. "2d 4h", "3h 20m", "45m".
+function formatShortDuration(ms) {
+  if (ms === null || ms === undefined) return "N/A";
+  const minutesTotal = Math.round(ms / 60000);
+  const days = Math.floor(minutesTotal / 1440);
+  const hours = Math.floor((minutesTotal % 1440) / 60);
+  const minutes = minutesTotal % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+module.exports = {
+  STATUS,
+  STALLED_AFTER_CADENCES,
+  OFFLINE_AFTER_CADENCES,
+  analyzeFleetActivity,
+  formatClock,
+  formatShortDuration
+};
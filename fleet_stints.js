@@ -0,0 +1,91 @@
+const { formatClock } = require('./fleet_activity');
+
+/**
+ * Split a fleet's scans into stints at consecutive bases.
+ *
+ * @param visits  [{ first, last, baseName, scans, SDUs, SDUs24h }] for the
+ *                fleet's scan buckets in the window; SDUs and SDUs24h are the
+ *                parts inside the report and 24h windows
+ * @param now     end of both windows (Date)
+ * @param from    when the first stint began (Date, optional): the later of the
+ *                window start and the rental start, so the rent owed before
+ *                the fleet's first scan belongs to a stint. A first scan
+ *                before it still starts the stint.
+ * @returns { stints, relocations } where a stint is
+ *   { baseName, start, end, lastScan, scans, SDUs, SDUs24h } (end is when the
+ *   next stint began, or now) and a relocation is { from, to, leftAt, arrivedAt }.
+ */
+function buildStints(visits, now, from = null) {
+  const sorted = [...visits].sort((a, b) => a.first - b.first);
+  const stints = [];
+  sorted.forEach(visit => {
+    let stint = stints[stints.length - 1];
+    if (!stint || stint.baseName !== visit.baseName) {
+      stint = {
+        baseName: visit.baseName,
+        start: visit.first,
+        end: null,
+        lastScan: visit.last,
+        scans: 0,
+        SDUs: 0,
+        SDUs24h: 0
+      };
+      stints.push(stint);
+    }
+    stint.lastScan = Math.max(stint.lastScan, visit.last);
+    stint.scans += visit.scans;
+    stint.SDUs += visit.SDUs;
+    stint.SDUs24h += visit.SDUs24h;
+  });
+
+  if (from && stints.length > 0) stints[0].start = Math.min(stints[0].start, from.getTime());
+
+  const relocations = [];
+  stints.forEach((stint, i) => {
+    const next = stints[i + 1];
+    stint.end = next ? next.start : now.getTime();
+    if (next) {
+      relocations.push({
+        from: stint.baseName,
+        to: next.baseName,
+        leftAt: new Date(stint.lastScan),
+        arrivedAt: new Date(next.start)
+      });
+    }
+  });
+  return { stints, relocations };
+}
+
+// The stint's value and ROI in percent against `stint.rent`, the rent owed for
+// the stint (set by analyzeAndFormatLocal; null or missing for owned fleets).
+function stintEconomics(stint, price) {
+  const value = stint.SDUs * price;
+  const rent = stint.rent ?? null;
+  if (rent === null) return { value, rent: null, roi: null };
+  return { value, rent, roi: rent > 0 ? (value / rent) * 100 : null };
+}
+
+function basePath(stints) {
+  return stints.map(stint => stint.baseName).join(" → ");
+}
+
+// "• Planet Eater: left ONI-CSS 03-24 10:00, arrived MRZ-20 03-24 10:20"
+function relocationLines(fleetData) {
+  const lines = [];
+  Object.entries(fleetData).forEach(([fleet, data]) => {
+    (data.relocations || []).forEach(move => {
+      lines.push(
+        `• ${fleet}: left ${move.from} ${formatClock(move.leftAt)}, ` +
+        `arrived ${move.to} ${formatClock(move.arrivedAt)}`
+      );
+    });
+  });
+  return lines;
+}
+
+module.exports = {
+  buildStints,
+  stintEconomics,
+  basePath,
+  relocationLines
+};
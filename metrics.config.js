@@ -0,0 +1,15 @@
+module.exports = {
+  apps: [
+    {
+      name: "metrics",
+      script: "./metrics.js",
+      // For node_exporter's textfile collector; point
+      // --collector.textfile.directory at the file's directory
+      args: "--textfile ./data/scanner.prom",
+      // Rewrite the file every minute; the script exits after each run
+      cron_restart: "* * * * *",
+      autorestart: false,
+      watch: false
+    }
+  ]
+};
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { loadBasesMapping, analyzeAndFormatLocal } = require('./anal_rc1');
+const { CSV_FILE_PATH, loadScanBuckets } = require('./scan_store');
+
+// Prometheus metrics from the scan rollups (the ingestion processCSV reads)
+// and the ROI report's prices. Served at /metrics by dashboard.js, or
+// written for node_exporter's textfile collector:
+//   node metrics.js [--textfile PATH]   (default: METRICS_TEXTFILE_PATH)
+// Counters cover the whole scan log, labelled by fleet and base; gauges are
+// as of now, with ROI over the last 24h like the ROI report's fleet table.
+const METRICS_TEXTFILE_PATH = process.env.METRICS_TEXTFILE_PATH || "./data/scanner.prom";
+
+const PREFIX = "scanner_";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+  const number = Number.isFinite(value) ? String(value) : value > 0 ? "+Inf" : value < 0 ? "-Inf" : "NaN";
+  return `${PREFIX}${name}${pairs.length > 0 ? `{${pairs.join(",")}}` : ""} ${number}`;
+}
+
+// Exposition text for metrics given as { name, type, help, samples: [{ labels, value }] }.
+function renderMetrics(metrics) {
+  const lines = [];
+  metrics.forEach(metric => {
+    lines.push(`# HELP ${PREFIX}${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${PREFIX}${metric.name} ${metric.type}`);
+    metric.samples.forEach(sample => lines.push(formatSample(metric.name, sample.labels, sample.value)));
+  });
+  return lines.join("\n") + "\n";
+}
+
+// Scan, success and SDU totals per fleet and base, and each fleet's last
+// scan time.
+function scanTotals(buckets, basesMapping) {
+  const totals = new Map();
+  const lastScan = {};
+  buckets.forEach(bucket => {
+    const base = bucket.coord ? basesMapping[bucket.coord] || bucket.coord : "unknown";
+    const key = `${bucket.fleet}|${base}`;
+    if (!totals.has(key)) totals.set(key, { fleet: bucket.fleet, base, scans: 0, successful: 0, SDUs: 0 });
+    const total = totals.get(key);
+    total.scans += bucket.scans;
+    total.successful += bucket.successful;
+    total.SDUs += bucket.SDUs;
+    if (!(lastScan[bucket.fleet] >= bucket.last)) lastScan[bucket.fleet] = bucket.last;
+  });
+  return { totals: [...totals.values()], lastScan };
+}
+
+/**
+ * Every metric as of `now`. Without a price (ENOPRICE) the price and ROI
+ * gauges are left out and scanner_price_available is 0, so a price outage
+ * never hides the scan counters.
+ */
+async function collectMetrics({ csvFile = CSV_FILE_PATH, now = new Date() } = {}) {
+  const basesMapping = loadBasesMapping();
+  const { totals, lastScan } = scanTotals(await loadScanBuckets({ csvFile }), basesMapping);
+  const counter = (name, help, key) => ({
+    name,
+    type: "counter",
+    help,
+    samples: totals.map(total => ({ labels: { fleet: total.fleet, base: total.base }, value: total[key] }))
+  });
+
+  const metrics = [
+    counter("scans_total", "Scans logged.", "scans"),
+    counter("successful_scans_total", "Scans that found SDUs.", "successful"),
+    counter("sdus_total", "SDUs found.", "SDUs"),
+    {
+      name: "seconds_since_last_scan",
+      type: "gauge",
+      help: "Seconds since the fleet's last logged scan.",
+      samples: Object.entries(lastScan).map(([fleet, last]) => ({
+        labels: { fleet },
+        value: Math.max(0, (now.getTime() - last) / 1000)
+      }))
+    }
+  ];
+
+  let result = null;
+  try {
+    result = await analyzeAndFormatLocal(24, basesMapping, { csvFile, until: now });
+  } catch (err) {
+    if (err.code !== "ENOPRICE") throw err;
+    console.error(err.message);
+  }
+  metrics.push({
+    name: "price_available",
+    type: "gauge",
+    help: "1 when an SDU and ATLAS/USD price was available.",
+    samples: [{ labels: {}, value: result ? 1 : 0 }]
+  });
+  if (!result) return metrics;
+
+  const { orderBook, quotes } = result.priceInfo;
+  metrics.push(
+    {
+      name: "sdu_ask_atlas",
+      type: "gauge",
+      help: "Lowest SDU ask in ATLAS.",
+      samples: orderBook.bestAsk === null ? [] : [{ labels: {}, value: orderBook.bestAsk }]
+    },
+    {
+      name: "sdu_price_atlas",
+      type: "gauge",
+      help: "SDU price the ROI figures use (SDU_PRICE_MODE) in ATLAS.",
+      samples: [{ labels: {}, value: result.currentPrice }]
+    },
+    { name: "atlas_usd", type: "gauge", help: "ATLAS price in USD.", samples: [{ labels: {}, value: result.atlasUsd }] },
+    {
+      name: "price_age_seconds",
+      type: "gauge",
+      help: "Age of each price quote; large when served from the last known good.",
+      samples: Object.entries(quotes).map(([kind, quote]) => ({
+        labels: { kind, source: quote.source },
+        value: Math.max(0, (now.getTime() - new Date(quote.fetchedAt).getTime()) / 1000)
+      }))
+    },
+    {
+      name: "fleet_roi_percent",
+      type: "gauge",
+      help: "Rented fleets' SDU value over the last 24h as a percentage of their 24h rent.",
+      samples: Object.entries(result.fleetData)
+        .filter(([, data]) => data.rent24h > 0)
+        .map(([fleet, data]) => ({ labels: { fleet }, value: ((data.SDUs24h * result.currentPrice) / data.rent24h) * 100 }))
+    }
+  );
+  return metrics;
+}
+
+// The textfile collector may read at any moment, so write and rename.
+function writeTextfile(text, filePath = METRICS_TEXTFILE_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = filePath + ".tmp";
+  fs.writeFileSync(tmpPath, text);
+  fs.renameSync(tmpPath, filePath);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flag = args.indexOf("--textfile");
+  const filePath = flag >= 0 && args[flag + 1] ? args[flag + 1] : METRICS_TEXTFILE_PATH;
+  try {
+    writeTextfile(renderMetrics(await collectMetrics()), filePath);
+  } catch (err) {
+    console.error("Error writing metrics:", err.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  METRICS_TEXTFILE_PATH,
+  renderMetrics,
+  collectMetrics,
+  writeTextfile
+};
+
+if (require.main === module) {
+  main();
+}
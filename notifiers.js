@@ -0,0 +1,295 @@
+require('dotenv').config();
+const fs = require('fs');
+const axios = require('axios');
+const { sendMail } = require('./smtp');
+
+// Where reports get sent, e.g.
+// {
+//   "channels": {
+//     "phone": { "type": "pushover", "token": "...", "user": "...", "priority": 0 },
+//     "ops": { "type": "slack", "webhookUrl": "https://hooks.slack.com/services/..." },
+//     "guild": { "type": "discord", "webhookUrl": "https://discord.com/api/webhooks/..." },
+//     "tg": { "type": "telegram", "botToken": "...", "chatId": "..." },
+//     "mail": { "type": "smtp", "host": "smtp.example.com", "port": 587, "user": "...",
+//               "pass": "...", "from": "scanner@example.com", "to": ["me@example.com"] }
+//   },
+//   "reports": {
+//     "roi": ["phone", "ops"],
+//     "alerts": [{ "channel": "phone", "priority": 1 }]
+//   }
+// }
+// `reports` lists the channels used by `--notify default`; an entry may set
+// the priority for that report. Channels named after their type (pushover,
+// slack, discord, telegram, email) are also created from the PUSHOVER_*,
+// SLACK_WEBHOOK_URL, DISCORD_WEBHOOK_URL, TELEGRAM_* and SMTP_* env keys.
+const NOTIFIERS_PATH = process.env.NOTIFIERS_PATH || "./notifiers.json";
+const NOTIFY_ATTEMPTS = parseInt(process.env.NOTIFY_ATTEMPTS, 10) || 3;
+const NOTIFY_RETRY_DELAY_MS = parseInt(process.env.NOTIFY_RETRY_DELAY_MS, 10) || 1000;
+
+const PUSHOVER_API_URL = "https://api.pushover.net/1/messages.json";
+const TELEGRAM_API_URL = "https://api.telegram.org";
+const HTTP_TIMEOUT_MS = 15 * 1000;
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function partSuffix(message) {
+  return message.parts > 1 ? ` (${message.part}/${message.parts})` : "";
+}
+
+// Section headings such as "Net Profits:" in bold.
+function pushoverHtml(text) {
+  return text
+    .split("\n")
+    .map(line => (/^[^\s•].*:$/.test(line) ? `<b>${escapeHtml(line)}</b>` : escapeHtml(line)))
+    .join("\n");
+}
+
+// Every adapter renders one chunk of a message ({ title, text, html,
+// priority, part, parts }) into the body it posts, which must stay within
+// `limit` characters, and sends it with the channel's settings.
+const ADAPTERS = {
+  pushover: {
+    limit: 1024,
+    render: message => pushoverHtml(message.text),
+    async send(channel, body, message) {
+      const payload = {
+        token: channel.token,
+        user: channel.user,
+        title: message.title + partSuffix(message),
+        message: body,
+        html: 1,
+        priority: message.priority
+      };
+      // Emergency priority repeats until acknowledged.
+      if (message.priority === 2) Object.assign(payload, { retry: 60, expire: 3600 });
+      if (channel.device) payload.device = channel.device;
+      if (channel.sound) payload.sound = channel.sound;
+      await axios.post(channel.apiUrl || PUSHOVER_API_URL, payload, { timeout: HTTP_TIMEOUT_MS });
+    }
+  },
+
+  slack: {
+    limit: 3900,
+    render: message => `*${escapeHtml(message.title + partSuffix(message))}*\n\`\`\`${escapeHtml(message.text)}\`\`\``,
+    async send(channel, body) {
+      await axios.post(channel.webhookUrl, { text: body }, { timeout: HTTP_TIMEOUT_MS });
+    }
+  },
+
+  discord: {
+    limit: 2000,
+    render: message => `**${message.title + partSuffix(message)}**\n\`\`\`\n${message.text}\n\`\`\``,
+    async send(channel, body) {
+      await axios.post(channel.webhookUrl, { content: body }, { timeout: HTTP_TIMEOUT_MS });
+    }
+  },
+
+  telegram: {
+    limit: 4096,
+    render: message => `<b>${escapeHtml(message.title + partSuffix(message))}</b>\n<pre>${escapeHtml(message.text)}</pre>`,
+    async send(channel, body, message) {
+      const url = `${channel.apiUrl || TELEGRAM_API_URL}/bot${channel.botToken}/sendMessage`;
+      await axios.post(url, {
+        chat_id: channel.chatId,
+        text: body,
+        parse_mode: "HTML",
+        disable_notification: message.priority < 0
+      }, { timeout: HTTP_TIMEOUT_MS });
+    }
+  },
+
+  smtp: {
+    limit: Infinity,
+    render: message => message.text,
+    async send(channel, body, message) {
+      const headers = {};
+      if (message.priority > 0) headers["X-Priority"] = "1";
+      if (message.priority < 0) headers["X-Priority"] = "5";
+      await sendMail({
+        ...channel,
+        subject: message.title,
+        text: body,
+        html: message.html || `<pre>${escapeHtml(body)}</pre>`,
+        headers
+      });
+    }
+  }
+};
+
+function channelsFromEnv(env = process.env) {
+  const channels = {};
+  if (env.PUSHOVER_TOKEN && env.PUSHOVER_USER) {
+    channels.pushover = { type: "pushover", token: env.PUSHOVER_TOKEN, user: env.PUSHOVER_USER };
+  }
+  if (env.SLACK_WEBHOOK_URL) channels.slack = { type: "slack", webhookUrl: env.SLACK_WEBHOOK_URL };
+  if (env.DISCORD_WEBHOOK_URL) channels.discord = { type: "discord", webhookUrl: env.DISCORD_WEBHOOK_URL };
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    channels.telegram = { type: "telegram", botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID };
+  }
+  if (env.SMTP_HOST && env.SMTP_TO) {
+    channels.email = {
+      type: "smtp",
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || undefined,
+      secure: env.SMTP_SECURE === "true",
+      allowPlaintextAuth: env.SMTP_ALLOW_PLAINTEXT_AUTH === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM || env.SMTP_USER,
+      to: env.SMTP_TO.split(",").map(address => address.trim())
+    };
+  }
+  return channels;
+}
+
+// A notifiers.json-style object's channels and report lists, plus the
+// channels made from `env`'s keys.
+function buildNotifierConfig(config, env = process.env) {
+  const channels = { ...channelsFromEnv(env), ...(config.channels || {}) };
+  Object.entries(channels).forEach(([name, channel]) => {
+    if (!ADAPTERS[channel.type]) {
+      throw new Error(`Notifier channel "${name}" has an unknown type "${channel.type}" ` +
+        `(available: ${Object.keys(ADAPTERS).join(", ")}).`);
+    }
+  });
+  return { channels, reports: config.reports || {} };
+}
+
+function loadNotifierConfig(filePath = NOTIFIERS_PATH, env = process.env) {
+  const config = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  return buildNotifierConfig(config, env);
+}
+
+// The channels to send `reportName` to: each name in `names`, where
+// "default" stands for the report's list in the config.
+function resolveChannels(config, names, reportName) {
+  const entries = [];
+  names.forEach(name => {
+    if (name === "default") {
+      const configured = config.reports[reportName] || [];
+      if (configured.length === 0) throw new Error(`No notifier channels configured for the ${reportName} report.`);
+      configured.forEach(entry => entries.push(typeof entry === "string" ? { channel: entry } : entry));
+    } else {
+      entries.push({ channel: name });
+    }
+  });
+  return entries.map(entry => {
+    const channel = config.channels[entry.channel];
+    if (!channel) {
+      const known = Object.keys(config.channels);
+      throw new Error(`Unknown notifier channel "${entry.channel}" ` +
+        `(configured: ${known.length > 0 ? known.join(", ") : "none"}).`);
+    }
+    return { ...channel, name: entry.channel, priority: entry.priority ?? channel.priority };
+  });
+}
+
+/**
+ * Split `text` into chunks whose `measure` is at most `limit`, breaking
+ * between lines where possible and inside a line only when it is too long
+ * on its own.
+ */
+function chunkMessage(text, limit, measure = chunk => chunk.length) {
+  if (measure(text) <= limit) return [text];
+  if (measure("") >= limit) throw new Error("Message title leaves no room for the text.");
+
+  const chunks = [];
+  let current = null;
+  text.split("\n").forEach(line => {
+    while (measure(line) > limit) {
+      let cut = line.length - 1;
+      while (cut > 1 && measure(line.slice(0, cut)) > limit) cut--;
+      if (current !== null) chunks.push(current);
+      chunks.push(line.slice(0, cut));
+      current = null;
+      line = line.slice(cut);
+    }
+    const candidate = current === null ? line : current + "\n" + line;
+    if (current !== null && measure(candidate) > limit) {
+      chunks.push(current);
+      current = line;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current !== null) chunks.push(current);
+  return chunks;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Network errors, timeouts, 429s, 5xx responses and transient SMTP replies
+// are retried; anything else (bad token, malformed request) is not.
+function isRetryable(err) {
+  if (err.retryable !== undefined) return err.retryable;
+  if (!err.response) return true;
+  return err.response.status === 429 || err.response.status >= 500;
+}
+
+// Honour Retry-After (seconds) and Telegram's parameters.retry_after.
+function retryDelayMs(err, attempt, baseDelayMs) {
+  const response = err.response || {};
+  const retryAfter = parseFloat((response.headers || {})["retry-after"]) ||
+    (response.data && response.data.parameters && response.data.parameters.retry_after);
+  return retryAfter > 0 ? retryAfter * 1000 : baseDelayMs * 2 ** (attempt - 1);
+}
+
+async function withRetry(fn, { attempts = NOTIFY_ATTEMPTS, baseDelayMs = NOTIFY_RETRY_DELAY_MS, sleep = delay } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= attempts || !isRetryable(err)) throw err;
+      await sleep(retryDelayMs(err, attempt, baseDelayMs));
+    }
+  }
+}
+
+function describeError(err) {
+  if (!err.response) return err.message;
+  const data = typeof err.response.data === "string" ? err.response.data : JSON.stringify(err.response.data);
+  return `HTTP ${err.response.status}${data ? ": " + data.slice(0, 200) : ""}`;
+}
+
+/**
+ * Send `message` ({ title, text, html, priority }) to every channel from
+ * resolveChannels, in chunks that fit each service. A channel's configured
+ * priority wins over the message's. Resolves with one { channel, ok, parts,
+ * error } per channel; a failing channel does not stop the others.
+ * `retry` is passed to withRetry.
+ */
+async function notify(channels, message, retry = {}) {
+  const results = [];
+  for (const channel of channels) {
+    const adapter = ADAPTERS[channel.type];
+    const base = { ...message, priority: channel.priority ?? message.priority ?? 0 };
+    const measure = text => adapter.render({ ...base, text, part: 99, parts: 99 }).length;
+    try {
+      const chunks = chunkMessage(message.text, adapter.limit, measure);
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = { ...base, text: chunks[i], part: i + 1, parts: chunks.length };
+        await withRetry(() => adapter.send(channel, adapter.render(chunk), chunk), retry);
+      }
+      results.push({ channel: channel.name, ok: true, parts: chunks.length });
+    } catch (err) {
+      results.push({ channel: channel.name, ok: false, error: describeError(err) });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  NOTIFIERS_PATH,
+  ADAPTERS,
+  channelsFromEnv,
+  buildNotifierConfig,
+  loadNotifierConfig,
+  resolveChannels,
+  chunkMessage,
+  withRetry,
+  notify
+};
@@ -0,0 +1,104 @@
+require('dotenv').config();
+const fs = require('fs');
+
+// Per-fleet running costs, e.g.
+// {
+//   "resources": { "fuel": "<mint>" },        // optional, adds to/overrides RESOURCE_MINTS
+//   "defaults": { "perScan": { "food": 1 }, "perHour": { "fuel": 12 } },
+//   "fleets": {
+//     "Planet Eater": { "perScan": { "food": 2, "toolkits": 0.5 } }
+//   }
+// }
+// Fleet entries replace the default amount of the resources they list.
+// Without this file no operating costs are deducted.
+const OPERATING_COSTS_PATH = process.env.OPERATING_COSTS_PATH || "./operating_costs.json";
+
+const RESOURCE_MINTS = {
+  fuel: "fueL3hBZjLLLJHiFH9cqZoozTG3XQZ53diwFPwbzNim",
+  food: "foodQJAztMzX1DKpLaiounNe2BDMds5RNuPC6jsNrDG",
+  ammo: "ammoK8AkX2wnebQb35cDAZtTkvsXQbi82cGeTnUvvfK",
+  toolkits: "tooLsNYLiVqzg8o4m3L2Uetbn62mvMWRqkog6PQeYKL"
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function loadCostModel(filePath = OPERATING_COSTS_PATH) {
+  if (!fs.existsSync(filePath)) return null;
+  const model = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    resources: { ...RESOURCE_MINTS, ...(model.resources || {}) },
+    defaults: model.defaults || {},
+    fleets: model.fleets || {}
+  };
+}
+
+// Resources the model consumes anywhere, as { name: mint } for pricing.
+function consumedResources(model) {
+  const names = new Set();
+  [model.defaults, ...Object.values(model.fleets)].forEach(consumption => {
+    Object.keys((consumption && consumption.perScan) || {}).forEach(name => names.add(name));
+    Object.keys((consumption && consumption.perHour) || {}).forEach(name => names.add(name));
+  });
+  const mints = {};
+  names.forEach(name => {
+    if (!model.resources[name]) throw new Error(`No mint address configured for resource "${name}".`);
+    mints[name] = model.resources[name];
+  });
+  return mints;
+}
+
+function fleetConsumption(model, fleet) {
+  const key = fleet.toLowerCase().trim();
+  const override = Object.entries(model.fleets).find(([name]) => name.toLowerCase().trim() === key);
+  const fleetEntry = override ? override[1] : {};
+  return {
+    perScan: { ...(model.defaults.perScan || {}), ...(fleetEntry.perScan || {}) },
+    perHour: { ...(model.defaults.perHour || {}), ...(fleetEntry.perHour || {}) }
+  };
+}
+
+// ATLAS cost of `scans` scans over `activeHours` hours. Resources without a
+// market price are listed in `unpriced` and count as free.
+function costForUsage(consumption, scans, activeHours, prices) {
+  const breakdown = {};
+  const unpriced = [];
+  const add = (name, amount) => {
+    if (!(amount > 0)) return;
+    if (!(prices[name] > 0)) {
+      if (!unpriced.includes(name)) unpriced.push(name);
+      return;
+    }
+    breakdown[name] = (breakdown[name] || 0) + amount * prices[name];
+  };
+  Object.entries(consumption.perScan).forEach(([name, perScan]) => add(name, perScan * scans));
+  Object.entries(consumption.perHour).forEach(([name, perHour]) => add(name, perHour * activeHours));
+  const total = Object.values(breakdown).reduce((sum, cost) => sum + cost, 0);
+  return { total, breakdown, unpriced };
+}
+
+// 24h and window costs for one fleet from processCSV's data. Per-hour costs
+// are charged for the time the fleet was running (`activity.activeMs` and
+// `activeMs24h`: the window less its downtime, see fleet_activity.js), so a
+// fleet that sat offline burns nothing.
+function fleetOperatingCosts(model, fleet, data, prices) {
+  const consumption = fleetConsumption(model, fleet);
+  const activeHours = ms => (ms || 0) / HOUR_MS;
+  const cost24h = costForUsage(consumption, data.scans24h || 0, activeHours(data.activeMs24h), prices);
+  const costDynamic = costForUsage(consumption, data.scans || 0, activeHours(data.activity && data.activity.activeMs), prices);
+  return {
+    cost24h: cost24h.total,
+    costDynamic: costDynamic.total,
+    breakdown: costDynamic.breakdown,
+    unpriced: costDynamic.unpriced
+  };
+}
+
+module.exports = {
+  OPERATING_COSTS_PATH,
+  RESOURCE_MINTS,
+  loadCostModel,
+  consumedResources,
+  fleetConsumption,
+  costForUsage,
+  fleetOperatingCosts
+};
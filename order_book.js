@@ -0,0 +1,108 @@
+// Order-book math for valuing SDUs against the Galactic Marketplace.
+// Levels are { price, quantity, owner } objects; asks sorted cheapest first,
+// bids sorted highest first (see fetchSDUOrderBook in sdu_price.js).
+
+const PRICE_MODES = {
+  ASK: "ask",    // lowest single ask (the original behaviour)
+  BID: "bid",    // highest single bid
+  VWAP: "vwap",  // volume-weighted ask price for N units
+  MID: "mid"     // midpoint between best bid and best ask
+};
+
+const DEPTH_BAND = 0.05;
+
+// Walk the levels until `quantity` units are filled. If the book is too thin
+// the VWAP covers only what could be filled.
+function vwapForQuantity(levels, quantity) {
+  if (levels.length === 0) return { vwap: null, filled: 0, cost: 0 };
+  if (!(quantity > 0)) return { vwap: levels[0].price, filled: 0, cost: 0 };
+
+  let filled = 0;
+  let cost = 0;
+  for (const level of levels) {
+    const take = Math.min(level.quantity, quantity - filled);
+    filled += take;
+    cost += take * level.price;
+    if (filled >= quantity) break;
+  }
+  return { vwap: filled > 0 ? cost / filled : null, filled, cost };
+}
+
+function depthBetween(levels, minPrice, maxPrice) {
+  return levels
+    .filter(level => level.price >= minPrice && level.price <= maxPrice)
+    .reduce((sum, level) => sum + level.quantity, 0);
+}
+
+function summarizeOrderBook(book, quantity = 0) {
+  const bestAsk = book.asks.length > 0 ? book.asks[0].price : null;
+  const bestBid = book.bids.length > 0 ? book.bids[0].price : null;
+  const mid = bestAsk !== null && bestBid !== null ? (bestAsk + bestBid) / 2 : null;
+  const spread = bestAsk !== null && bestBid !== null ? bestAsk - bestBid : null;
+  const askWalk = vwapForQuantity(book.asks, quantity);
+  const bidWalk = vwapForQuantity(book.bids, quantity);
+
+  // Depth is measured from each side's best price, not the mid: GM spreads
+  // are often wider than the band itself.
+  const askDepth = bestAsk !== null ? depthBetween(book.asks, bestAsk, bestAsk * (1 + DEPTH_BAND)) : 0;
+  const bidDepth = bestBid !== null ? depthBetween(book.bids, bestBid * (1 - DEPTH_BAND), bestBid) : 0;
+
+  return {
+    quantity,
+    bestAsk,
+    bestBid,
+    mid,
+    spread,
+    spreadPct: spread !== null && mid > 0 ? (spread / mid) * 100 : null,
+    askVwap: askWalk.vwap,
+    askFilled: askWalk.filled,
+    bidVwap: bidWalk.vwap,
+    bidFilled: bidWalk.filled,
+    askDepth,
+    bidDepth
+  };
+}
+
+function selectPrice(summary, mode = PRICE_MODES.ASK) {
+  switch (mode) {
+    case PRICE_MODES.BID: return summary.bestBid;
+    case PRICE_MODES.VWAP: return summary.askVwap;
+    case PRICE_MODES.MID: return summary.mid;
+    case PRICE_MODES.ASK: return summary.bestAsk;
+    default: throw new Error(`Unknown SDU price mode "${mode}".`);
+  }
+}
+
+function describePriceMode(mode, quantity) {
+  switch (mode) {
+    case PRICE_MODES.BID: return "best bid";
+    case PRICE_MODES.VWAP: return `VWAP for ${quantity} units`;
+    case PRICE_MODES.MID: return "mid";
+    default: return "best ask";
+  }
+}
+
+function formatPrice(price) {
+  return price === null ? "N/A" : price.toFixed(4);
+}
+
+// One-line order-book snapshot appended under the price line.
+function formatOrderBookLine(summary) {
+  let line = `Bid ${formatPrice(summary.bestBid)} / Ask ${formatPrice(summary.bestAsk)}`;
+  if (summary.spreadPct !== null) line += ` (spread ${summary.spreadPct.toFixed(1)}%)`;
+  line += `, depth ±${DEPTH_BAND * 100}%: ${summary.bidDepth} bid / ${summary.askDepth} ask`;
+  if (summary.quantity > 0 && summary.askFilled < summary.quantity) {
+    line += ` (asks cover only ${summary.askFilled} of ${summary.quantity} units)`;
+  }
+  return line;
+}
+
+module.exports = {
+  PRICE_MODES,
+  vwapForQuantity,
+  depthBetween,
+  summarizeOrderBook,
+  selectPrice,
+  describePriceMode,
+  formatOrderBookLine
+};
@@ -0,0 +1,77 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Record and replay of the network fetches behind the prices, so reports and
+// tests run without an RPC endpoint or CoinGecko:
+//   live     fetch as usual (default)
+//   record   fetch as usual and save each answer to PRICE_FIXTURES_DIR
+//   fixture  answer from PRICE_FIXTURES_DIR only, never touching the network
+// Fixtures are { "recordedAt": "...", "data": <raw answer> } files, one per
+// source (FIXTURES). `scan-analyzer --offline` is PRICE_SOURCE=fixture.
+const PRICE_SOURCES = { LIVE: "live", RECORD: "record", FIXTURE: "fixture" };
+const PRICE_FIXTURES_DIR = process.env.PRICE_FIXTURES_DIR || "./data/fixtures";
+
+const FIXTURES = {
+  openOrders: "open_orders.json", // getAllOpenOrders, every open marketplace order
+  coingecko: "coingecko.json"     // CoinGecko's simple/price answer for star-atlas
+};
+
+let priceSource = process.env.PRICE_SOURCE || PRICE_SOURCES.LIVE;
+
+function setPriceSource(source) {
+  priceSource = source;
+}
+
+function isReplaying() {
+  return priceSource === PRICE_SOURCES.FIXTURE;
+}
+
+function fixturePath(name, dir = PRICE_FIXTURES_DIR) {
+  return path.join(dir, FIXTURES[name]);
+}
+
+function loadFixture(name, dir = PRICE_FIXTURES_DIR) {
+  const filePath = fixturePath(name, dir);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`no recorded fixture ${filePath} (record one with PRICE_SOURCE=record)`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function saveFixture(name, data, dir = PRICE_FIXTURES_DIR) {
+  try {
+    const filePath = fixturePath(name, dir);
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = filePath + ".tmp";
+    fs.writeFileSync(tmpPath, JSON.stringify({ recordedAt: new Date().toISOString(), data }, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    // Recording is a side job; the fetch itself still succeeded.
+    console.error(`Error recording ${name} fixture:`, err.message);
+  }
+}
+
+/**
+ * The answer of `fetchLive` for fixture `name`, as the price source says:
+ * fetched, fetched and recorded, or replayed. Replayed answers have been
+ * through JSON, so callers must not rely on class instances (PublicKeys come
+ * back as base58 strings).
+ */
+async function withFixture(name, fetchLive) {
+  if (isReplaying()) return loadFixture(name).data;
+  const data = await fetchLive();
+  if (priceSource === PRICE_SOURCES.RECORD) saveFixture(name, data);
+  return data;
+}
+
+module.exports = {
+  PRICE_SOURCES,
+  PRICE_FIXTURES_DIR,
+  FIXTURES,
+  setPriceSource,
+  isReplaying,
+  loadFixture,
+  saveFixture,
+  withFixture
+};
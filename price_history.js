@@ -0,0 +1,75 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { isReplaying } = require('./price_fixtures');
+
+// Every fetched price is appended here as one JSON line:
+//   {"kind":"sdu","price":0.0213,"timestamp":"2025-03-24T15:40:09.000Z"}
+const PRICE_HISTORY_PATH = process.env.PRICE_HISTORY_PATH || "./data/price_history.jsonl";
+
+const PRICE_KINDS = {
+  SDU: "sdu",             // SDU price in ATLAS
+  ATLAS_USD: "atlas_usd"  // ATLAS price in USD
+};
+
+function recordPrice(kind, price, timestamp = new Date(), filePath = PRICE_HISTORY_PATH) {
+  const value = parseFloat(price);
+  if (isNaN(value) || value <= 0) return;
+  // Replayed fixtures are old answers, not prices seen now.
+  if (isReplaying()) return;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const entry = { kind, price: value, timestamp: new Date(timestamp).toISOString() };
+    fs.appendFileSync(filePath, JSON.stringify(entry) + "\n");
+  } catch (err) {
+    // A failed write must never cost us the report itself.
+    console.error("Error recording price history:", err.message);
+  }
+}
+
+// Returns the recorded prices of one kind, oldest first, as { time, price }.
+function loadPriceHistory(kind, filePath = PRICE_HISTORY_PATH) {
+  if (!fs.existsSync(filePath)) return [];
+  const history = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      const time = new Date(entry.timestamp).getTime();
+      if (entry.kind === kind && !isNaN(time) && entry.price > 0) {
+        history.push({ time, price: entry.price });
+      }
+    } catch (err) {
+      // Skip partially written lines.
+    }
+  });
+  return history.sort((a, b) => a.time - b.time);
+}
+
+// Nearest recorded price at or before `timestamp` (binary search over the
+// sorted history). Falls back to `fallbackPrice` when nothing was recorded
+// that early.
+function priceAt(history, timestamp, fallbackPrice) {
+  const time = new Date(timestamp).getTime();
+  let lo = 0;
+  let hi = history.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (history[mid].time <= time) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found >= 0 ? history[found].price : fallbackPrice;
+}
+
+module.exports = {
+  PRICE_HISTORY_PATH,
+  PRICE_KINDS,
+  recordPrice,
+  loadPriceHistory,
+  priceAt
+};
@@ -0,0 +1,186 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { fetchSDUOrderBook, fetchLowestAskPrices } = require('./sdu_price');
+const { recordPrice, PRICE_KINDS } = require('./price_history');
+const { formatShortDuration } = require('./fleet_activity');
+const { withFixture, isReplaying } = require('./price_fixtures');
+
+// Every price a report needs is a quote: { value, source, fetchedAt, stale }.
+// The providers in PRICE_PROVIDERS are tried in order, live ones answering
+// from the disk cache when they were asked less than PRICE_CACHE_TTL_MS ago:
+//   marketplace  Galactic Marketplace via RPC (SDU order book, consumables)
+//   coingecko    ATLAS/USD from CoinGecko
+//   manual       prices from PRICE_OVERRIDES_PATH (see price_overrides.sample.json)
+//   cache        the last known good quote, however old
+// Put "manual" first to always use the override file.
+// With PRICE_SOURCE=fixture the live providers replay recorded answers (see
+// price_fixtures.js); those skip the disk cache both ways.
+const PRICE_CACHE_PATH = process.env.PRICE_CACHE_PATH || "./data/price_cache.json";
+const PRICE_CACHE_TTL_MS = parseInt(process.env.PRICE_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const PRICE_OVERRIDES_PATH = process.env.PRICE_OVERRIDES_PATH || "./price_overrides.json";
+const PRICE_PROVIDERS = (process.env.PRICE_PROVIDERS || "marketplace,coingecko,manual,cache")
+  .split(",")
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const COINGECKO_URL = "https://api.coingecko.com/api/v3/simple/price?ids=star-atlas&vs_currencies=usd";
+
+// Thrown when no provider has a price; the CLI maps the code to its own
+// exit status.
+function noPriceError(message) {
+  const err = new Error(message);
+  err.code = "ENOPRICE";
+  return err;
+}
+
+async function fetchCoinGeckoAtlasUsd() {
+  const data = await withFixture("coingecko", async () => (await axios.get(COINGECKO_URL, { timeout: 15 * 1000 })).data);
+  const usd = data["star-atlas"]?.usd;
+  if (!(usd > 0)) throw new Error("CoinGecko returned no star-atlas price");
+  recordPrice(PRICE_KINDS.ATLAS_USD, usd);
+  return usd;
+}
+
+// A manual SDU price stands in for the whole book, so every price mode
+// (ask, bid, VWAP, mid) values SDUs at it.
+function manualBook(price) {
+  const level = { price, quantity: Infinity, owner: "manual override" };
+  return { asks: [level], bids: [level] };
+}
+
+function nonEmptyBook(book) {
+  if (book.asks.length === 0 && book.bids.length === 0) throw new Error("no SDU orders listed");
+  return book;
+}
+
+// What each quote is called in staleness notes, and how each provider gets
+// it. `overrides` is the parsed override file. A quote that depends on its
+// options names its disk cache entry with `cacheKey`.
+const QUOTES = {
+  sduBook: {
+    label: "SDU price",
+    live: { marketplace: () => fetchSDUOrderBook().then(nonEmptyBook) },
+    manual: overrides => (overrides.sdu > 0 ? manualBook(overrides.sdu) : undefined)
+  },
+  atlasUsd: {
+    label: "ATLAS/USD",
+    live: { coingecko: () => fetchCoinGeckoAtlasUsd() },
+    manual: overrides => (overrides.atlasUsd > 0 ? overrides.atlasUsd : undefined)
+  },
+  // Lowest asks of the consumables in operating_costs.json.
+  resources: {
+    label: "Consumable prices",
+    live: { marketplace: options => fetchLowestAskPrices(options.mints || {}) },
+    manual: overrides => overrides.resources,
+    // Another set of consumables must not be answered from the old one's entry.
+    cacheKey: options => "resources:" + Object.entries(options.mints || {})
+      .map(([name, mint]) => `${name}=${mint}`)
+      .sort()
+      .join(",")
+  }
+};
+
+function loadJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.error(`Error reading ${filePath}:`, err.message);
+    return null;
+  }
+}
+
+function saveCacheEntry(cachePath, key, entry) {
+  try {
+    const cache = loadJson(cachePath) || {};
+    cache[key] = entry;
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    const tmpPath = cachePath + ".tmp";
+    fs.writeFileSync(tmpPath, JSON.stringify(cache));
+    fs.renameSync(tmpPath, cachePath);
+  } catch (err) {
+    // Like the price history, a failed write must never cost us the report.
+    console.error("Error writing price cache:", err.message);
+  }
+}
+
+/**
+ * Resolve a quote of `kind` (a key of QUOTES) through the provider chain.
+ * `options`: now, providers, cachePath, ttlMs, overridesPath, and mints for
+ * the resources quote. Throws an ENOPRICE error listing why each provider
+ * failed.
+ */
+async function getQuote(kind, options = {}) {
+  const spec = QUOTES[kind];
+  const {
+    now = new Date(),
+    providers = PRICE_PROVIDERS,
+    cachePath = PRICE_CACHE_PATH,
+    ttlMs = PRICE_CACHE_TTL_MS,
+    overridesPath = PRICE_OVERRIDES_PATH
+  } = options;
+
+  const cacheKey = spec.cacheKey ? spec.cacheKey(options) : kind;
+  const cached = (loadJson(cachePath) || {})[cacheKey];
+  const replaying = isReplaying();
+  const failures = [];
+  for (const name of providers) {
+    if (spec.live[name]) {
+      // A recent answer from this provider saves the network round trip.
+      if (!replaying && cached && cached.source === name && now.getTime() - new Date(cached.fetchedAt).getTime() < ttlMs) {
+        return { ...cached, stale: false };
+      }
+      try {
+        const value = await spec.live[name](options);
+        if (replaying) return { value, source: name, fetchedAt: now.toISOString(), stale: false, replayed: true };
+        const entry = { value, source: name, fetchedAt: now.toISOString() };
+        saveCacheEntry(cachePath, cacheKey, entry);
+        return { ...entry, stale: false };
+      } catch (err) {
+        failures.push(`${name}: ${err.message}`);
+      }
+    } else if (name === "manual") {
+      const overrides = loadJson(overridesPath);
+      const value = overrides && spec.manual(overrides);
+      if (value !== undefined && value !== null) {
+        const fetchedAt = fs.statSync(overridesPath).mtime.toISOString();
+        return { value, source: "manual", fetchedAt, stale: false };
+      }
+      failures.push(`manual: nothing set in ${overridesPath}`);
+    } else if (name === "cache") {
+      if (cached) return { ...cached, stale: true };
+      failures.push("cache: no earlier price");
+    }
+  }
+  throw noPriceError(`No ${spec.label} available (${failures.join("; ") || "no providers configured"}).`);
+}
+
+// "SDU price 3h 10m old (last known good)", "ATLAS/USD from manual override",
+// "SDU price replayed from a recorded fixture", or null for a live quote.
+function describeQuote(kind, quote, now = new Date()) {
+  const { label } = QUOTES[kind];
+  if (quote.source === "manual") return `${label} from manual override`;
+  if (quote.replayed) return `${label} replayed from a recorded fixture`;
+  if (!quote.stale) return null;
+  const ageMs = now.getTime() - new Date(quote.fetchedAt).getTime();
+  return `${label} ${formatShortDuration(ageMs)} old (last known good)`;
+}
+
+// Where a quote came from, for report metadata.
+function quoteInfo(quote) {
+  const info = { source: quote.source, fetchedAt: quote.fetchedAt, stale: quote.stale };
+  if (quote.replayed) info.replayed = true;
+  return info;
+}
+
+module.exports = {
+  PRICE_CACHE_PATH,
+  PRICE_PROVIDERS,
+  QUOTES,
+  noPriceError,
+  getQuote,
+  describeQuote,
+  quoteInfo
+};
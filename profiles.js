@@ -0,0 +1,103 @@
+require('dotenv').config();
+const fs = require('fs');
+const { CSV_FILE_PATH } = require('./scan_store');
+const { parseRentalContracts, loadRentalContracts } = require('./rentals');
+const { buildNotifierConfig, loadNotifierConfig } = require('./notifiers');
+
+// Named profiles, one per wallet, each with its own scan log(s), bases,
+// rentals and notification targets, e.g.
+// {
+//   "main": {
+//     "csv": "/mnt/star_atlas/scanning/scan_stats.csv",
+//     "bases": "./.bases",
+//     "rentals": "./rentals.json",
+//     "notifiers": "./notifiers.json"
+//   },
+//   "alt": {
+//     "csv": ["/mnt/alt/scan_stats.csv", "/mnt/alt2/scan_stats.csv"],
+//     "bases": "./alt.bases",
+//     "rentals": [{ "fleet": "Alt Scout", "dailyRate": 200 }],
+//     "notifiers": { "channels": { "alt-phone": { "type": "pushover", "token": "...", "user": "..." } } }
+//   }
+// }
+// `rentals` and `notifiers` are a file path or the file's contents inline.
+// Keys left out fall back to the global settings (CSV_FILE_PATH,
+// BASES_FILE_PATH, rentals.json or RENTAL_*, notifiers.json), so give a
+// profile without rentals "rentals": [] to keep it from sharing them.
+// A profile's notifiers never include the PUSHOVER_*, SLACK_* ... env
+// channels; those belong to the global config.
+// Several logs in one profile each get their own rollup store, so
+// SCAN_STORE_PATH must not be set.
+const PROFILES_PATH = process.env.PROFILES_PATH || "./profiles.json";
+
+// `--profile all` selects every profile.
+const ALL_PROFILES = "all";
+
+function loadRentals(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value === "string") {
+    if (!fs.existsSync(value)) throw new Error(`Profile "${name}": rentals file not found: ${value}`);
+    return loadRentalContracts(value);
+  }
+  return parseRentalContracts(value, `Profile "${name}" rentals`);
+}
+
+function loadNotifiers(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value === "string") {
+    if (!fs.existsSync(value)) throw new Error(`Profile "${name}": notifiers file not found: ${value}`);
+    return loadNotifierConfig(value, {});
+  }
+  return buildNotifierConfig(value, {});
+}
+
+// { name, csvFile, basesFile, rentalContracts, notifierConfig }; csvFile is
+// a path or, for several logs, a list of them. Fallbacks stay undefined.
+function normalizeProfile(name, raw) {
+  if (name === ALL_PROFILES || !/^[\w.-]+$/.test(name)) throw new Error(`Invalid profile name "${name}".`);
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`Profile "${name}" must be an object.`);
+  const csv = raw.csv === undefined ? [CSV_FILE_PATH] : [].concat(raw.csv);
+  if (csv.length === 0 || csv.some(file => typeof file !== "string" || file === "")) {
+    throw new Error(`Profile "${name}" has an invalid csv: give a path or a list of paths.`);
+  }
+  return {
+    name,
+    csvFile: csv.length === 1 ? csv[0] : csv,
+    basesFile: raw.bases,
+    rentalContracts: loadRentals(raw.rentals, name),
+    notifierConfig: loadNotifiers(raw.notifiers, name)
+  };
+}
+
+function loadProfiles(filePath = PROFILES_PATH) {
+  if (!fs.existsSync(filePath)) return {};
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${filePath} must contain an object of named profiles.`);
+  }
+  return Object.fromEntries(Object.entries(raw).map(([name, profile]) => [name, normalizeProfile(name, profile)]));
+}
+
+// The profiles `names` select, in the order given; "all" is every profile.
+function selectProfiles(profiles, names) {
+  const known = Object.keys(profiles);
+  const selected = [];
+  names.forEach(name => {
+    const matches = name === ALL_PROFILES ? known : [name];
+    matches.forEach(match => {
+      if (!profiles[match]) {
+        throw new Error(`Unknown profile "${match}" (configured: ${known.length > 0 ? known.join(", ") : "none"}).`);
+      }
+      if (!selected.includes(profiles[match])) selected.push(profiles[match]);
+    });
+  });
+  if (selected.length === 0) throw new Error(`No profiles configured in ${PROFILES_PATH}.`);
+  return selected;
+}
+
+module.exports = {
+  PROFILES_PATH,
+  ALL_PROFILES,
+  loadProfiles,
+  selectProfiles
+};
@@ -0,0 +1,186 @@
+require('dotenv').config();
+const { contractAt } = require('./rentals');
+const { loadPriceHistory, PRICE_KINDS } = require('./price_history');
+const { formatClock } = require('./fleet_activity');
+const { priceNotes } = require('./anal_rc1');
+
+// Renew/drop advice from the window's yield: a fleet's break-even daily rent
+// is what it scans per day, valued at the SDU price, less its operating
+// costs. Rented fleets are judged against their current contract:
+//   keep          break-even clears the rent by at least ADVISOR_MARGIN
+//   renegotiate   break-even is within ADVISOR_MARGIN of the rent; the target
+//                 is the rent that would clear the margin again
+//   drop          break-even falls short of the rent by more than the margin
+// Owned fleets get the daily rent above which leasing them out beats
+// scanning with them. Both the current price and the mean recorded price of
+// the last ADVISOR_TRAILING_DAYS are used; verdicts take the lower of the two
+// for rented fleets and the higher for owned ones.
+const ADVISOR_MARGIN = parseFloat(process.env.ADVISOR_MARGIN) || 0.2;
+const ADVISOR_TRAILING_DAYS = parseFloat(process.env.ADVISOR_TRAILING_DAYS) || 7;
+const ADVISOR_HORIZON_DAYS = parseFloat(process.env.ADVISOR_HORIZON_DAYS) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ADVICE = {
+  KEEP: "keep",
+  RENEGOTIATE: "renegotiate",
+  DROP: "drop"
+};
+
+// Mean recorded SDU price over the `days` before `now`, or null when nothing
+// was recorded.
+function trailingSduPrice(days = ADVISOR_TRAILING_DAYS, now = new Date(), history = loadPriceHistory(PRICE_KINDS.SDU)) {
+  const from = now.getTime() - days * DAY_MS;
+  const prices = history.filter(entry => entry.time >= from && entry.time <= now.getTime()).map(entry => entry.price);
+  return prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) / prices.length : null;
+}
+
+function adviseRented(breakEven, rent, margin) {
+  const ratio = rent > 0 ? breakEven / rent : Infinity;
+  if (ratio >= 1 + margin) return { advice: ADVICE.KEEP, targetRent: null };
+  if (ratio >= 1 - margin) return { advice: ADVICE.RENEGOTIATE, targetRent: Math.max(0, breakEven / (1 + margin)) };
+  return { advice: ADVICE.DROP, targetRent: null };
+}
+
+/**
+ * Advice for every fleet of analyzeAndFormatLocal's `result` over the window
+ * [since, until). Yields are per day of the window, so a contract younger
+ * than the window is judged on its fleet's scans from before it as well.
+ * Returns { rented, owned, prices, margin, horizonDays }.
+ */
+function buildRentalAdvice(result, contracts, { since, until, trailingPrice = null, margin = ADVISOR_MARGIN, horizonDays = ADVISOR_HORIZON_DAYS }) {
+  const prices = { current: result.currentPrice, trailing: trailingPrice };
+  const days = (until - since) / DAY_MS;
+  const rented = [];
+  const owned = [];
+
+  Object.entries(result.fleetData).forEach(([fleet, data]) => {
+    const contract = contractAt(contracts, fleet, until);
+    // A contract that ended inside the window leaves nothing to decide.
+    if (!contract && data.rentDynamic !== null && data.rentDynamic !== undefined) return;
+
+    const sdusPerDay = data.SDUs / days;
+    const costPerDay = (data.operatingCostDynamic || 0) / days;
+    const netAt = price => (price === null ? null : sdusPerDay * price - costPerDay);
+    const breakEvenCurrent = netAt(prices.current);
+    const breakEvenTrailing = netAt(prices.trailing);
+    const estimates = [breakEvenCurrent, breakEvenTrailing].filter(value => value !== null);
+
+    const row = {
+      fleet,
+      base: data.baseName || "",
+      sdusPerDay,
+      costPerDay,
+      breakEvenCurrent,
+      breakEvenTrailing,
+      horizonSDUs: sdusPerDay * horizonDays
+    };
+
+    if (!contract) {
+      const scanning = Math.max(...estimates);
+      owned.push({ ...row, leaseAbove: Math.max(0, scanning) * (1 + margin) });
+      return;
+    }
+
+    const rent = contract.currency === "USD" ? contract.dailyRate / result.atlasUsd : contract.dailyRate;
+    const breakEven = Math.min(...estimates);
+    const { advice, targetRent } = data.scans === 0
+      ? { advice: ADVICE.DROP, targetRent: null }
+      : adviseRented(breakEven, rent, margin);
+    // Only the part of the horizon the contract still runs.
+    const remainingDays = contract.end ? Math.max(0, (contract.end - until) / DAY_MS) : Infinity;
+    rented.push({
+      ...row,
+      rent,
+      ends: contract.end ? contract.end.toISOString() : null,
+      horizonNet: (breakEven - rent) * Math.min(horizonDays, remainingDays),
+      headroom: rent > 0 ? (breakEven / rent - 1) * 100 : null,
+      advice,
+      targetRent
+    });
+  });
+
+  const byAdvice = [ADVICE.DROP, ADVICE.RENEGOTIATE, ADVICE.KEEP];
+  rented.sort((a, b) => byAdvice.indexOf(a.advice) - byAdvice.indexOf(b.advice) || a.headroom - b.headroom);
+  owned.sort((a, b) => b.leaseAbove - a.leaseAbove);
+  return { rented, owned, prices, margin, horizonDays };
+}
+
+function formatAdvice(advice, row) {
+  if (advice === ADVICE.RENEGOTIATE) return `renegotiate to ≤ ${row.targetRent.toFixed(2)}`;
+  return advice;
+}
+
+function buildAdvisorReport(advice, result, hours, until = new Date()) {
+  const horizon = advice.horizonDays;
+  const margin = Math.round(advice.margin * 100);
+  const trailing = advice.prices.trailing;
+  const notes = [
+    `Break-even: SDUs/day x price - operating costs/day, from the last ${hours}h; advice needs a ${margin}% margin.`,
+    trailing === null
+      ? `No SDU prices recorded in the last ${ADVISOR_TRAILING_DAYS}d; the trailing columns are empty.`
+      : `SDU price ${advice.prices.current.toFixed(4)} now, ${trailing.toFixed(4)} on average over the last ${ADVISOR_TRAILING_DAYS}d.`,
+    ...priceNotes(result.priceInfo.quotes || {})
+  ];
+
+  return {
+    report: "advisor",
+    title: `Rental Advisor (Last ${hours}h)`,
+    generatedAt: new Date().toISOString(),
+    meta: {
+      hours,
+      until: until.toISOString(),
+      margin: advice.margin,
+      horizonDays: horizon,
+      currentPrice: advice.prices.current,
+      trailingPrice: trailing,
+      trailingDays: ADVISOR_TRAILING_DAYS,
+      atlasUsd: result.atlasUsd
+    },
+    sections: [
+      {
+        id: "rented",
+        title: "Rented Fleets (ATLAS/day)",
+        emptyMessage: "No rented fleets.",
+        columns: [
+          { key: "fleet", label: "Fleet" },
+          { key: "rent", label: "Rent", digits: 2 },
+          { key: "sdusPerDay", label: "SDU/day", digits: 1 },
+          { key: "breakEvenCurrent", label: "Break-even (now)", digits: 2 },
+          { key: "breakEvenTrailing", label: `Break-even (${ADVISOR_TRAILING_DAYS}d avg)`, digits: 2 },
+          { key: "headroom", label: "Headroom", digits: 0, suffix: "%" },
+          { key: "horizonSDUs", label: `Next ${horizon}d SDUs`, digits: 0 },
+          { key: "horizonNet", label: `Next ${horizon}d Net`, digits: 2 },
+          { key: "ends", label: "Ends", format: ends => (ends ? formatClock(new Date(ends), until) : "open") },
+          { key: "advice", label: "Advice", format: formatAdvice }
+        ],
+        rows: advice.rented
+      },
+      {
+        id: "owned",
+        title: "Owned Fleets (ATLAS/day)",
+        emptyMessage: "No owned fleets scanned in the window.",
+        columns: [
+          { key: "fleet", label: "Fleet" },
+          { key: "sdusPerDay", label: "SDU/day", digits: 1 },
+          { key: "breakEvenCurrent", label: "Scanning (now)", digits: 2 },
+          { key: "breakEvenTrailing", label: `Scanning (${ADVISOR_TRAILING_DAYS}d avg)`, digits: 2 },
+          { key: "horizonSDUs", label: `Next ${horizon}d SDUs`, digits: 0 },
+          { key: "leaseAbove", label: "Lease Out Above", digits: 2 }
+        ],
+        rows: advice.owned
+      },
+      { id: "notes", notes }
+    ]
+  };
+}
+
+module.exports = {
+  ADVISOR_MARGIN,
+  ADVISOR_TRAILING_DAYS,
+  ADVISOR_HORIZON_DAYS,
+  ADVICE,
+  trailingSduPrice,
+  buildRentalAdvice,
+  buildAdvisorReport
+};
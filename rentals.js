@@ -0,0 +1,165 @@
+require('dotenv').config();
+const fs = require('fs');
+const { parseTimestamp } = require('./windows');
+
+// Rental contracts, e.g.
+// [
+//   {
+//     "fleet": "Planet_Eater #2",
+//     "dailyRate": 500,
+//     "currency": "ATLAS",              // or "USD"
+//     "start": "2025-03-20T00:00:00Z",  // optional, open-ended when omitted;
+//                                       // zoneless dates are in REPORT_TIMEZONE
+//     "end": "2025-04-20T00:00:00Z",    // optional
+//     "upfrontFee": 1000                // optional, charged once at start
+//   }
+// ]
+// Without this file the legacy RENTAL_<FLEET_NAME>=<daily ATLAS> env keys are
+// used as open-ended ATLAS contracts.
+const RENTALS_FILE_PATH = process.env.RENTALS_FILE_PATH || "./rentals.json";
+
+const CURRENCIES = ["ATLAS", "USD"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeFleetName(fleet) {
+  return String(fleet).toLowerCase().trim();
+}
+
+function parseDate(value, field, fleet) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = parseTimestamp(value);
+  if (isNaN(date)) throw new Error(`Rental for "${fleet}" has an invalid ${field}: ${value}`);
+  return date;
+}
+
+function normalizeContract(raw) {
+  if (!raw || !raw.fleet) throw new Error("Rental contract is missing its fleet name.");
+  const dailyRate = parseFloat(raw.dailyRate);
+  if (isNaN(dailyRate) || dailyRate < 0) {
+    throw new Error(`Rental for "${raw.fleet}" has an invalid dailyRate: ${raw.dailyRate}`);
+  }
+  const currency = (raw.currency || "ATLAS").toUpperCase();
+  if (!CURRENCIES.includes(currency)) {
+    throw new Error(`Rental for "${raw.fleet}" has an unsupported currency: ${raw.currency}`);
+  }
+  const start = parseDate(raw.start, "start", raw.fleet);
+  const end = parseDate(raw.end, "end", raw.fleet);
+  if (start && end && end < start) {
+    throw new Error(`Rental for "${raw.fleet}" has an invalid end: ${raw.end} (before its start ${raw.start})`);
+  }
+  return {
+    fleet: String(raw.fleet).trim(),
+    key: normalizeFleetName(raw.fleet),
+    dailyRate,
+    currency,
+    start,
+    end,
+    upfrontFee: parseFloat(raw.upfrontFee) || 0
+  };
+}
+
+// Legacy: RENTAL_FLEET_NAME=500 becomes an open-ended contract for "fleet name".
+function contractsFromEnv(env = process.env) {
+  const contracts = [];
+  for (const [key, value] of Object.entries(env)) {
+    if (key.startsWith("RENTAL_")) {
+      const fleetName = key
+        .slice("RENTAL_".length)
+        .split('_')
+        .map(word => word.toLowerCase())
+        .join(' ');
+      contracts.push(normalizeContract({ fleet: fleetName, dailyRate: value }));
+    }
+  }
+  return contracts;
+}
+
+// Contracts from a rentals.json-style array; `source` names it in errors.
+function parseRentalContracts(raw, source) {
+  if (!Array.isArray(raw)) throw new Error(`${source} must contain an array of rental contracts.`);
+  return raw.map(normalizeContract);
+}
+
+function loadRentalContracts(filePath = RENTALS_FILE_PATH) {
+  if (!fs.existsSync(filePath)) return contractsFromEnv();
+  return parseRentalContracts(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+}
+
+function contractsForFleet(contracts, fleet) {
+  const key = normalizeFleetName(fleet);
+  return contracts.filter(contract => contract.key === key);
+}
+
+function overlapMs(contract, from, to) {
+  const start = Math.max(from.getTime(), contract.start ? contract.start.getTime() : -Infinity);
+  const end = Math.min(to.getTime(), contract.end ? contract.end.getTime() : Infinity);
+  return Math.max(0, end - start);
+}
+
+function isActiveDuring(contract, from, to) {
+  return overlapMs(contract, from, to) > 0;
+}
+
+// Contracts already warned about, so a report warns once per contract.
+const unconvertible = new Set();
+
+// USD contracts need an ATLAS/USD rate; without one they are left out with a
+// warning rather than turning the rent into NaN.
+function convertible(contract, atlasUsd) {
+  if (contract.currency !== "USD" || atlasUsd > 0) return true;
+  if (!unconvertible.has(contract)) {
+    unconvertible.add(contract);
+    console.error(`Skipping the USD rental of "${contract.fleet}": no ATLAS/USD rate to convert it.`);
+  }
+  return false;
+}
+
+function toAtlas(amount, currency, atlasUsd) {
+  return currency === "USD" ? amount / atlasUsd : amount;
+}
+
+// Rent in ATLAS owed for [from, to): each contract's daily rate prorated over
+// its overlap with the window, plus upfront fees of contracts starting inside
+// it. Returns null when no contract for the fleet touches the window. USD
+// contracts count only when `atlasUsd` is given.
+function rentForWindow(contracts, fleet, from, to, atlasUsd) {
+  const active = contractsForFleet(contracts, fleet).filter(contract =>
+    (isActiveDuring(contract, from, to) || (contract.start && contract.start >= from && contract.start < to)) &&
+    convertible(contract, atlasUsd)
+  );
+  if (active.length === 0) return null;
+
+  return active.reduce((sum, contract) => {
+    let cost = contract.dailyRate * overlapMs(contract, from, to) / DAY_MS;
+    if (contract.start && contract.start >= from && contract.start < to) cost += contract.upfrontFee;
+    return sum + toAtlas(cost, contract.currency, atlasUsd);
+  }, 0);
+}
+
+// The fleet's contract running at `at`, or undefined.
+function contractAt(contracts, fleet, at) {
+  return contractsForFleet(contracts, fleet).find(c =>
+    (!c.start || c.start <= at) && (!c.end || c.end > at)
+  );
+}
+
+// Daily rate in ATLAS of the fleet's contract running at `at`, or null (also
+// for a USD contract without `atlasUsd`).
+function dailyRateAt(contracts, fleet, at, atlasUsd) {
+  const contract = contractAt(contracts, fleet, at);
+  return contract && convertible(contract, atlasUsd) ? toAtlas(contract.dailyRate, contract.currency, atlasUsd) : null;
+}
+
+module.exports = {
+  RENTALS_FILE_PATH,
+  normalizeFleetName,
+  normalizeContract,
+  contractsFromEnv,
+  parseRentalContracts,
+  loadRentalContracts,
+  contractsForFleet,
+  isActiveDuring,
+  rentForWindow,
+  contractAt,
+  dailyRateAt
+};
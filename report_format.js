@@ -0,0 +1,272 @@
+// Reports are plain objects that every output format renders from:
+// {
+//   report: "roi",                        // which report built it
+//   title: "Scanner ROI (Last 24h)",
+//   generatedAt: "2025-03-24T10:00:00.000Z",
+//   meta: { ... },                        // numbers that belong to no section
+//   sections: [
+//     { id, title, items: [{ key, label, value }] },
+//     { id, title, columns: [{ key, label }], rows: [{ ... }], emptyMessage },
+//     { id, title, lines: ["preformatted text", ...] }
+//   ]
+// }
+// A section may combine items, a table and lines (rendered in that order)
+// and end with `notes`. Rows may have `children`, shown indented under them,
+// and a `display` map that overrides the text shown for single cells.
+// Columns and items take `digits`/`suffix` or a `format(value, row)`
+// function for the human-readable formats; JSON and CSV get the raw values.
+// Sections marked `detail` (long raw tables) are left out of the text and
+// mobile layouts.
+
+const FORMATS = ["text", "mobile", "json", "csv", "markdown", "html"];
+
+// Keys that only steer the human-readable renderers.
+const PRESENTATION_KEYS = ["display", "style", "minWidth", "labelWidth", "digits", "suffix", "emptyMessage", "detail"];
+
+function formatValue(value, spec, row) {
+  if (spec.format) return spec.format(value, row);
+  if (value === null) return "N/A";
+  if (value === undefined || value === "") return "";
+  if (typeof value === "number" && spec.digits !== undefined) return value.toFixed(spec.digits) + (spec.suffix || "");
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value) + (spec.suffix || "");
+}
+
+function cellText(row, column) {
+  if (row.display && column.key in row.display) return row.display[column.key];
+  return formatValue(row[column.key], column, row);
+}
+
+// Rows followed by their children, with the nesting depth.
+function flattenRows(rows) {
+  const flat = [];
+  rows.forEach(row => {
+    flat.push({ row, depth: 0 });
+    (row.children || []).forEach(child => flat.push({ row: child, depth: 1 }));
+  });
+  return flat;
+}
+
+function tableCells(section) {
+  return flattenRows(section.rows).map(({ row, depth }) =>
+    section.columns.map((column, i) => (i === 0 && depth > 0 ? "  " : "") + cellText(row, column))
+  );
+}
+
+function columnWidths(section, body) {
+  return section.columns.map((column, i) =>
+    body.reduce((max, cells) => Math.max(max, cells[i].length), Math.max(column.label.length, column.minWidth || 0))
+  );
+}
+
+// Header, dashes, rows; columns three spaces apart.
+function paddedTableLines(section) {
+  const body = tableCells(section);
+  const widths = columnWidths(section, body);
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join("   ").trimEnd();
+  return [
+    line(section.columns.map(column => column.label)),
+    widths.map(w => "-".repeat(w)).join("   ").trimEnd(),
+    ...body.map(line)
+  ];
+}
+
+// +------+------+ framed table.
+function boxedTableLines(section) {
+  const body = tableCells(section);
+  const widths = columnWidths(section, body);
+  const border = "+-" + widths.map(w => "-".repeat(w)).join("-+-") + "-+";
+  const line = cells => "| " + cells.map((cell, i) => cell.padEnd(widths[i])).join(" | ") + " |";
+  return [border, line(section.columns.map(column => column.label)), border, ...body.map(line), border];
+}
+
+// "label: value" lines with the values aligned; indented under a title.
+function itemLines(section) {
+  const indent = section.title ? "  " : "";
+  const labelWidth = section.labelWidth ||
+    section.items.reduce((max, item) => Math.max(max, item.label.length + 2), 0);
+  return section.items.map(item =>
+    indent + (item.label + ":").padEnd(labelWidth) + formatValue(item.value, item, item)
+  );
+}
+
+function renderSectionText(section) {
+  if (section.columns && section.rows.length === 0 && section.emptyMessage) return section.emptyMessage;
+  const lines = [];
+  if (section.title) lines.push(section.style === "boxed" ? `--- ${section.title} ---` : `${section.title}:`);
+  if (section.items) lines.push(...itemLines(section));
+  if (section.columns) lines.push(...(section.style === "boxed" ? boxedTableLines(section) : paddedTableLines(section)));
+  if (section.lines) lines.push(...section.lines);
+  if (section.notes) lines.push(...section.notes);
+  return lines.join("\n");
+}
+
+function renderText(report) {
+  return report.sections.filter(section => !section.detail).map(renderSectionText).filter(text => text !== "").join("\n\n");
+}
+
+// Sections that are only notes (the window and data quality footers), for
+// report-specific layouts that draw their other sections themselves.
+function renderFooterText(report) {
+  return report.sections
+    .filter(section => section.notes && !section.title && !section.items && !section.columns && !section.lines)
+    .map(renderSectionText)
+    .join("\n\n");
+}
+
+// Drop floating point noise (11.759999999999994) from machine-readable output.
+function roundNumber(value) {
+  return typeof value === "number" && !Number.isInteger(value) ? Number(value.toFixed(8)) : value;
+}
+
+function renderJson(report) {
+  return JSON.stringify(report, (key, value) => (PRESENTATION_KEYS.includes(key) ? undefined : roundNumber(value)), 2);
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = Array.isArray(value) ? value.join("; ") : String(roundNumber(value));
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One block per table or item list, headed by column keys. Several blocks
+// are separated by a blank line and a "# <section>" line. Child rows follow
+// their parent with level 1 in a leading "level" column.
+function renderCsv(report) {
+  const sections = report.sections.filter(section => section.columns || section.items);
+  const blocks = sections.map(section => {
+    let rows;
+    if (section.columns) {
+      const keys = section.columns.map(column => column.key);
+      const nested = section.rows.some(row => row.children && row.children.length > 0);
+      rows = [nested ? ["level", ...keys] : keys];
+      flattenRows(section.rows).forEach(({ row, depth }) => {
+        const values = keys.map(key => row[key]);
+        rows.push(nested ? [depth, ...values] : values);
+      });
+    } else {
+      rows = [["key", "value"], ...section.items.map(item => [item.key, item.value])];
+    }
+    const csv = rows.map(values => values.map(csvValue).join(",")).join("\n");
+    return sections.length > 1 ? `# ${section.title || section.id}\n${csv}` : csv;
+  });
+  return blocks.join("\n\n");
+}
+
+function markdownCell(text) {
+  return text.replace(/\|/g, "\\|");
+}
+
+function renderMarkdown(report) {
+  const out = [`# ${report.title}`];
+  report.sections.forEach(section => {
+    const parts = [];
+    if (section.title) parts.push(`## ${section.title}`);
+    if (section.items) {
+      parts.push(section.items.map(item => `- **${item.label}:** ${formatValue(item.value, item, item)}`).join("\n"));
+    }
+    if (section.columns) {
+      if (section.rows.length === 0 && section.emptyMessage) {
+        parts.push(section.emptyMessage);
+      } else {
+        const line = cells => "| " + cells.map(markdownCell).join(" | ") + " |";
+        parts.push([
+          line(section.columns.map(column => column.label)),
+          line(section.columns.map(() => "---")),
+          ...tableCells(section).map(line)
+        ].join("\n"));
+      }
+    }
+    if (section.lines) parts.push("```\n" + section.lines.join("\n") + "\n```");
+    if (section.notes) parts.push(section.notes.map(note => `_${note}_`).join("\n"));
+    out.push(parts.join("\n\n"));
+  });
+  return out.join("\n\n") + "\n";
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// A standalone page; child rows get class "child".
+function renderHtml(report) {
+  const body = [`<h1>${escapeHtml(report.title)}</h1>`];
+  report.sections.forEach(section => {
+    if (section.title) body.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    if (section.items) {
+      body.push("<dl>");
+      section.items.forEach(item => {
+        body.push(`  <dt>${escapeHtml(item.label)}</dt><dd>${escapeHtml(formatValue(item.value, item, item))}</dd>`);
+      });
+      body.push("</dl>");
+    }
+    if (section.columns) {
+      if (section.rows.length === 0 && section.emptyMessage) {
+        body.push(`<p>${escapeHtml(section.emptyMessage)}</p>`);
+      } else {
+        body.push("<table>");
+        body.push("  <tr>" + section.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join("") + "</tr>");
+        flattenRows(section.rows).forEach(({ row, depth }) => {
+          const cells = section.columns.map(column => `<td>${escapeHtml(cellText(row, column))}</td>`).join("");
+          body.push(`  <tr${depth > 0 ? ' class="child"' : ""}>${cells}</tr>`);
+        });
+        body.push("</table>");
+      }
+    }
+    if (section.lines) body.push(`<pre>${escapeHtml(section.lines.join("\n"))}</pre>`);
+    (section.notes || []).forEach(note => body.push(`<p class="note">${escapeHtml(note)}</p>`));
+  });
+
+  return [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(report.title)}</title>`,
+    "<style>",
+    "body { font-family: sans-serif; } table { border-collapse: collapse; }",
+    "th, td { border: 1px solid #ccc; padding: 2px 8px; text-align: left; }",
+    "tr.child td:first-child { padding-left: 24px; } .note { color: #666; }",
+    "</style>",
+    "</head>",
+    "<body>",
+    ...body,
+    "</body>",
+    "</html>"
+  ].join("\n");
+}
+
+const RENDERERS = {
+  text: renderText,
+  mobile: renderText,
+  json: renderJson,
+  csv: renderCsv,
+  markdown: renderMarkdown,
+  html: renderHtml
+};
+
+// Render `report` as one of FORMATS. `overrides` ({ text, mobile }) supplies
+// report-specific layouts; mobile falls back to the text layout.
+function renderReport(report, format = "text", overrides = {}) {
+  if (!RENDERERS[format]) throw new Error(`Unknown report format "${format}" (available: ${FORMATS.join(", ")}).`);
+  if (format === "mobile" && !overrides.mobile && overrides.text) return overrides.text(report);
+  return (overrides[format] || RENDERERS[format])(report);
+}
+
+module.exports = {
+  FORMATS,
+  formatValue,
+  cellText,
+  renderSectionText,
+  renderText,
+  renderFooterText,
+  renderJson,
+  renderCsv,
+  renderMarkdown,
+  renderHtml,
+  renderReport
+};
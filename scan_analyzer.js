@@ -0,0 +1,710 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const util = require('util');
+const { PRICE_MODES, summarizeOrderBook, formatOrderBookLine } = require('./order_book');
+const {
+  SDU_PRICE_MODE,
+  loadBasesMapping,
+  processCSV,
+  analyzeAndFormatLocal,
+  mergeRoiResults,
+  buildRoiReport,
+  renderRoiMobile,
+  priceNotes
+} = require('./anal_rc1');
+const { getQuote, quoteInfo } = require('./price_providers');
+const { PRICE_SOURCES, setPriceSource } = require('./price_fixtures');
+const {
+  loadRecords,
+  computeEfficiency,
+  buildEfficiencyReport,
+  EFFICIENCY_RENDERERS
+} = require('./efficiency');
+const { INTERVALS, computeTrends } = require('./efficiency_trends');
+const { processSectors, rankSectors, buildSectorReport } = require('./sectors');
+const { ANOMALY_BASELINE_DAYS, detectAnomalies, buildAnomalyReport } = require('./anomalies');
+const { buildCompareReport } = require('./compare');
+const { loadRentalContracts } = require('./rentals');
+const { assessDataQuality, qualityNotes, buildValidateReport } = require('./data_quality');
+const { trailingSduPrice, buildRentalAdvice, buildAdvisorReport } = require('./rental_advisor');
+const { loadOrderBookFixture, planSale, buildSellPlanReport } = require('./sell_planner');
+const { FORMATS, renderReport } = require('./report_format');
+const { CSV_FILE_PATH, loadScanBuckets, filterBuckets, bucketBetween } = require('./scan_store');
+const { loadNotifierConfig, resolveChannels, notify } = require('./notifiers');
+const { loadProfiles, selectProfiles } = require('./profiles');
+const {
+  REPORT_TIMEZONE,
+  SCAN_LOG_TIMEZONE,
+  CALENDAR_WINDOWS,
+  CYCLE_WINDOWS,
+  isValidTimeZone,
+  parseTimestamp,
+  parseDuration,
+  explicitWindow,
+  rollingWindow,
+  resolveWindow,
+  describeWindow
+} = require('./windows');
+
+// One entry point for every report:
+//   scan-analyzer <command> [--since 36h | --window yesterday] [--until 2025-04-01] [--fleet NAME]...
+//                 [--base NAME]... [--csv PATH | --profile NAME] [--format FORMAT] [--notify CHANNEL]
+//                 [--price-mode MODE] [--offline]
+//   scan-analyzer compare [--fleet A] [--vs-fleet B] [--vs-since 7d] [--vs-until 7d] [--split DATE]
+//   scan-analyzer sell-plan [--amount N] [--book FIXTURE.json]
+
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NO_CSV: 3,
+  NO_PRICE: 4,
+  NOTIFY_FAILED: 5
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const USAGE = `Usage: scan-analyzer <command> [options]
+
+Commands:
+  roi          SDU value, rent, costs and ROI per fleet (default window: 24h)
+  efficiency   Scan success rate per fleet (default window: whole log)
+  price        Current SDU order book and ATLAS/USD rate
+  sectors      Ranking and heatmap of the sectors scanned from (default window: 24h)
+  export       Hourly scan rollups for the window (default window: 24h)
+  anomalies    Fleets and sectors doing improbably badly against their baseline
+               (default window: 24h)
+  compare      A/B comparison with 95% confidence intervals: --fleet against
+               --vs-fleet, the window against --vs-since/--vs-until, or before
+               and after --split (default window: 7d)
+  advisor      Break-even rent and keep/renegotiate/drop advice per rented fleet,
+               lease-out rent per owned fleet (default window: 7d)
+  validate     Scan log rows rejected or flagged by ingestion and coordinates
+               missing from .bases (default window: whole log)
+  sell-plan    Proceeds, slippage and fees of selling SDUs into the bids now,
+               and a ladder of limit asks undercutting the lowest ask; sells
+               --amount or the SDUs scanned in the window (default window: 24h)
+
+Options:
+  --since <time>     Window start: relative (30m, 36h, 7d, 2w) or a date/time;
+                     times without a zone are in REPORT_TIMEZONE
+  --until <time>     Window end, same forms (default: now)
+  --window <name>    Instead of --since: a rolling window (36h, 7d), a calendar
+                     period in REPORT_TIMEZONE (today, yesterday, this-week,
+                     last-week, this-month, last-month) or a game cycle (cycle,
+                     last-cycle); periods are the ones as of --until
+  --fleet <name>     Only this fleet; repeat for several
+  --base <name>      Only scans from this base name or coordinate; repeat for several
+                     (negative coordinates need the = form: --base=-40_30)
+  --csv <path>       Scan log (default: CSV_FILE_PATH)
+  --profile <name>   Use a profile's scan logs, bases, rentals and notifiers
+                     (see profiles.js); roi takes several, or "all", and adds
+                     up their net profits
+  --interval <unit>  Efficiency trend series: hour or day
+                     (default: hour for windows up to 48h, else day)
+  --format <format>  text, mobile, json, csv, markdown or html
+                     (default: text; csv for export; mobile with --notify)
+  --notify <channel> Also send the report to notifier channels (see notifiers.js):
+                     comma-separated names, or "default" for the report's list
+  --price-mode <m>   How SDUs are valued: ask (lowest ask), bid, vwap (asks walked
+                     for the window's SDUs) or mid (default: SDU_PRICE_MODE or ask)
+  --offline          Replay recorded marketplace and CoinGecko answers instead
+                     of fetching them (PRICE_SOURCE=fixture, see price_fixtures.js)
+  --vs-fleet <name>  compare: side B's fleets (default: --fleet); repeat for several
+  --vs-since <time>  compare: side B's start, relative to its end
+                     (default: as long as side A)
+  --vs-until <time>  compare: side B's end (default: --until)
+  --split <time>     compare: side A ends and side B starts here; side A is as
+                     long as side B unless --since is given
+  --amount <n>       sell-plan: SDUs to sell (default: those scanned in the window)
+  --book <path>      sell-plan: use a recorded order book ({ asks, bids, atlasUsd })
+                     instead of the marketplace
+  -h, --help         Show this help
+
+Exit codes: 0 ok, 1 error, 2 bad usage, 3 scan log missing, 4 no SDU price,
+5 notification failed.`;
+
+const OPTIONS = {
+  since: { type: 'string' },
+  until: { type: 'string' },
+  window: { type: 'string' },
+  fleet: { type: 'string', multiple: true },
+  base: { type: 'string', multiple: true },
+  csv: { type: 'string' },
+  profile: { type: 'string', multiple: true },
+  interval: { type: 'string' },
+  format: { type: 'string' },
+  notify: { type: 'string', multiple: true },
+  'vs-fleet': { type: 'string', multiple: true },
+  'vs-since': { type: 'string' },
+  'vs-until': { type: 'string' },
+  split: { type: 'string' },
+  amount: { type: 'string' },
+  book: { type: 'string' },
+  'price-mode': { type: 'string' },
+  offline: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+// "36h" (relative to `now`), "now" or a date/time, read in REPORT_TIMEZONE
+// unless it has a zone.
+function parseTime(value, now, flag) {
+  if (value === "now") return now;
+  const duration = parseDuration(value);
+  if (duration !== null) return new Date(now.getTime() - duration);
+  const date = parseTimestamp(value);
+  if (isNaN(date)) throw new UsageError(`Invalid ${flag} value "${value}": use e.g. 36h, 7d or 2025-04-01T00:00Z.`);
+  return date;
+}
+
+// The zones are only looked up once a time is parsed or formatted; checking
+// them first turns a typo into a usage error instead of a RangeError.
+function checkTimeZones() {
+  [["REPORT_TIMEZONE", REPORT_TIMEZONE], ["SCAN_LOG_TIMEZONE", SCAN_LOG_TIMEZONE]].forEach(([key, timeZone]) => {
+    if (!isValidTimeZone(timeZone)) {
+      throw new UsageError(`Invalid ${key} "${timeZone}": use an IANA time zone such as UTC or Europe/Berlin.`);
+    }
+  });
+}
+
+// An unknown SDU_PRICE_MODE is a usage error up front, not a failed report.
+function checkPriceMode(mode, source) {
+  const modes = Object.values(PRICE_MODES);
+  if (!modes.includes(mode)) throw new UsageError(`Unknown ${source} "${mode}" (available: ${modes.join(", ")}).`);
+}
+
+// Parse argv (without node and the script) into { command, since, until,
+// window, hours, ... }. `since` is null when neither --since nor --window is
+// given; `window` (see windows.js) is then the command's default rolling
+// window, or null for a whole-log command.
+function parseCliArgs(argv, now = new Date()) {
+  let parsed;
+  try {
+    parsed = util.parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  checkTimeZones();
+  if (positionals.length === 0) throw new UsageError("No command given.");
+  if (positionals.length > 1) throw new UsageError(`Unexpected argument "${positionals[1]}".`);
+
+  const command = positionals[0];
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}".`);
+  const spec = COMMANDS[command];
+
+  if (values.window && values.since) throw new UsageError("--window cannot be combined with --since.");
+  const end = values.until ? parseTime(values.until, now, "--until") : now;
+  let window = null;
+  if (values.window) {
+    window = resolveWindow(values.window, { now: end });
+    if (!window) {
+      const names = [...CALENDAR_WINDOWS, ...CYCLE_WINDOWS].join(", ");
+      throw new UsageError(`Unknown --window "${values.window}" (use e.g. 36h, 7d or one of ${names}).`);
+    }
+    if (window.since >= window.until) throw new UsageError(`--window ${values.window} has not started yet.`);
+  } else if (values.since) {
+    // A relative --since (as the legacy entry points pass) is a rolling window.
+    const start = parseTime(values.since, end, "--since");
+    if (start >= end) throw new UsageError("--since must be before --until.");
+    window = parseDuration(values.since) !== null ? resolveWindow(values.since, { now: end }) : explicitWindow(start, end);
+  } else if (spec.defaultHours) {
+    window = rollingWindow(spec.defaultHours, end);
+  }
+  const since = values.window || values.since ? window.since : null;
+  const until = window ? window.until : end;
+
+  const format = values.format || (values.notify ? spec.notifyFormat : spec.defaultFormat);
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Unknown --format "${format}" (available: ${FORMATS.join(", ")}).`);
+  }
+  if (values['price-mode'] !== undefined) checkPriceMode(values['price-mode'], "--price-mode");
+  else checkPriceMode(SDU_PRICE_MODE, "SDU_PRICE_MODE");
+  if (values.interval && !INTERVALS.includes(values.interval)) {
+    throw new UsageError(`Unknown --interval "${values.interval}" (available: ${INTERVALS.join(", ")}).`);
+  }
+
+  const compareFlags = ["vs-fleet", "vs-since", "vs-until", "split"].filter(flag => values[flag] !== undefined);
+  if (command !== "compare" && compareFlags.length > 0) {
+    throw new UsageError(`--${compareFlags[0]} only applies to compare.`);
+  }
+  const sellFlags = ["amount", "book"].filter(flag => values[flag] !== undefined);
+  if (command !== "sell-plan" && sellFlags.length > 0) {
+    throw new UsageError(`--${sellFlags[0]} only applies to sell-plan.`);
+  }
+  const amount = values.amount !== undefined ? parseFloat(values.amount) : null;
+  if (amount !== null && !(amount > 0)) throw new UsageError(`Invalid --amount "${values.amount}": give a number of SDUs above 0.`);
+
+  let profiles = [];
+  if (values.profile) {
+    if (values.csv) throw new UsageError("--csv cannot be combined with --profile.");
+    const names = values.profile.flatMap(value => value.split(",")).map(name => name.trim()).filter(Boolean);
+    try {
+      profiles = selectProfiles(loadProfiles(), names);
+    } catch (err) {
+      throw new UsageError(`Invalid --profile: ${err.message}`);
+    }
+    if (profiles.length > 1 && command !== "roi") throw new UsageError(`${command} takes one --profile; only roi merges several.`);
+  }
+  // One profile stands in for the global settings; several are merged by roiCommand.
+  const profile = profiles.length === 1 ? profiles[0] : null;
+
+  let channels = [];
+  if (values.notify) {
+    const names = values.notify.flatMap(value => value.split(",")).map(name => name.trim()).filter(Boolean);
+    try {
+      const config = profile && profile.notifierConfig ? profile.notifierConfig : loadNotifierConfig();
+      channels = resolveChannels(config, names, command);
+    } catch (err) {
+      throw new UsageError(`Invalid --notify: ${err.message}`);
+    }
+  }
+
+  return {
+    command,
+    since,
+    until,
+    window,
+    hours: window ? (window.until - window.since) / HOUR_MS : null,
+    fleets: values.fleet || [],
+    bases: values.base || [],
+    csvFile: profiles.length > 0 ? profileCsvFiles(profiles) : values.csv || CSV_FILE_PATH,
+    basesFile: profile ? profile.basesFile : undefined,
+    rentalContracts: profile ? profile.rentalContracts : undefined,
+    profiles,
+    interval: values.interval || null,
+    format,
+    channels,
+    sides: command === "compare" ? compareSides(values, since, until, now, spec.defaultHours) : null,
+    amount,
+    book: values.book || null,
+    priceMode: values['price-mode'] || null,
+    offline: Boolean(values.offline)
+  };
+}
+
+// The scan log of the profiles, or all of their logs as a list.
+function profileCsvFiles(profiles) {
+  const files = [...new Set(profiles.flatMap(profile => [].concat(profile.csvFile)))];
+  return files.length === 1 ? files[0] : files;
+}
+
+// The two sides of `compare` as { label, since, until, fleets }.
+function compareSides(values, since, until, now, defaultHours) {
+  const fleets = values.fleet || [];
+  const vsFleets = values['vs-fleet'] || fleets;
+
+  if (values.split) {
+    if (values['vs-since'] || values['vs-until'] || values['vs-fleet']) {
+      throw new UsageError("--split cannot be combined with --vs-since, --vs-until or --vs-fleet.");
+    }
+    const split = parseTime(values.split, now, "--split");
+    const start = since || new Date(split.getTime() - (until - split));
+    if (!(start < split && split < until)) throw new UsageError("--split must fall inside the window.");
+    return [
+      { label: "before", since: start, until: split, fleets },
+      { label: "after", since: split, until, fleets }
+    ];
+  }
+
+  const sideA = { label: "A", since: since || new Date(until.getTime() - defaultHours * HOUR_MS), until, fleets };
+  const vsUntil = values['vs-until'] ? parseTime(values['vs-until'], now, "--vs-until") : until;
+  const vsSince = values['vs-since']
+    ? parseTime(values['vs-since'], vsUntil, "--vs-since")
+    : new Date(vsUntil.getTime() - (sideA.until - sideA.since));
+  if (vsSince >= vsUntil) throw new UsageError("--vs-since must be before --vs-until.");
+  const sideB = { label: "B", since: vsSince, until: vsUntil, fleets: vsFleets };
+
+  const sameFleets = [...sideA.fleets].sort().join() === [...sideB.fleets].sort().join();
+  if (sameFleets && +sideA.since === +sideB.since && +sideA.until === +sideB.until) {
+    throw new UsageError("compare needs --vs-fleet, --vs-since, --vs-until or --split to differ from side A.");
+  }
+  return [sideA, sideB];
+}
+
+// Window length as shown in report headings: "36h", or "1.5h".
+function formatHours(hours) {
+  return Number.isInteger(hours) ? hours : parseFloat(hours.toFixed(1));
+}
+
+function requireCsv(csvFile) {
+  const missing = [].concat(csvFile).find(file => !fs.existsSync(file));
+  if (missing) {
+    const err = new Error(`Scan log not found: ${missing}`);
+    err.code = "ENOCSV";
+    throw err;
+  }
+}
+
+// The run's .bases mapping: the profile's, all profiles' together, or the
+// global one.
+function basesMappingFor(opts) {
+  if (opts.profiles.length > 1) {
+    return Object.assign({}, ...opts.profiles.map(profile => loadBasesMapping(profile.basesFile)));
+  }
+  return loadBasesMapping(opts.basesFile);
+}
+
+// Each command resolves with a report object (see report_format.js); run()
+// renders it in the requested format.
+async function roiCommand(opts) {
+  requireCsv(opts.csvFile);
+  if (opts.profiles.length > 1) return consolidatedRoiReport(opts);
+  const result = await analyzeAndFormatLocal(opts.hours, basesMappingFor(opts), opts);
+  return buildRoiReport(result, formatHours(opts.hours));
+}
+
+// Each profile is analyzed with its own logs, bases and rentals, then merged
+// into one report with a profile column and the nets per profile.
+async function consolidatedRoiReport(opts) {
+  const entries = [];
+  for (const profile of opts.profiles) {
+    const profileOpts = { ...opts, csvFile: profile.csvFile, rentalContracts: profile.rentalContracts };
+    const result = await analyzeAndFormatLocal(opts.hours, loadBasesMapping(profile.basesFile), profileOpts);
+    entries.push({ profile: profile.name, result });
+  }
+  return buildRoiReport(mergeRoiResults(entries), formatHours(opts.hours));
+}
+
+async function efficiencyCommand(opts) {
+  requireCsv(opts.csvFile);
+  const basesMapping = opts.bases.length > 0 ? basesMappingFor(opts) : {};
+  const buckets = filterBuckets(await loadRecords(opts.csvFile), opts, basesMapping);
+  if (buckets.length === 0) throw new Error("No records found in the logfile.");
+  const days = opts.since ? opts.hours / 24 : null;
+  const efficiency = computeEfficiency(buckets, days, opts.until, opts.since ? opts.window : null);
+  // A whole-log window has nothing before it, so its trend compares the
+  // last day with the one before.
+  const trends = computeTrends(buckets, {
+    since: efficiency.windowStart,
+    until: efficiency.windowEnd,
+    interval: opts.interval,
+    periodMs: days ? null : 24 * HOUR_MS
+  });
+  return buildEfficiencyReport(efficiency, trends);
+}
+
+async function priceCommand() {
+  const quotes = { sduBook: await getQuote("sduBook"), atlasUsd: await getQuote("atlasUsd") };
+  const book = quotes.sduBook.value;
+  const summary = summarizeOrderBook(book);
+  const atlasUsd = quotes.atlasUsd.value;
+  let items = [
+    { key: "bestAsk", label: "Lowest ask", value: summary.bestAsk, format: price => (price === null ? "N/A" : `${price} ATLAS`) },
+    { key: "bestBid", label: "Highest bid", value: summary.bestBid, format: price => (price === null ? "N/A" : `${price} ATLAS`) },
+    { key: "spreadPct", label: "Spread", value: summary.spreadPct, digits: 1, suffix: "%" },
+    { key: "askDepth", label: "Ask depth", value: summary.askDepth },
+    { key: "bidDepth", label: "Bid depth", value: summary.bidDepth },
+    { key: "atlasUsd", label: "ATLAS/USD", value: atlasUsd }
+  ];
+  if (summary.bestAsk !== null) {
+    items.splice(1, 0,
+      { key: "bestAskUsd", label: "Lowest ask (USD)", value: summary.bestAsk * atlasUsd, digits: 6 },
+      { key: "seller", label: "Seller", value: book.asks[0].owner });
+  }
+  // A manual price has no book behind it.
+  const manual = quotes.sduBook.source === "manual";
+  if (manual) items = items.filter(item => !["spreadPct", "askDepth", "bidDepth", "seller"].includes(item.key));
+  return {
+    report: "price",
+    title: "SDU Price",
+    generatedAt: new Date().toISOString(),
+    meta: {
+      orderBook: summary,
+      atlasUsd,
+      priceSources: { sduBook: quoteInfo(quotes.sduBook), atlasUsd: quoteInfo(quotes.atlasUsd) }
+    },
+    sections: [{
+      id: "price",
+      title: "SDU Order Book",
+      items,
+      lines: manual ? undefined : [formatOrderBookLine(summary)],
+      notes: priceNotes(quotes)
+    }]
+  };
+}
+
+async function sectorsCommand(opts) {
+  requireCsv(opts.csvFile);
+  const ranked = rankSectors(await processSectors(opts.hours, basesMappingFor(opts), opts.csvFile, opts));
+  return buildSectorReport(ranked, formatHours(opts.hours));
+}
+
+// The hourly rollups in the window; a bucket straddling --since keeps the
+// scans made inside the window.
+async function exportCommand(opts) {
+  requireCsv(opts.csvFile);
+  const since = opts.window.since;
+  const basesMapping = basesMappingFor(opts);
+  const buckets = filterBuckets(await loadScanBuckets({ csvFile: opts.csvFile, since }), opts, basesMapping);
+  const rows = buckets
+    .map(bucket => bucketBetween(bucket, since))
+    .filter(part => part.scans > 0)
+    .map(part => ({
+      hour: new Date(part.hour).toISOString(),
+      fleet: part.fleet,
+      coord: part.coord,
+      base: basesMapping[part.coord] || "",
+      scans: Math.round(part.scans),
+      successful: Math.round(part.successful),
+      SDUs: Math.round(part.SDUs),
+      first: new Date(part.first).toISOString(),
+      last: new Date(part.last).toISOString()
+    }));
+
+  const hours = formatHours(opts.hours);
+  return {
+    report: "export",
+    title: `Hourly Scans (Last ${hours}h)`,
+    generatedAt: new Date().toISOString(),
+    meta: { hours, since: since.toISOString(), until: opts.until.toISOString() },
+    sections: [{
+      id: "buckets",
+      title: `Hourly Scans (Last ${hours}h)`,
+      emptyMessage: `No scans in the last ${hours} hours.`,
+      columns: ["hour", "fleet", "coord", "base", "scans", "successful", "SDUs", "first", "last"]
+        .map(key => ({ key, label: key })),
+      rows
+    }]
+  };
+}
+
+// Tests the window against the ANOMALY_BASELINE_DAYS before it.
+async function anomaliesCommand(opts) {
+  requireCsv(opts.csvFile);
+  const recentStart = opts.window.since;
+  const baselineStart = new Date(recentStart.getTime() - ANOMALY_BASELINE_DAYS * 24 * HOUR_MS);
+  const basesMapping = basesMappingFor(opts);
+  const buckets = filterBuckets(await loadScanBuckets({ csvFile: opts.csvFile, since: baselineStart }), opts, basesMapping);
+  const result = detectAnomalies(buckets, { recentStart, until: opts.until, baselineStart });
+  return buildAnomalyReport(result, formatHours(opts.hours), ANOMALY_BASELINE_DAYS, basesMapping);
+}
+
+// Each side gets its own ROI run (value at the current price, rent, costs)
+// and its own filtered buckets for the rates.
+async function compareCommand(opts) {
+  requireCsv(opts.csvFile);
+  const basesMapping = basesMappingFor(opts);
+  const earliest = new Date(Math.min(...opts.sides.map(side => side.since.getTime())));
+  const allBuckets = await loadScanBuckets({ csvFile: opts.csvFile, since: earliest });
+  const sides = [];
+  for (const side of opts.sides) {
+    const sideOpts = {
+      ...opts,
+      since: side.since,
+      until: side.until,
+      window: explicitWindow(side.since, side.until),
+      fleets: side.fleets
+    };
+    const hours = (side.until - side.since) / HOUR_MS;
+    sides.push({
+      ...side,
+      buckets: filterBuckets(allBuckets, sideOpts, basesMapping),
+      roi: await analyzeAndFormatLocal(hours, basesMapping, sideOpts)
+    });
+  }
+  return buildCompareReport(sides[0], sides[1]);
+}
+
+// The advice rests on the window's yield; the ROI run supplies SDUs, costs
+// and the current price.
+async function advisorCommand(opts) {
+  requireCsv(opts.csvFile);
+  const result = await analyzeAndFormatLocal(opts.hours, basesMappingFor(opts), opts);
+  const advice = buildRentalAdvice(result, opts.rentalContracts || loadRentalContracts(), {
+    since: opts.window.since,
+    until: opts.until,
+    trailingPrice: trailingSduPrice(undefined, opts.until)
+  });
+  return buildAdvisorReport(advice, result, formatHours(opts.hours), opts.until);
+}
+
+// The book comes from --book or the price providers; without --amount the
+// plan sells what the window's scans brought in.
+async function sellPlanCommand(opts) {
+  let book, atlasUsd = null;
+  const quotes = {};
+  if (opts.book) {
+    if (!fs.existsSync(opts.book)) throw new UsageError(`Order book not found: ${opts.book}`);
+    ({ book, atlasUsd } = loadOrderBookFixture(opts.book));
+  } else {
+    quotes.sduBook = await getQuote("sduBook");
+    book = quotes.sduBook.value;
+  }
+  if (atlasUsd === null) {
+    quotes.atlasUsd = await getQuote("atlasUsd");
+    atlasUsd = quotes.atlasUsd.value;
+  }
+
+  let amount = opts.amount;
+  let source = "--amount";
+  if (amount === null) {
+    requireCsv(opts.csvFile);
+    const fleetData = await processCSV(opts.hours, basesMappingFor(opts), null, opts);
+    amount = Object.values(fleetData).reduce((sum, data) => sum + data.SDUs, 0);
+    source = `scanned in the last ${formatHours(opts.hours)}h`;
+    if (amount === 0) throw new Error(`No SDUs scanned in the last ${formatHours(opts.hours)}h; give --amount.`);
+  }
+  return buildSellPlanReport(planSale(book, amount, { atlasUsd }), { source, quotes });
+}
+
+// Rejections and warnings of the ingestion runs in the window.
+async function validateCommand(opts) {
+  requireCsv(opts.csvFile);
+  const since = opts.since;
+  const assessment = await assessDataQuality({ csvFile: opts.csvFile, since, basesMapping: loadBasesMappingIfAny(opts) });
+  return buildValidateReport(assessment, since ? formatHours(opts.hours) : null);
+}
+
+function loadBasesMappingIfAny(opts) {
+  try {
+    return basesMappingFor(opts);
+  } catch (err) {
+    return null;
+  }
+}
+
+// `defaultFormat` is used unless --format says otherwise, `notifyFormat`
+// with --notify; `renderers` override report_format.js's layouts. Reports
+// read from the scan log get a data quality footer unless `dataQuality` is
+// false, and the window's bounds unless `windowed` is false.
+const COMMANDS = {
+  roi: {
+    run: roiCommand,
+    defaultFormat: "text",
+    notifyFormat: "mobile",
+    defaultHours: 24,
+    title: "Scanner ROI",
+    renderers: { mobile: renderRoiMobile }
+  },
+  efficiency: {
+    run: efficiencyCommand,
+    defaultFormat: "text",
+    notifyFormat: "mobile",
+    defaultHours: null,
+    title: "SCU Scan Fleet Efficiency",
+    renderers: EFFICIENCY_RENDERERS
+  },
+  price: {
+    run: priceCommand,
+    defaultFormat: "text",
+    notifyFormat: "text",
+    defaultHours: null,
+    title: "SDU Price",
+    dataQuality: false,
+    windowed: false
+  },
+  sectors: { run: sectorsCommand, defaultFormat: "text", notifyFormat: "text", defaultHours: 24, title: "Scanner Sectors" },
+  export: { run: exportCommand, defaultFormat: "csv", notifyFormat: "csv", defaultHours: 24, title: "Scan Export" },
+  anomalies: { run: anomaliesCommand, defaultFormat: "text", notifyFormat: "text", defaultHours: 24, title: "Scanner Anomalies" },
+  compare: { run: compareCommand, defaultFormat: "text", notifyFormat: "text", defaultHours: 7 * 24, title: "Scanner Comparison" },
+  advisor: { run: advisorCommand, defaultFormat: "text", notifyFormat: "text", defaultHours: 7 * 24, title: "Rental Advisor" },
+  validate: {
+    run: validateCommand,
+    defaultFormat: "text",
+    notifyFormat: "text",
+    defaultHours: null,
+    title: "Scan Log Data Quality",
+    dataQuality: false
+  },
+  'sell-plan': { run: sellPlanCommand, defaultFormat: "text", notifyFormat: "text", defaultHours: 24, title: "SDU Sell Plan" }
+};
+
+// Run the command and add the window's bounds (and meta.window) for a
+// windowed report unless it is the plain rolling one, and the data quality footer (and meta.dataQuality)
+// when the scan log had problems in the report's window.
+async function buildReport(opts) {
+  const spec = COMMANDS[opts.command];
+  const report = await spec.run(opts);
+  const window = opts.window;
+  if (window && window.kind !== "rolling" && spec.windowed !== false) {
+    report.meta = {
+      ...report.meta,
+      window: {
+        kind: window.kind,
+        name: window.name,
+        since: window.since.toISOString(),
+        until: window.until.toISOString(),
+        timeZone: window.timeZone
+      }
+    };
+    report.sections.push({ id: "window", notes: [`Window: ${describeWindow(window)}`] });
+  }
+  if (spec.dataQuality === false || ![].concat(opts.csvFile).every(file => fs.existsSync(file))) return report;
+  const since = window ? window.since : null;
+  const assessment = await assessDataQuality({ csvFile: opts.csvFile, since, basesMapping: loadBasesMappingIfAny(opts) });
+  const notes = qualityNotes(assessment);
+  if (notes.length > 0) {
+    report.meta = { ...report.meta, dataQuality: { rejected: assessment.rejections, warnings: assessment.warnings } };
+    report.sections.push({ id: "dataQuality", notes });
+  }
+  return report;
+}
+
+function exitCodeFor(err) {
+  if (err instanceof UsageError) return EXIT_CODES.USAGE;
+  if (err.code === "ENOCSV") return EXIT_CODES.NO_CSV;
+  if (err.code === "ENOPRICE") return EXIT_CODES.NO_PRICE;
+  return EXIT_CODES.ERROR;
+}
+
+// Runs one command and resolves with the exit code; output goes to stdout,
+// problems to stderr.
+async function run(argv) {
+  let opts;
+  try {
+    opts = parseCliArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return exitCodeFor(err);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  const spec = COMMANDS[opts.command];
+  if (opts.offline) setPriceSource(PRICE_SOURCES.FIXTURE);
+  let report, output;
+  try {
+    report = await buildReport(opts);
+    output = renderReport(report, opts.format, spec.renderers);
+  } catch (err) {
+    console.error(`Error running ${opts.command}: ${err.message}`);
+    return exitCodeFor(err);
+  }
+  console.log(output);
+
+  if (opts.channels.length > 0) {
+    const html = opts.format === "html" ? output : renderReport(report, "html", spec.renderers);
+    const results = await notify(opts.channels, { title: spec.title, text: output, html });
+    const failed = results.filter(result => !result.ok);
+    results.forEach(result => {
+      if (result.ok) console.error(`Report sent to ${result.channel}.`);
+      else console.error(`Error sending report to ${result.channel}: ${result.error}`);
+    });
+    if (failed.length > 0) return EXIT_CODES.NOTIFY_FAILED;
+  }
+  return EXIT_CODES.OK;
+}
+
+module.exports = {
+  EXIT_CODES,
+  OPTIONS,
+  COMMANDS,
+  UsageError,
+  parseTime,
+  parseCliArgs,
+  buildReport,
+  run
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,192 @@
+require('dotenv').config();
+const { SCAN_LOG_TIMEZONE, parseTimestamp } = require('./windows');
+
+// The columns scan_stats.csv is expected to have, and the checks every row
+// goes through before it is rolled up (see scan_store.js). Rows failing a
+// check are rejected and counted by reason; rows that are usable but
+// suspicious are kept and counted as warnings.
+// Rows dated more than SCAN_FUTURE_TOLERANCE_MS ahead are held back until
+// they are due (a scanner clock running fast), unless they are more than
+// SCAN_FUTURE_HOLD_HOURS ahead, which no clock is.
+// A row whose fleet and timestamp were already seen is a duplicate. Keys are
+// remembered for SCAN_DUPLICATE_WINDOW_HOURS before the fleet's latest scan;
+// older rows come back `unverified`, to be checked against the scans already
+// stored (see scan_store.js).
+const HOUR_MS = 60 * 60 * 1000;
+const SCAN_FUTURE_TOLERANCE_MS = parseInt(process.env.SCAN_FUTURE_TOLERANCE_MS, 10) || 5 * 60 * 1000;
+const SCAN_FUTURE_HOLD_MS = (parseFloat(process.env.SCAN_FUTURE_HOLD_HOURS) || 168) * HOUR_MS;
+const SCAN_DUPLICATE_WINDOW_MS = (parseFloat(process.env.SCAN_DUPLICATE_WINDOW_HOURS) || 48) * HOUR_MS;
+
+const COLUMNS = [
+  { name: "Timestamp", required: true },
+  { name: "Fleet Name", required: true },
+  { name: "SDU Count", required: true },
+  // Older logs call it "Starbase".
+  { name: "Starbase Coordinate", aliases: ["Starbase"], required: false }
+];
+
+const REASONS = {
+  MISSING_TIMESTAMP: "missing Timestamp",
+  MISSING_FLEET: "missing Fleet Name",
+  MISSING_SDU_COUNT: "missing SDU Count",
+  INVALID_TIMESTAMP: "invalid Timestamp",
+  INVALID_SDU_COUNT: "invalid SDU Count",
+  FUTURE_TIMESTAMP: "timestamp too far in the future",
+  DUPLICATE: "duplicate row"
+};
+
+const WARNINGS = {
+  OUT_OF_ORDER: "timestamp before the fleet's previous scan",
+  NO_COORDINATE: "no starbase coordinate",
+  HELD_BACK: "timestamp in the future, held back until due"
+};
+
+// Examples kept per reason, the latest ones.
+const MAX_EXAMPLES = 5;
+
+function columnValue(row, column) {
+  for (const name of [column.name, ...(column.aliases || [])]) {
+    if (row[name] !== undefined && String(row[name]).trim() !== "") return String(row[name]).trim();
+  }
+  return "";
+}
+
+// Try to get the coordinate from either "Starbase Coordinate" or "Starbase"
+function rowCoordinate(row) {
+  return columnValue(row, COLUMNS[3]);
+}
+
+/**
+ * Which schema columns a CSV header lacks ({ missing }) and which of its
+ * columns the schema does not know ({ unknown }).
+ */
+function checkHeader(header) {
+  const present = new Set((header || []).map(name => name.trim()));
+  const known = new Set(COLUMNS.flatMap(column => [column.name, ...(column.aliases || [])]));
+  return {
+    missing: COLUMNS
+      .filter(column => column.required && ![column.name, ...(column.aliases || [])].some(name => present.has(name)))
+      .map(column => column.name),
+    unknown: [...present].filter(name => !known.has(name))
+  };
+}
+
+// The row's schema columns only, as held back rows are kept.
+function schemaRow(row) {
+  return Object.fromEntries(COLUMNS.map(column => [column.name, columnValue(row, column)]));
+}
+
+/**
+ * What validateRow needs from earlier rows, carried from run to run in the
+ * store's checkpoint: { lastTimes: { fleet: ms }, seen: Set of "ms|fleet"
+ * keys, pending: held back rows }.
+ */
+function scanState({ lastTimes = {}, seen = [], pending = [] } = {}) {
+  // Checkpoints from before `seen` still know each fleet's latest scan.
+  const keys = [...seen, ...Object.entries(lastTimes).map(([fleet, time]) => `${time}|${fleet}`)];
+  return { lastTimes: { ...lastTimes }, seen: new Set(keys), pending: [...pending] };
+}
+
+// scanState as stored, with the keys too old to matter dropped.
+function saveScanState(state) {
+  const seen = [...state.seen].filter(key => {
+    const [time, ...fleet] = key.split("|");
+    return Number(time) >= state.lastTimes[fleet.join("|")] - SCAN_DUPLICATE_WINDOW_MS;
+  });
+  return { lastTimes: state.lastTimes, seen, pending: state.pending };
+}
+
+/**
+ * Check one parsed CSV row against `state` (scanState), which is updated.
+ * Returns { scan, reason, held, unverified, warnings }: `scan` ({ time,
+ * fleet, coord, SDUs }) is null when the row is rejected for `reason` or
+ * `held` back until it is due; the caller keeps held rows in
+ * `state.pending`. An `unverified` scan is older than the keys remembered
+ * for its fleet, so it may repeat a stored row.
+ */
+function validateRow(row, state, now = new Date()) {
+  const reject = reason => ({ scan: null, reason, held: false, unverified: false, warnings: [] });
+  const timestamp = columnValue(row, COLUMNS[0]);
+  const fleet = columnValue(row, COLUMNS[1]);
+  const count = columnValue(row, COLUMNS[2]);
+  if (!timestamp) return reject(REASONS.MISSING_TIMESTAMP);
+  if (!fleet) return reject(REASONS.MISSING_FLEET);
+  if (!count) return reject(REASONS.MISSING_SDU_COUNT);
+
+  // Timestamps without a zone are the scanner's wall clock (SCAN_LOG_TIMEZONE).
+  const time = parseTimestamp(timestamp, SCAN_LOG_TIMEZONE).getTime();
+  if (isNaN(time)) return reject(REASONS.INVALID_TIMESTAMP);
+  if (!/^\d+$/.test(count)) return reject(REASONS.INVALID_SDU_COUNT);
+  if (time > now.getTime() + SCAN_FUTURE_HOLD_MS) return reject(REASONS.FUTURE_TIMESTAMP);
+  if (time > now.getTime() + SCAN_FUTURE_TOLERANCE_MS) return { scan: null, reason: null, held: true, unverified: false, warnings: [] };
+  // A fleet cannot scan twice at the same instant, so this is a row logged twice.
+  const key = `${time}|${fleet}`;
+  if (state.seen.has(key)) return reject(REASONS.DUPLICATE);
+  state.seen.add(key);
+  const unverified = time < state.lastTimes[fleet] - SCAN_DUPLICATE_WINDOW_MS;
+
+  const warnings = [];
+  if (state.lastTimes[fleet] > time) warnings.push(WARNINGS.OUT_OF_ORDER);
+  else state.lastTimes[fleet] = time;
+  const coord = rowCoordinate(row);
+  if (!coord) warnings.push(WARNINGS.NO_COORDINATE);
+  return { scan: { time, fleet, coord, SDUs: parseInt(count, 10) }, reason: null, held: false, unverified, warnings };
+}
+
+// What one ingestion run saw: { at, accepted: n, rejected: { reason: n },
+// warnings: { warning: n }, examples: { reason: ["csv,values", ...] } }.
+function newQuality(at = new Date()) {
+  return { at: at.toISOString(), accepted: 0, rejected: {}, warnings: {}, examples: {} };
+}
+
+function noteIssue(quality, kind, reason, row) {
+  quality[kind][reason] = (quality[kind][reason] || 0) + 1;
+  const examples = quality.examples[reason] || (quality.examples[reason] = []);
+  examples.push(COLUMNS.map(column => columnValue(row, column)).join(","));
+  if (examples.length > MAX_EXAMPLES) examples.shift();
+}
+
+// Whether the run read anything worth a quality record.
+function hasRecord(quality) {
+  return quality.accepted > 0 || hasIssues(quality);
+}
+
+function hasIssues(quality) {
+  return Object.keys(quality.rejected).length > 0 || Object.keys(quality.warnings).length > 0;
+}
+
+// Sum of the quality records of several runs.
+function mergeQuality(records) {
+  const total = newQuality(new Date(0));
+  records.forEach(record => {
+    total.accepted += record.accepted || 0;
+    ["rejected", "warnings"].forEach(kind => {
+      Object.entries(record[kind] || {}).forEach(([reason, count]) => {
+        total[kind][reason] = (total[kind][reason] || 0) + count;
+      });
+    });
+    Object.entries(record.examples || {}).forEach(([reason, rows]) => {
+      total.examples[reason] = [...(total.examples[reason] || []), ...rows].slice(-MAX_EXAMPLES);
+    });
+    if (record.at > total.at) total.at = record.at;
+  });
+  return total;
+}
+
+module.exports = {
+  SCAN_FUTURE_TOLERANCE_MS,
+  COLUMNS,
+  REASONS,
+  WARNINGS,
+  rowCoordinate,
+  checkHeader,
+  schemaRow,
+  scanState,
+  saveScanState,
+  validateRow,
+  newQuality,
+  noteIssue,
+  hasRecord,
+  hasIssues,
+  mergeQuality
+};
@@ -0,0 +1,602 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const csv = require('csv-parser');
+const {
+  rowCoordinate,
+  checkHeader,
+  schemaRow,
+  scanState,
+  saveScanState,
+  validateRow,
+  newQuality,
+  noteIssue,
+  hasRecord,
+  mergeQuality,
+  REASONS,
+  WARNINGS
+} = require('./scan_schema');
+
+// Incremental ingestion of scan_stats.csv. Each run parses only the bytes
+// appended since the last checkpoint and rolls them up by hour, fleet and
+// starbase coordinate into an append-only JSONL store:
+//   {"type":"bucket","hour":...,"fleet":"...","coord":"-40_30","scans":3,"successful":2,"SDUs":17,"first":...,"last":...,
+//    "detail":[[offset,SDUs],...]}
+//   {"type":"checkpoint","file":"...","dev":...,"ino":...,"offset":12345,"header":[...],"lastTimes":{...},"seen":[...],"pending":[...]}
+//   {"type":"quality","at":"...","accepted":40,"rejected":{"invalid SDU Count":1},"warnings":{},"examples":{...}}
+// A later bucket line for the same key adds to the earlier ones; the latest
+// checkpoint line says where to resume, and carries what row validation
+// needs from earlier runs, including the rows held back for being dated in
+// the future (see scan_schema.js). Every run that read rows leaves a quality
+// line counting the rows it accepted, rejected and warned about (merged by
+// hour on compaction); runs that found nothing new leave no line at all.
+// `detail` lists each scan's milliseconds into the hour and SDUs, in time
+// order, so a window edge inside an hour cuts the bucket exactly (see
+// bucketBetween) and scans are priced and timed individually. That makes a
+// read grow with the number of scans in the window again, at two numbers a
+// scan instead of a parsed and validated CSV row: compare splits, trend and
+// anomaly periods and the cadence analysis all cut or walk the scans at
+// arbitrary instants, so keeping the detail elsewhere would not spare the
+// reports that read most. Compaction writes the quality and checkpoint
+// lines first and the buckets sorted by hour, and records in `<store>.idx`
+// where each hour starts, so a report reads only the hours in its window
+// plus whatever was appended since.
+// Runs can overlap (PM2 jobs on the same schedule, the dashboard, the CLI),
+// so each one holds `<store>.lock` from reading the checkpoint until its
+// lines are appended. A lock whose process is gone, or older than
+// SCAN_STORE_LOCK_STALE_MS, is left over from a crash and taken over.
+// Within one process, reports built at the same time (the dashboard's
+// parallel API requests) share a single run per store.
+
+const CSV_FILE_PATH = process.env.CSV_FILE_PATH || "/mnt/star_atlas/scanning/scan_stats.csv";
+const SCAN_STORE_DIR = process.env.SCAN_STORE_DIR || "./data";
+const SCAN_STORE_LOCK_STALE_MS = parseInt(process.env.SCAN_STORE_LOCK_STALE_MS, 10) || 30 * 60 * 1000;
+const LOCK_RETRY_MS = 50;
+// Compact once this much has been appended, or a quarter of the compacted size.
+const COMPACT_MIN_BYTES = 64 * 1024;
+
+// Store path -> the ingestion run in flight for it.
+const ingesting = new Map();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// One store per CSV file, so switching CSV_FILE_PATH never mixes two logs.
+function storePathFor(csvFile) {
+  if (process.env.SCAN_STORE_PATH) return process.env.SCAN_STORE_PATH;
+  const id = crypto.createHash('sha1').update(path.resolve(csvFile)).digest('hex').slice(0, 10);
+  return path.join(SCAN_STORE_DIR, `scan_rollup-${id}.jsonl`);
+}
+
+function bucketKey(bucket) {
+  return `${bucket.hour}|${bucket.fleet}|${bucket.coord}`;
+}
+
+// Two time-ordered `detail` lists as one. Scans mostly arrive in order, so
+// `more` usually just goes on the end of `detail` (which is extended in place).
+function mergeDetail(detail, more) {
+  if (more.length === 0) return detail;
+  if (detail.length === 0 || detail[detail.length - 1][0] <= more[0][0]) {
+    more.forEach(entry => detail.push(entry));
+    return detail;
+  }
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < detail.length || j < more.length) {
+    merged.push(j >= more.length || (i < detail.length && detail[i][0] <= more[j][0]) ? detail[i++] : more[j++]);
+  }
+  return merged;
+}
+
+function mergeBucket(buckets, bucket) {
+  const key = bucketKey(bucket);
+  const existing = buckets.get(key);
+  if (!existing) {
+    buckets.set(key, { ...bucket, detail: bucket.detail && [...bucket.detail] });
+    return;
+  }
+  existing.scans += bucket.scans;
+  existing.successful += bucket.successful;
+  existing.SDUs += bucket.SDUs;
+  existing.first = Math.min(existing.first, bucket.first);
+  existing.last = Math.max(existing.last, bucket.last);
+  // Rollups written before `detail` existed cannot be completed.
+  existing.detail = existing.detail && bucket.detail ? mergeDetail(existing.detail, bucket.detail) : undefined;
+}
+
+function indexPathFor(storePath) {
+  return storePath + ".idx";
+}
+
+// The hour index, if it describes the store file open as `fd`.
+function readIndex(storePath, fd) {
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPathFor(storePath), 'utf8'));
+    const stat = fs.fstatSync(fd);
+    return index.ino === stat.ino && index.size <= stat.size ? index : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function readRange(fd, start, end) {
+  const buffer = Buffer.alloc(Math.max(0, end - start));
+  let read = 0;
+  while (read < buffer.length) {
+    const bytes = fs.readSync(fd, buffer, read, buffer.length - read, start + read);
+    if (bytes === 0) break;
+    read += bytes;
+  }
+  return buffer.subarray(0, read).toString('utf8');
+}
+
+// Read the store's buckets, latest checkpoint and quality records. With an
+// up-to-date index, compacted buckets of hours before `fromHour` (epoch ms)
+// are skipped: none of their scans are that recent.
+function readStore(storePath, fromHour = -Infinity) {
+  const buckets = new Map();
+  const quality = [];
+  let checkpoint = null;
+  if (!fs.existsSync(storePath)) return { buckets, checkpoint, quality };
+
+  const fd = fs.openSync(storePath, 'r');
+  let text;
+  try {
+    const size = fs.fstatSync(fd).size;
+    const index = fromHour > -Infinity ? readIndex(storePath, fd) : null;
+    if (index) {
+      const start = index.hours.find(([hour]) => hour >= fromHour);
+      text = readRange(fd, 0, index.head) + readRange(fd, start ? start[1] : index.size, size);
+    } else {
+      text = readRange(fd, 0, size);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  text.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      return; // partially written line from an interrupted run
+    }
+    if (entry.type === "bucket") {
+      delete entry.type;
+      mergeBucket(buckets, entry);
+    } else if (entry.type === "checkpoint") {
+      checkpoint = entry;
+    } else if (entry.type === "quality") {
+      delete entry.type;
+      quality.push(entry);
+    }
+  });
+  return { buckets, checkpoint, quality };
+}
+
+// Passes through complete lines only and counts the bytes it let through, so
+// a half-written last line is left for the next run.
+function completeLines() {
+  let pending = Buffer.alloc(0);
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      const data = Buffer.concat([pending, chunk]);
+      const lastNewline = data.lastIndexOf(0x0a);
+      if (lastNewline === -1) {
+        pending = data;
+        return callback();
+      }
+      pending = data.subarray(lastNewline + 1);
+      const complete = data.subarray(0, lastNewline + 1);
+      transform.bytes += complete.length;
+      callback(null, complete);
+    }
+  });
+  transform.bytes = 0;
+  return transform;
+}
+
+function scanToBucket(scan) {
+  const hour = Math.floor(scan.time / HOUR_MS) * HOUR_MS;
+  return {
+    hour,
+    fleet: scan.fleet,
+    coord: scan.coord,
+    scans: 1,
+    successful: scan.SDUs > 0 ? 1 : 0,
+    SDUs: scan.SDUs,
+    first: scan.time,
+    last: scan.time,
+    detail: [[scan.time - hour, scan.SDUs]]
+  };
+}
+
+// Validate one row into `buckets`; `state` is scan_schema.js's scanState.
+// Rows held back again on a later run are not counted a second time. Scans
+// that may repeat a stored row wait in `state.unverified` (see
+// rejectStoredRepeats).
+function ingestRow(row, state, quality, buckets, heldBefore = false) {
+  const { scan, reason, held, unverified, warnings } = validateRow(row, state);
+  if (unverified) {
+    state.unverified.push({ scan, warnings, row });
+    return;
+  }
+  warnings.forEach(warning => noteIssue(quality, "warnings", warning, row));
+  if (scan) {
+    mergeBucket(buckets, scanToBucket(scan));
+    quality.accepted++;
+  } else if (held) {
+    state.pending.push(schemaRow(row));
+    if (!heldBefore) noteIssue(quality, "warnings", WARNINGS.HELD_BACK, row);
+  } else noteIssue(quality, "rejected", reason, row);
+}
+
+// Parse `file` from byte `offset`; resolves with the new buckets, the offset
+// after the last complete line and the CSV header. Rejected rows and warnings
+// are counted in `quality`.
+function parseFrom(file, offset, header, quality, state) {
+  return new Promise((resolve, reject) => {
+    const buckets = new Map();
+    let columns = header;
+    const lines = completeLines();
+    const parser = csv(columns ? { headers: columns } : {});
+    parser.on('headers', found => { columns = found; });
+
+    fs.createReadStream(file, { start: offset })
+      .on('error', reject)
+      .pipe(lines)
+      .pipe(parser)
+      .on('data', row => ingestRow(row, state, quality, buckets))
+      .on('end', () => resolve({ buckets, offset: offset + lines.bytes, header: columns }))
+      .on('error', reject);
+  });
+}
+
+// Reject the unverified scans the store already has, by fleet and time, and
+// add the others. One read covers them all, from the oldest one's hour on.
+// Rollups from before `detail` cannot be checked; their hours' scans are
+// taken as new.
+function rejectStoredRepeats(storePath, state, quality, buckets) {
+  if (state.unverified.length === 0) return;
+  const fromHour = Math.min(...state.unverified.map(({ scan }) => Math.floor(scan.time / HOUR_MS) * HOUR_MS));
+  const stored = new Set();
+  readStore(storePath, fromHour).buckets.forEach(bucket => {
+    (bucket.detail || []).forEach(([offset]) => stored.add(`${bucket.hour + offset}|${bucket.fleet}`));
+  });
+  state.unverified.forEach(({ scan, warnings, row }) => {
+    if (stored.has(`${scan.time}|${scan.fleet}`)) {
+      noteIssue(quality, "rejected", REASONS.DUPLICATE, row);
+      return;
+    }
+    warnings.forEach(warning => noteIssue(quality, "warnings", warning, row));
+    mergeBucket(buckets, scanToBucket(scan));
+    quality.accepted++;
+  });
+  state.unverified = [];
+}
+
+function appendToStore(storePath, buckets, checkpoint, quality) {
+  const lines = [...buckets.values()].map(bucket => JSON.stringify({ type: "bucket", ...bucket }));
+  if (hasRecord(quality)) lines.push(JSON.stringify({ type: "quality", ...quality }));
+  lines.push(JSON.stringify({ type: "checkpoint", ...checkpoint }));
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  // One write, so the buckets and the checkpoint that covers them land together.
+  fs.appendFileSync(storePath, lines.join("\n") + "\n");
+}
+
+// The quality records of each hour's runs merged into one, stamped with the
+// latest run.
+function qualityByHour(records) {
+  const hours = new Map();
+  records.forEach(record => {
+    const hour = record.at.slice(0, 13);
+    if (!hours.has(hour)) hours.set(hour, []);
+    hours.get(hour).push(record);
+  });
+  return [...hours.values()].map(mergeQuality);
+}
+
+// Once enough has been appended, rewrite the store with one line per bucket,
+// sorted by hour, and index where each hour starts.
+function compactStore(storePath) {
+  const fd = fs.openSync(storePath, 'r');
+  let index, size;
+  try {
+    index = readIndex(storePath, fd);
+    size = fs.fstatSync(fd).size;
+  } finally {
+    fs.closeSync(fd);
+  }
+  const compacted = index ? index.size : 0;
+  if (size - compacted < Math.max(COMPACT_MIN_BYTES, compacted / 4)) return;
+
+  const { buckets, checkpoint, quality } = readStore(storePath);
+  const head = qualityByHour(quality).map(record => JSON.stringify({ type: "quality", ...record }) + "\n");
+  if (checkpoint) head.push(JSON.stringify(checkpoint) + "\n");
+  const lines = [...head];
+  const hours = [];
+  let offset = head.reduce((sum, line) => sum + Buffer.byteLength(line), 0);
+  const headSize = offset;
+  [...buckets.values()]
+    .sort((a, b) => a.hour - b.hour)
+    .forEach(bucket => {
+      if (hours.length === 0 || hours[hours.length - 1][0] !== bucket.hour) hours.push([bucket.hour, offset]);
+      const line = JSON.stringify({ type: "bucket", ...bucket }) + "\n";
+      lines.push(line);
+      offset += Buffer.byteLength(line);
+    });
+
+  const tmpPath = storePath + ".tmp";
+  fs.writeFileSync(tmpPath, lines.join(""));
+  fs.renameSync(tmpPath, storePath);
+  // Written after the rename: an index naming another inode is ignored.
+  const indexTmp = indexPathFor(storePath) + ".tmp";
+  fs.writeFileSync(indexTmp, JSON.stringify({ ino: fs.statSync(storePath).ino, size: offset, head: headSize, hours }));
+  fs.renameSync(indexTmp, indexPathFor(storePath));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function lockIsStale(lockPath) {
+  let stat;
+  try {
+    stat = fs.statSync(lockPath);
+  } catch (err) {
+    if (err.code === "ENOENT") return false; // released meanwhile; just retry
+    throw err;
+  }
+  if (Date.now() - stat.mtimeMs > SCAN_STORE_LOCK_STALE_MS) return true;
+  try {
+    const { pid } = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    process.kill(pid, 0);
+  } catch (err) {
+    // ESRCH: the holder is gone. A lock still being written has no pid yet.
+    return err.code === "ESRCH";
+  }
+  return false;
+}
+
+// Run `fn` holding the store's lockfile, waiting for other runs to finish.
+async function withStoreLock(storePath, fn) {
+  const lockPath = storePath + ".lock";
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }));
+      fs.closeSync(fd);
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    if (lockIsStale(lockPath)) {
+      console.error(`Removing stale scan store lock ${lockPath}.`);
+      fs.rmSync(lockPath, { force: true });
+    } else {
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Bring the store up to date with the CSV. Handles:
+ *  - appends: resume at the checkpoint offset;
+ *  - rotation (new inode): finish the rotated file if it is still at
+ *    `<csv>.1`, then read the new file from the start;
+ *  - truncation (same inode, smaller than the offset): read from the start.
+ * Returns the number of scans added; callers joining a run already in
+ * flight get its count.
+ */
+function ingestScanLog(csvFile = CSV_FILE_PATH, storePath = storePathFor(csvFile)) {
+  if (!ingesting.has(storePath)) {
+    const run = withStoreLock(storePath, () => ingestLocked(csvFile, storePath))
+      .finally(() => ingesting.delete(storePath));
+    ingesting.set(storePath, run);
+  }
+  return ingesting.get(storePath);
+}
+
+async function ingestLocked(csvFile, storePath) {
+  const stat = fs.statSync(csvFile);
+  // Only the checkpoint is needed, so none of the indexed buckets are read.
+  const { checkpoint } = readStore(storePath, Infinity);
+  const added = new Map();
+  const quality = newQuality();
+  const state = { ...scanState(checkpoint || {}), unverified: [] };
+  // Held back rows that are due now go in first; the rest stay pending.
+  const held = state.pending;
+  state.pending = [];
+  held.forEach(row => ingestRow(row, state, quality, added, true));
+  let offset = 0;
+  let header = null;
+
+  if (checkpoint && checkpoint.ino === stat.ino && checkpoint.dev === stat.dev) {
+    if (stat.size >= checkpoint.offset) {
+      offset = checkpoint.offset;
+      header = checkpoint.header;
+    }
+  } else if (checkpoint) {
+    const rotated = csvFile + ".1";
+    if (fs.existsSync(rotated)) {
+      const rotatedStat = fs.statSync(rotated);
+      if (rotatedStat.ino === checkpoint.ino && rotatedStat.size > checkpoint.offset) {
+        const tail = await parseFrom(rotated, checkpoint.offset, checkpoint.header, quality, state);
+        tail.buckets.forEach(bucket => mergeBucket(added, bucket));
+      }
+    }
+  }
+
+  const result = await parseFrom(csvFile, offset, header, quality, state);
+  result.buckets.forEach(bucket => mergeBucket(added, bucket));
+  rejectStoredRepeats(storePath, state, quality, added);
+
+  const unchanged = checkpoint && !hasRecord(quality) &&
+    checkpoint.dev === stat.dev && checkpoint.ino === stat.ino && checkpoint.offset === result.offset &&
+    held.length === state.pending.length;
+  if (unchanged) return 0;
+  appendToStore(storePath, added, {
+    file: path.resolve(csvFile),
+    dev: stat.dev,
+    ino: stat.ino,
+    offset: result.offset,
+    header: result.header,
+    ...saveScanState(state),
+    at: new Date().toISOString()
+  }, quality);
+  compactStore(storePath);
+
+  let scans = 0;
+  added.forEach(bucket => { scans += bucket.scans; });
+  return scans;
+}
+
+// Ingest new rows, then return { quality, header }: the quality records
+// ({ at, accepted, rejected, warnings, examples }, see scan_schema.js) of
+// the runs since `since` merged into one, and the CSV header the store last saw.
+// `csvFile` may list several logs (see profiles.js); the header is then the
+// first one lacking a column, if any.
+async function loadScanQuality({ csvFile = CSV_FILE_PATH, since = null } = {}) {
+  if (Array.isArray(csvFile)) {
+    const results = [];
+    for (const file of csvFile) results.push(await loadScanQuality({ csvFile: file, since }));
+    const headers = results.map(result => result.header).filter(Boolean);
+    return {
+      quality: mergeQuality(results.map(result => result.quality)),
+      header: headers.find(header => checkHeader(header).missing.length > 0) || headers[0] || null
+    };
+  }
+  const storePath = storePathFor(csvFile);
+  await ingestScanLog(csvFile, storePath);
+  const { quality, checkpoint } = readStore(storePath, Infinity);
+  const minAt = since ? since.toISOString() : "";
+  return {
+    quality: mergeQuality(quality.filter(record => record.at >= minAt)),
+    header: checkpoint ? checkpoint.header : null
+  };
+}
+
+// Ingest new rows, then return the hourly buckets whose last scan is at or
+// after `since` (all of them when omitted), oldest first. `csvFile` may list
+// several logs, each with its own store.
+async function loadScanBuckets({ csvFile = CSV_FILE_PATH, since = null } = {}) {
+  if (Array.isArray(csvFile)) {
+    const buckets = [];
+    for (const file of csvFile) buckets.push(...await loadScanBuckets({ csvFile: file, since }));
+    return buckets.sort((a, b) => a.hour - b.hour);
+  }
+  const storePath = storePathFor(csvFile);
+  await ingestScanLog(csvFile, storePath);
+  const minTime = since ? since.getTime() : -Infinity;
+  return [...readStore(storePath, Math.floor(minTime / HOUR_MS) * HOUR_MS).buckets.values()]
+    .filter(bucket => bucket.last >= minTime)
+    .sort((a, b) => a.hour - b.hour);
+}
+
+// The times of a bucket's scans; used where individual scan times matter
+// (cadence and gap analysis). Rollups without `detail` spread their scans
+// evenly between the first and the last.
+function bucketScanTimes(bucket) {
+  if (bucket.detail) return bucket.detail.map(([offset]) => bucket.hour + offset);
+  if (bucket.scans <= 1) return [bucket.last];
+  const step = (bucket.last - bucket.first) / (bucket.scans - 1);
+  const times = [];
+  for (let i = 0; i < bucket.scans; i++) times.push(bucket.first + i * step);
+  return times;
+}
+
+/**
+ * The part of `bucket` scanned in [from, to) (Dates; null leaves that end
+ * open), as a bucket of its own with no scans when none fall inside. Exact
+ * when the bucket has `detail`; otherwise its scans are taken to be spread
+ * evenly and its successes and SDUs prorated.
+ */
+function bucketBetween(bucket, from = null, to = null) {
+  const start = from ? from.getTime() : -Infinity;
+  const end = to ? to.getTime() : Infinity;
+  if (bucket.first >= start && bucket.last < end) return bucket;
+  const inside = time => time >= start && time < end;
+  if (bucket.detail) {
+    const detail = bucket.detail.filter(([offset]) => inside(bucket.hour + offset));
+    return {
+      ...bucket,
+      scans: detail.length,
+      successful: detail.filter(([, SDUs]) => SDUs > 0).length,
+      SDUs: detail.reduce((sum, [, SDUs]) => sum + SDUs, 0),
+      first: detail.length > 0 ? bucket.hour + detail[0][0] : null,
+      last: detail.length > 0 ? bucket.hour + detail[detail.length - 1][0] : null,
+      detail
+    };
+  }
+  const times = bucketScanTimes(bucket).filter(inside);
+  const share = times.length / bucket.scans;
+  return {
+    ...bucket,
+    scans: times.length,
+    successful: bucket.successful * share,
+    SDUs: bucket.SDUs * share,
+    first: times.length > 0 ? times[0] : null,
+    last: times.length > 0 ? times[times.length - 1] : null
+  };
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().trim();
+}
+
+// Restrict buckets to the given fleet names and bases (base names or
+// coordinates, case-insensitive; empty lists keep everything) and to scans
+// made before `until` (Date). A bucket straddling `until` is cut to the scans
+// made before it (see bucketBetween).
+function filterBuckets(buckets, { until = null, fleets = [], bases = [] } = {}, basesMapping = {}) {
+  const fleetKeys = fleets.map(normalizeName);
+  const baseKeys = bases.map(normalizeName);
+  const result = [];
+  buckets.forEach(bucket => {
+    if (fleetKeys.length > 0 && !fleetKeys.includes(normalizeName(bucket.fleet))) return;
+    if (baseKeys.length > 0 &&
+        !baseKeys.includes(normalizeName(bucket.coord)) &&
+        !baseKeys.includes(normalizeName(basesMapping[bucket.coord] || ""))) return;
+    const part = until ? bucketBetween(bucket, null, until) : bucket;
+    if (part.scans > 0) result.push(part);
+  });
+  return result;
+}
+
+async function main() {
+  const csvFile = process.argv[2] || CSV_FILE_PATH;
+  try {
+    const scans = await ingestScanLog(csvFile);
+    console.log(`Ingested ${scans} new scans from ${csvFile} into ${storePathFor(csvFile)}.`);
+  } catch (err) {
+    console.error("Error ingesting scan log:", err.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  CSV_FILE_PATH,
+  storePathFor,
+  readStore,
+  withStoreLock,
+  rowCoordinate,
+  ingestScanLog,
+  loadScanBuckets,
+  loadScanQuality,
+  bucketScanTimes,
+  bucketBetween,
+  filterBuckets
+};
+
+if (require.main === module) {
+  main();
+}
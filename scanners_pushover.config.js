@@ -2,8 +2,8 @@ module.exports = {
   apps: [
     {
       name: "scanners-pushover-job",
-      script: "anal_rc1.js",
-      args: "pushover 4",
+      script: "scan_analyzer.js",
+      args: "roi --since 4h --notify pushover",
       // Restart the process at minute 0 every 3 hours (e.g., 00:00, 03:00, 06:00, etc.)
       cron_restart: "0 */3 * * *",
       // Do not auto-restart if the process exits normally; only restart via cron
@@ -1,34 +1,72 @@
 require('dotenv').config();
 const { Connection, PublicKey } = require('@solana/web3.js');
 const { GmClientService } = require('@staratlas/factory');
+const { recordPrice, PRICE_KINDS } = require('./price_history');
+const { withFixture } = require('./price_fixtures');
 
 const QUICKNODE_RPC_URL = process.env.QUICKNODE_RPC_URL;
-if (!QUICKNODE_RPC_URL) {
-  console.error("❌ QuickNode RPC URL is missing! Add it to your .env file.");
-  process.exit(1);
-}
 
-const connection = new Connection(QUICKNODE_RPC_URL, 'confirmed');
 const programId = new PublicKey('traderDnaR5w6Tcoi3NFm53i48FTDNbGjBSZwWXDRrg');
 const sduMintAddress = new PublicKey('SDUsgfSZaDhhZ76U3ZgvtFiXsfnHbf2VrzYxjBZ5YbM');
 const atlasMintAddress = new PublicKey('ATLASXmbPQxBUYbxPsV97usA3fPQYEqzQBUHgiFCUsXx');
 const gmClientService = new GmClientService();
 
+// Created on first use, so requiring this module works without an RPC URL
+// (reports then fall back to other price providers, see price_providers.js).
+let connection = null;
+
+function getConnection() {
+  if (!QUICKNODE_RPC_URL) throw new Error("QuickNode RPC URL is missing! Add QUICKNODE_RPC_URL to your .env file.");
+  if (!connection) connection = new Connection(QUICKNODE_RPC_URL, 'confirmed');
+  return connection;
+}
+
+// getAllOpenOrders returns every open order on the marketplace, so one fetch
+// is shared by all the prices a report needs. It can be recorded and
+// replayed (see price_fixtures.js).
+const ORDERS_CACHE_MS = 60 * 1000;
+let ordersCache = null;
+
+function fetchAllOrders() {
+  if (!ordersCache || Date.now() - ordersCache.time > ORDERS_CACHE_MS) {
+    const orders = withFixture("openOrders", () => gmClientService.getAllOpenOrders(getConnection(), programId));
+    ordersCache = { time: Date.now(), orders };
+    orders.catch(() => { ordersCache = null; });
+  }
+  return ordersCache.orders;
+}
+
+// Open <mint>/ATLAS orders on the Galactic Marketplace: asks cheapest first,
+// bids highest first. Asks below `minAskPrice` are ignored.
+async function fetchOrders(mintAddress, minAskPrice = 0) {
+  const allOrders = await fetchAllOrders();
+  const atlasOrders = allOrders
+    .filter(order => new PublicKey(order.orderMint).equals(mintAddress))
+    .filter(order => new PublicKey(order.currencyMint).equals(atlasMintAddress));
+  const asks = atlasOrders
+    .filter(order => order.orderType === "sell")
+    .filter(order => order.uiPrice >= minAskPrice)
+    .sort((a, b) => a.uiPrice - b.uiPrice);
+  const bids = atlasOrders
+    .filter(order => order.orderType === "buy")
+    .sort((a, b) => b.uiPrice - a.uiPrice);
+  return { asks, bids };
+}
+
+function fetchSDUOrders() {
+  return fetchOrders(sduMintAddress, 0.01);
+}
+
 async function getLowestSDUPrice() {
   try {
-    const allOrders = await gmClientService.getAllOpenOrders(connection, programId);
-    const sduOrders = allOrders
-      .filter(order => order.orderType === "sell")
-      .filter(order => new PublicKey(order.orderMint).equals(sduMintAddress))
-      .filter(order => new PublicKey(order.currencyMint).equals(atlasMintAddress))
-      .filter(order => order.uiPrice >= 0.01)
-      .sort((a, b) => a.uiPrice - b.uiPrice);
+    const { asks: sduOrders } = await fetchSDUOrders();
 
     if (sduOrders.length === 0) {
       return { price: null, quantity: null, seller: null };
     }
 
     const lowestOrder = sduOrders[0];
+    recordPrice(PRICE_KINDS.SDU, lowestOrder.uiPrice);
     return {
       price: parseFloat(lowestOrder.uiPrice).toFixed(6),
       quantity: lowestOrder.orderOriginationQty || "Unknown",
@@ -40,7 +78,39 @@ async function getLowestSDUPrice() {
   }
 }
 
-module.exports = { getLowestSDUPrice };
+function toLevel(order) {
+  return {
+    price: parseFloat(order.uiPrice),
+    quantity: Number(order.orderQtyRemaining ?? order.orderOriginationQty) || 0,
+    owner: order.owner
+  };
+}
+
+// Both sides of the SDU book as { price, quantity, owner } levels, for
+// depth-aware valuation (see order_book.js). Throws when the marketplace
+// cannot be reached.
+async function fetchSDUOrderBook() {
+  const { asks, bids } = await fetchSDUOrders();
+  if (asks.length > 0) recordPrice(PRICE_KINDS.SDU, asks[0].uiPrice);
+  return { asks: asks.map(toLevel), bids: bids.map(toLevel) };
+}
+
+// Lowest ask in ATLAS for each { name: mintAddress } entry; names without a
+// listing map to null. Throws when the marketplace cannot be reached.
+async function fetchLowestAskPrices(mints) {
+  const prices = {};
+  for (const [name, mint] of Object.entries(mints)) {
+    const { asks } = await fetchOrders(new PublicKey(mint));
+    prices[name] = asks.length > 0 ? parseFloat(asks[0].uiPrice) : null;
+  }
+  return prices;
+}
+
+module.exports = {
+  getLowestSDUPrice,
+  fetchSDUOrderBook,
+  fetchLowestAskPrices
+};
 
 // If you want to run this script directly, call the function
 if (require.main === module) {
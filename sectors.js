@@ -0,0 +1,183 @@
+require('dotenv').config();
+const { loadScanBuckets, bucketBetween, filterBuckets } = require('./scan_store');
+const { rollingWindow } = require('./windows');
+const { buildStints } = require('./fleet_stints');
+
+const CSV_FILE_PATH = process.env.CSV_FILE_PATH || "/mnt/star_atlas/scanning/scan_stats.csv";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Heatmap shades from the lowest to the highest SDUs per scan. Cells that
+// were never scanned from stay blank.
+const SHADES = ".:-=+*#%@";
+
+// Parse an "x_y" sector coordinate such as "-40_30".
+function parseCoordinate(coord) {
+  const match = /^(-?\d+)_(-?\d+)$/.exec(coord);
+  return match ? { x: parseInt(match[1], 10), y: parseInt(match[2], 10) } : null;
+}
+
+// Aggregate every scan in the window by the coordinate it was made from,
+// keeping track of which fleets scanned there and for how long they stayed
+// (`occupiedMs`: each fleet's stints at the coordinate, see fleet_stints.js,
+// added up). `options` ({ window, until,
+// fleets, bases }) sets the window (see windows.js; default: the `hours`
+// before `until` or now) and filters like filterBuckets.
+async function processSectors(hours, basesMapping, csvFile = CSV_FILE_PATH, options = {}) {
+  const { since, until } = options.window || rollingWindow(hours, options.until);
+  const buckets = filterBuckets(await loadScanBuckets({ csvFile, since }), { ...options, until }, basesMapping);
+  const sectors = {};
+  const visits = {};
+  buckets.forEach(bucket => {
+    if (bucket.coord === "") return;
+    const part = bucketBetween(bucket, since);
+    if (part.scans <= 0) return;
+    if (!sectors[bucket.coord]) {
+      sectors[bucket.coord] = {
+        coord: bucket.coord,
+        baseName: basesMapping[bucket.coord] || "Unknown",
+        scans: 0,
+        successful: 0,
+        SDUs: 0,
+        first: part.first,
+        last: part.last,
+        occupiedMs: 0,
+        fleets: new Set()
+      };
+    }
+    const sector = sectors[bucket.coord];
+    sector.scans += part.scans;
+    sector.successful += part.successful;
+    sector.SDUs += part.SDUs;
+    sector.first = Math.min(sector.first, part.first);
+    sector.last = Math.max(sector.last, part.last);
+    sector.fleets.add(bucket.fleet);
+    if (!visits[bucket.fleet]) visits[bucket.fleet] = [];
+    visits[bucket.fleet].push({ first: part.first, last: part.last, baseName: bucket.coord, scans: part.scans, SDUs: 0, SDUs24h: 0 });
+  });
+  Object.values(visits).forEach(fleetVisits => {
+    buildStints(fleetVisits, until).stints.forEach(stint => {
+      sectors[stint.baseName].occupiedMs += stint.end - stint.start;
+    });
+  });
+  // Prorated parts of older rollups are fractions; round each sector once.
+  Object.values(sectors).forEach(sector => {
+    sector.scans = Math.round(sector.scans);
+    sector.successful = Math.round(sector.successful);
+    sector.SDUs = Math.round(sector.SDUs);
+  });
+  return sectors;
+}
+
+// Sectors with their derived rates, best SDUs per scan first. Scans per hour
+// are per hour a fleet spent at the sector (at least one hour), so a sector
+// occupied for half the window is not penalised and one that was left early
+// is not flattered.
+function rankSectors(sectors) {
+  return Object.values(sectors)
+    .map(sector => ({
+      ...sector,
+      fleets: [...sector.fleets].sort(),
+      sdusPerScan: sector.scans > 0 ? sector.SDUs / sector.scans : 0,
+      successRate: sector.scans > 0 ? (sector.successful / sector.scans) * 100 : 0,
+      scansPerHour: sector.scans / Math.max(sector.occupiedMs / HOUR_MS, 1)
+    }))
+    .sort((a, b) => b.sdusPerScan - a.sdusPerScan);
+}
+
+function sectorSection(ranked, hours) {
+  return {
+    id: "sectors",
+    title: `Sector Ranking (Last ${hours}h)`,
+    emptyMessage: `⚠️ No sector data for the last ${hours} hours.`,
+    columns: [
+      { key: "rank", label: "#" },
+      { key: "coord", label: "Coord" },
+      { key: "base", label: "Base" },
+      { key: "scans", label: "Scans" },
+      { key: "SDUs", label: "SDUs" },
+      { key: "sdusPerScan", label: "SDU/Scan", digits: 2 },
+      { key: "successRate", label: "Success", digits: 1, suffix: "%" },
+      { key: "scansPerHour", label: "Scans/h", digits: 1 },
+      { key: "fleets", label: "Fleets" }
+    ],
+    rows: ranked.map((sector, i) => ({
+      rank: i + 1,
+      coord: sector.coord,
+      base: sector.baseName,
+      scans: sector.scans,
+      SDUs: sector.SDUs,
+      sdusPerScan: sector.sdusPerScan,
+      successRate: sector.successRate,
+      scansPerHour: sector.scansPerHour,
+      fleets: sector.fleets,
+      first: new Date(sector.first).toISOString(),
+      last: new Date(sector.last).toISOString()
+    }))
+  };
+}
+
+// ASCII grid over the x_y coordinates, y growing upwards, shaded by SDUs per
+// scan relative to the best sector.
+function heatmapLines(ranked) {
+  const cells = ranked
+    .map(sector => ({ sector, pos: parseCoordinate(sector.coord) }))
+    .filter(cell => cell.pos);
+  if (cells.length === 0) return [];
+
+  const xs = cells.map(cell => cell.pos.x);
+  const ys = cells.map(cell => cell.pos.y);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  const best = Math.max(...cells.map(cell => cell.sector.sdusPerScan)) || 1;
+
+  const grid = {};
+  cells.forEach(({ sector, pos }) => {
+    const level = Math.round((sector.sdusPerScan / best) * (SHADES.length - 1));
+    grid[`${pos.x}_${pos.y}`] = SHADES[level];
+  });
+
+  const labelWidth = Math.max(String(minY).length, String(maxY).length);
+  const lines = [];
+  for (let y = maxY; y >= minY; y--) {
+    let line = String(y).padStart(labelWidth) + " |";
+    for (let x = minX; x <= maxX; x++) line += grid[`${x}_${y}`] || " ";
+    lines.push(line.trimEnd());
+  }
+  lines.push(" ".repeat(labelWidth) + " +" + "-".repeat(maxX - minX + 1));
+  lines.push(" ".repeat(labelWidth) + `  x: ${minX} .. ${maxX}`);
+  lines.push(`Legend: "${SHADES[0]}" lowest ... "${SHADES[SHADES.length - 1]}" ${best.toFixed(2)} SDUs/scan`);
+  return lines;
+}
+
+function buildSectorReport(ranked, hours) {
+  const sections = [sectorSection(ranked, hours)];
+  const heatmap = heatmapLines(ranked);
+  if (heatmap.length > 0) sections.push({ id: "heatmap", title: "Sector Heatmap (SDUs per scan)", lines: heatmap });
+  return {
+    report: "sectors",
+    title: `Scanner Sectors (Last ${hours}h)`,
+    generatedAt: new Date().toISOString(),
+    meta: { hours },
+    sections
+  };
+}
+
+// `node sectors.js [hours]` runs `scan-analyzer sectors` (see scan_analyzer.js).
+async function main() {
+  const hours = parseInt(process.argv[2], 10) || 24;
+  process.exitCode = await require('./scan_analyzer').run(["sectors", "--since", `${hours}h`]);
+}
+
+module.exports = {
+  parseCoordinate,
+  processSectors,
+  rankSectors,
+  sectorSection,
+  heatmapLines,
+  buildSectorReport
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,214 @@
+require('dotenv').config();
+const fs = require('fs');
+const { vwapForQuantity, depthBetween } = require('./order_book');
+const { priceNotes } = require('./anal_rc1');
+
+// What selling SDUs would bring, against the SDU/ATLAS book (see
+// fetchSDUOrderBook in sdu_price.js):
+//   market   sell everything now into the bids, highest first
+//   ladder   list limit asks that undercut the lowest ask by each of
+//            SELL_LADDER_STEPS percent, the amount split evenly across them
+// The marketplace keeps MARKETPLACE_FEE_RATE of every sale.
+const MARKETPLACE_FEE_RATE = process.env.MARKETPLACE_FEE_RATE !== undefined
+  ? parseFloat(process.env.MARKETPLACE_FEE_RATE)
+  : 0.06;
+const SELL_LADDER_STEPS = (process.env.SELL_LADDER_STEPS || "0.5,1,2,4")
+  .split(",")
+  .map(step => parseFloat(step))
+  .filter(step => !isNaN(step));
+
+// ATLAS has 8 decimals; listing prices are rounded down to them.
+const ATLAS_DECIMALS = 8;
+
+function roundDownAtlas(price) {
+  const factor = 10 ** ATLAS_DECIMALS;
+  // Round off float noise first, or 0.02 * 0.96 lands at 0.01919999.
+  return Math.floor(Math.round(price * factor * 1e4) / 1e4) / factor;
+}
+
+function normalizeLevels(levels, side, filePath) {
+  if (!Array.isArray(levels)) throw new Error(`${filePath} has no ${side} array.`);
+  return levels.map(level => {
+    const price = parseFloat(level.price);
+    const quantity = parseFloat(level.quantity);
+    if (!(price > 0) || !(quantity >= 0)) throw new Error(`${filePath} has an invalid ${side} level: ${JSON.stringify(level)}`);
+    return { price, quantity, owner: level.owner || "" };
+  });
+}
+
+/**
+ * A recorded order book, as fetchSDUOrderBook returns it:
+ * { "asks": [{ "price", "quantity", "owner" }], "bids": [...], "atlasUsd": 0.002 }.
+ * Levels are sorted here (asks cheapest first, bids highest first);
+ * atlasUsd is optional.
+ */
+function loadOrderBookFixture(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const book = {
+    asks: normalizeLevels(raw.asks, "asks", filePath).sort((a, b) => a.price - b.price),
+    bids: normalizeLevels(raw.bids, "bids", filePath).sort((a, b) => b.price - a.price)
+  };
+  const atlasUsd = raw.atlasUsd !== undefined ? parseFloat(raw.atlasUsd) : null;
+  return { book, atlasUsd: atlasUsd > 0 ? atlasUsd : null };
+}
+
+// Selling `amount` into the bids: what fills, at what average, and how far
+// that average is below the best bid. Bids too thin leave `unfilled`.
+function simulateMarketSell(book, amount, feeRate = MARKETPLACE_FEE_RATE) {
+  const bestBid = book.bids.length > 0 ? book.bids[0].price : null;
+  const { vwap, filled, cost: gross } = vwapForQuantity(book.bids, amount);
+  const fee = gross * feeRate;
+  return {
+    bestBid,
+    filled,
+    unfilled: amount - filled,
+    vwap: filled > 0 ? vwap : null,
+    slippagePct: filled > 0 && bestBid > 0 ? ((bestBid - vwap) / bestBid) * 100 : null,
+    gross,
+    fee,
+    net: gross - fee
+  };
+}
+
+// Whole SDUs per rung, the remainder going to the highest-priced rungs.
+function splitAmount(amount, rungs) {
+  const base = Math.floor(amount / rungs);
+  const remainder = Math.round(amount - base * rungs);
+  return Array.from({ length: rungs }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+/**
+ * Limit asks undercutting the lowest ask by each of `steps` percent, highest
+ * price first. `asksAhead` is the competing ask volume at or below a rung's
+ * price, which sells first; a rung at or below the best bid would fill
+ * against it at once (`crossesBid`). Empty without any ask to undercut.
+ */
+function buildLadder(book, amount, { steps = SELL_LADDER_STEPS, feeRate = MARKETPLACE_FEE_RATE } = {}) {
+  if (book.asks.length === 0 || steps.length === 0 || !(amount > 0)) return [];
+  const bestAsk = book.asks[0].price;
+  const bestBid = book.bids.length > 0 ? book.bids[0].price : null;
+  const sorted = [...steps].sort((a, b) => a - b);
+  const quantities = splitAmount(amount, sorted.length);
+  return sorted
+    .map((step, i) => {
+      const price = roundDownAtlas(bestAsk * (1 - step / 100));
+      const gross = quantities[i] * price;
+      const fee = gross * feeRate;
+      return {
+        step,
+        price,
+        quantity: quantities[i],
+        asksAhead: depthBetween(book.asks, 0, price),
+        crossesBid: bestBid !== null && price <= bestBid,
+        gross,
+        fee,
+        net: gross - fee
+      };
+    })
+    .filter(rung => rung.quantity > 0);
+}
+
+// Market sale and ladder for `amount` SDUs, in ATLAS and USD.
+function planSale(book, amount, { atlasUsd, feeRate = MARKETPLACE_FEE_RATE, steps = SELL_LADDER_STEPS } = {}) {
+  const market = simulateMarketSell(book, amount, feeRate);
+  const ladder = buildLadder(book, amount, { steps, feeRate });
+  const sum = key => ladder.reduce((total, rung) => total + rung[key], 0);
+  return {
+    amount,
+    feeRate,
+    atlasUsd,
+    bestAsk: book.asks.length > 0 ? book.asks[0].price : null,
+    bestBid: market.bestBid,
+    market,
+    ladder,
+    ladderTotals: { quantity: sum("quantity"), gross: sum("gross"), fee: sum("fee"), net: sum("net") }
+  };
+}
+
+function withUsd(value, item) {
+  return `${value.toFixed(2)} ATLAS (${(value * item.atlasUsd).toFixed(2)} USD)`;
+}
+
+/**
+ * `source` says where the amount came from ("--amount", or the window's
+ * scans), `quotes` are the price quotes used, for staleness notes.
+ */
+function buildSellPlanReport(plan, { source, quotes = {} }) {
+  const { market, ladder, ladderTotals, atlasUsd } = plan;
+  const price = value => (value === null ? "N/A" : `${value} ATLAS`);
+  const atlas = (key, label, value) => ({ key, label, value, atlasUsd, format: withUsd });
+
+  const marketItems = [
+    { key: "filled", label: "Filled", value: `${market.filled} of ${plan.amount} SDUs` },
+    { key: "vwap", label: "Average price", value: market.vwap, digits: 6 },
+    { key: "slippage", label: "Slippage vs best bid", value: market.slippagePct, digits: 2, suffix: "%" },
+    atlas("gross", "Gross", market.gross),
+    atlas("fee", `Fee (${(plan.feeRate * 100).toFixed(1)}%)`, market.fee),
+    atlas("net", "Net", market.net)
+  ];
+  const marketNotes = market.unfilled > 0 ? [`⚠️ The bids take only ${market.filled} SDUs; ${market.unfilled} would stay unsold.`] : [];
+
+  const ladderNotes = [];
+  if (ladder.length > 0) {
+    ladderNotes.push(`Ladder net ${ladderTotals.net.toFixed(2)} ATLAS vs ${market.net.toFixed(2)} selling into the bids now ` +
+      `(${ladderTotals.net - market.net >= 0 ? "+" : ""}${(ladderTotals.net - market.net).toFixed(2)}), if every rung fills.`);
+  }
+  if (ladder.some(rung => rung.crossesBid)) {
+    ladderNotes.push("⚠️ Rungs marked * are at or below the best bid and would sell into it at once.");
+  }
+
+  return {
+    report: "sell-plan",
+    title: `SDU Sell Plan (${plan.amount} SDUs)`,
+    generatedAt: new Date().toISOString(),
+    meta: {
+      amount: plan.amount,
+      source,
+      feeRate: plan.feeRate,
+      bestAsk: plan.bestAsk,
+      bestBid: plan.bestBid,
+      atlasUsd,
+      ladderTotals
+    },
+    sections: [
+      {
+        id: "summary",
+        items: [
+          { key: "amount", label: "SDUs to sell", value: `${plan.amount} (${source})` },
+          { key: "bestBid", label: "Best bid", value: plan.bestBid, format: price },
+          { key: "bestAsk", label: "Lowest ask", value: plan.bestAsk, format: price },
+          { key: "atlasUsd", label: "ATLAS/USD", value: atlasUsd }
+        ]
+      },
+      { id: "market", title: "Sell Now into the Bids", items: marketItems, notes: marketNotes },
+      {
+        id: "ladder",
+        title: "Limit Ladder (undercutting the lowest ask)",
+        emptyMessage: "No asks listed to undercut.",
+        columns: [
+          { key: "step", label: "Undercut", digits: 1, suffix: "%" },
+          { key: "price", label: "Price", format: (value, row) => `${value}${row.crossesBid ? " *" : ""}` },
+          { key: "quantity", label: "SDUs" },
+          { key: "asksAhead", label: "Asks Ahead" },
+          { key: "gross", label: "Gross", digits: 2 },
+          { key: "fee", label: "Fee", digits: 2 },
+          { key: "net", label: "Net (ATLAS)", digits: 2 },
+          { key: "netUsd", label: "Net (USD)", digits: 2 }
+        ],
+        rows: ladder.map(rung => ({ ...rung, netUsd: rung.net * atlasUsd })),
+        notes: ladderNotes
+      },
+      { id: "notes", notes: priceNotes(quotes) }
+    ]
+  };
+}
+
+module.exports = {
+  MARKETPLACE_FEE_RATE,
+  SELL_LADDER_STEPS,
+  loadOrderBookFixture,
+  simulateMarketSell,
+  buildLadder,
+  planSale,
+  buildSellPlanReport
+};
@@ -0,0 +1,190 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Just enough SMTP to deliver a report: EHLO, STARTTLS when offered (or
+// required), AUTH PLAIN, one message with a text and an optional HTML part.
+// Credentials are only sent over TLS unless allowPlaintextAuth is set.
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+class SmtpError extends Error {
+  // 4xx replies and dropped connections are worth another try; 5xx are not.
+  constructor(message, code, retryable = code === undefined || (code >= 400 && code < 500)) {
+    super(message);
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// Reads "250-first\r\n250 last\r\n" style replies off a socket.
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const deliver = reply => {
+    if (waiting.length > 0) waiting.shift().resolve(reply);
+    else replies.push(reply);
+  };
+  const fail = err => {
+    failure = failure || err;
+    while (waiting.length > 0) waiting.shift().reject(failure);
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+      if (/^\d{3}(?: |$)/.test(line)) {
+        deliver({ code: parseInt(line.slice(0, 3), 10), lines });
+        lines = [];
+      }
+    }
+  };
+
+  const attach = sock => {
+    sock.on('data', onData);
+    sock.on('error', err => fail(new SmtpError(`SMTP connection error: ${err.message}`)));
+    sock.on('close', () => fail(new SmtpError("SMTP connection closed unexpectedly")));
+  };
+  attach(socket);
+
+  return {
+    attach,
+    detach(sock) {
+      sock.removeAllListeners('data');
+      sock.removeAllListeners('error');
+      sock.removeAllListeners('close');
+    },
+    next() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+  };
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, "$&\r\n");
+}
+
+function buildMessage({ from, to, subject, text, html, headers = {} }) {
+  const boundary = "report-" + crypto.randomBytes(12).toString('hex');
+  const head = {
+    From: from,
+    To: to.join(", "),
+    Subject: encodeHeader(subject || ""),
+    Date: new Date().toUTCString(),
+    "Message-ID": `<${crypto.randomBytes(12).toString('hex')}@${os.hostname()}>`,
+    "MIME-Version": "1.0",
+    ...headers
+  };
+  const part = (type, body) =>
+    `Content-Type: ${type}; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n${base64Lines(body)}`;
+
+  let body;
+  if (html) {
+    head["Content-Type"] = `multipart/alternative; boundary="${boundary}"`;
+    body = `--${boundary}\r\n${part("text/plain", text)}--${boundary}\r\n${part("text/html", html)}--${boundary}--\r\n`;
+  } else {
+    head["Content-Type"] = "text/plain; charset=utf-8";
+    head["Content-Transfer-Encoding"] = "base64";
+    body = base64Lines(text);
+  }
+  return Object.entries(head).map(([name, value]) => `${name}: ${value}`).join("\r\n") + "\r\n\r\n" + body;
+}
+
+/**
+ * Send one message. `options`: host, port (587), secure (TLS from the start,
+ * port 465 style), startTls ("auto" | true | false), user, pass, from, to
+ * (array), subject, text, html, headers, rejectUnauthorized, timeoutMs,
+ * allowPlaintextAuth (send user/pass even without TLS; off by default).
+ */
+async function sendMail(options) {
+  const {
+    host,
+    port = options.secure ? 465 : 587,
+    secure = false,
+    startTls = "auto",
+    rejectUnauthorized = true,
+    allowPlaintextAuth = false,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+  } = options;
+  const to = Array.isArray(options.to) ? options.to : [options.to];
+
+  let socket = await new Promise((resolve, reject) => {
+    const sock = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized }, () => resolve(sock))
+      : net.connect({ host, port }, () => resolve(sock));
+    sock.once('error', err => reject(new SmtpError(`Cannot connect to ${host}:${port}: ${err.message}`)));
+  });
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`no reply within ${timeoutMs} ms`)));
+  const reader = replyReader(socket);
+
+  const expect = async (codes, command) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${command || "greeting"} failed: ${reply.code} ${reply.lines.join(" ")}`, reply.code);
+    }
+    return reply;
+  };
+  const command = (line, codes, label = line.split(" ")[0]) => {
+    socket.write(line + "\r\n");
+    return expect(codes, label);
+  };
+
+  try {
+    await expect([220]);
+    const ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+    let encrypted = secure;
+    const offersTls = ehlo.lines.some(line => /^STARTTLS/i.test(line));
+    if (!secure && (startTls === true || (startTls === "auto" && offersTls))) {
+      await command("STARTTLS", [220]);
+      reader.detach(socket);
+      socket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, servername: host, rejectUnauthorized }, () => resolve(upgraded));
+        upgraded.once('error', err => reject(new SmtpError(`STARTTLS failed: ${err.message}`)));
+      });
+      reader.attach(socket);
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`no reply within ${timeoutMs} ms`)));
+      await command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (options.user) {
+      if (!encrypted && !allowPlaintextAuth) {
+        throw new SmtpError(`Not sending the SMTP password to ${host}:${port} over an unencrypted connection ` +
+          "(no STARTTLS); set secure, or allowPlaintextAuth to send it anyway", undefined, false);
+      }
+      const credentials = Buffer.from(`\0${options.user}\0${options.pass || ""}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await command(`MAIL FROM:<${options.from}>`, [250]);
+    for (const recipient of to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await command("DATA", [354]);
+    await command(buildMessage({ ...options, to }) + ".", [250], "message");
+    socket.write("QUIT\r\n");
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = {
+  SmtpError,
+  buildMessage,
+  sendMail
+};
@@ -0,0 +1,126 @@
+const { DATA_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { evaluateRules, updateAlertState } = require('../alerts');
+
+const ROI_RULE = { id: "roi-below-100", type: "roi_below", threshold: 100 };
+
+test("the fleet-wide ROI rule leaves owned fleets out", () => {
+  // Owned fleets bring in 10 ATLAS; the rented ones 1 ATLAS for 2 of rent.
+  const context = {
+    fleetData: {},
+    totalVal24h: 11,
+    totalRent24h: 2,
+    rentedVal24h: 1,
+    rentedRent24h: 2,
+    operating: null
+  };
+  assert.deepStrictEqual(evaluateRules([ROI_RULE], context), [{
+    key: "roi-below-100",
+    message: "Rented fleet ROI 50% is below 100%",
+    ruleId: "roi-below-100",
+    consecutiveRuns: 1
+  }]);
+  assert.deepStrictEqual(evaluateRules([ROI_RULE], { ...context, rentedVal24h: 3 }), []);
+});
+
+test("a failed alert run exits with the error code", () => {
+  const rulesPath = path.join(DATA_DIR, "bad_rules.json");
+  fs.writeFileSync(rulesPath, JSON.stringify({ id: "not-a-list" }));
+  const run = spawnSync(process.execPath, [path.join(__dirname, "..", "alerts.js")], {
+    env: { ...process.env, ALERT_RULES_PATH: rulesPath },
+    encoding: "utf8"
+  });
+  assert.strictEqual(run.status, 1);
+  assert.match(run.stderr, /must contain an array of rules/);
+});
+
+test("a fleet's ROI rule counts its operating costs like the rented one", () => {
+  const rule = { ...ROI_RULE, fleet: "Scout" };
+  const data = { SDUs24h: 100, rent24h: 1, operatingCost24h: 1 };
+  // 2 ATLAS of SDUs just cover 1 of rent and 1 of operating costs; 1.5 do not.
+  assert.deepStrictEqual(evaluateRules([rule], { fleetData: { Scout: data }, currentPrice: 0.02 }), []);
+  const [hit] = evaluateRules([rule], { fleetData: { Scout: data }, currentPrice: 0.015 });
+  assert.strictEqual(hit.message, "Scout ROI 75% is below 100%");
+});
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date("2025-04-08T00:00:00Z");
+
+// One bucket per hour of scans: `hits` of `scans` found SDUs.
+function hourBucket(fleet, hoursAgo, scans, hits) {
+  const hour = NOW.getTime() - hoursAgo * HOUR;
+  const detail = [];
+  for (let i = 0; i < scans; i++) detail.push([i * 60 * 1000, i < hits ? 1 : 0]);
+  return { hour, fleet, coord: "1_1", scans, successful: hits, SDUs: hits, first: hour, last: hour + (scans - 1) * 60 * 1000, detail };
+}
+
+test("efficiency_drop compares the window with the baseline before it", () => {
+  const rule = { id: "drop", type: "efficiency_drop", points: 20, windowHours: 24, baselineDays: 7 };
+  const buckets = [
+    hourBucket("Scout", 72, 10, 9),
+    hourBucket("Scout", 5, 10, 6),
+    hourBucket("Miner", 72, 10, 9),
+    hourBucket("Miner", 5, 10, 8)
+  ];
+  assert.deepStrictEqual(evaluateRules([rule], { fleetData: {}, buckets, now: NOW }).map(hit => hit.message), [
+    "Scout efficiency 60.0% is 30.0 points below its 7-day baseline (90.0%)"
+  ]);
+});
+
+test("a price outage skips the ROI rules and keeps their alerts", () => {
+  const rules = [ROI_RULE, { id: "quiet", type: "no_scans", hours: 2 }];
+  const context = { fleetData: {}, buckets: [hourBucket("Scout", 5, 1, 1)], now: NOW, priceError: new Error("no price") };
+  const results = evaluateRules(rules, context);
+  assert.deepStrictEqual(results.map(result => result.key), ["quiet:Scout"]);
+
+  const previous = { alerts: { "roi-below-100": { ruleId: "roi-below-100", message: "Rented fleet ROI 50% is below 100%", consecutive: 3, firing: true } } };
+  const { state, fired, resolved } = updateAlertState(previous, results, NOW, ["roi-below-100"]);
+  assert.deepStrictEqual(resolved, []);
+  assert.deepStrictEqual(state.alerts["roi-below-100"], previous.alerts["roi-below-100"]);
+  assert.deepStrictEqual(fired.map(alert => alert.message), ["No scans from Scout in 2h (last scan 5.0h ago)"]);
+});
+
+test("an alert fires after its consecutive runs, once, and resolves when it clears", () => {
+  const breach = [{ key: "roi", ruleId: "roi-below-100", message: "Rented fleet ROI 50% is below 100%", consecutiveRuns: 2 }];
+  let state = { alerts: {} };
+  const runs = [breach, breach, breach, []].map((results, i) => {
+    const run = updateAlertState(state, results, new Date(NOW.getTime() + i * 3 * HOUR));
+    state = run.state;
+    return { fired: run.fired.length, resolved: run.resolved.length, firing: Boolean(state.alerts.roi && state.alerts.roi.firing) };
+  });
+  assert.deepStrictEqual(runs, [
+    { fired: 0, resolved: 0, firing: false },
+    { fired: 1, resolved: 0, firing: true },
+    { fired: 0, resolved: 0, firing: true },
+    { fired: 0, resolved: 1, firing: false }
+  ]);
+  assert.deepStrictEqual(state.alerts, {});
+
+  // A breach that clears before it fires starts counting again.
+  state = updateAlertState({ alerts: {} }, breach).state;
+  state = updateAlertState(state, []).state;
+  assert.deepStrictEqual(updateAlertState(state, breach).fired, []);
+});
+
+test("an alert run without a price still checks for silent fleets", () => {
+  const rulesPath = path.join(DATA_DIR, "outage_rules.json");
+  fs.writeFileSync(rulesPath, JSON.stringify([ROI_RULE, { id: "quiet", type: "no_scans", hours: 2, fleet: "Stray" }]));
+  const emptyPrices = path.join(DATA_DIR, "no_prices");
+  fs.mkdirSync(emptyPrices, { recursive: true });
+  const run = spawnSync(process.execPath, [path.join(__dirname, "..", "alerts.js")], {
+    env: {
+      ...process.env,
+      ALERT_RULES_PATH: rulesPath,
+      ALERT_STATE_PATH: path.join(DATA_DIR, "outage_state.json"),
+      PRICE_FIXTURES_DIR: emptyPrices
+    },
+    encoding: "utf8"
+  });
+  assert.strictEqual(run.status, 4);
+  assert.match(run.stderr, /^Skipping roi-below-100: /);
+  assert.match(run.stdout, /🔴 FIRING: No scans from Stray in 2h/);
+});
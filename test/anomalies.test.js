@@ -0,0 +1,62 @@
+const { assertClose } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { adjustPValues, detectAnomalies } = require('../anomalies');
+
+const HOUR_MS = 60 * 60 * 1000;
+const until = new Date("2025-04-02T00:00:00Z");
+const recentStart = new Date(until.getTime() - 24 * HOUR_MS);
+const baselineStart = new Date(recentStart.getTime() - 7 * 24 * HOUR_MS);
+
+// mulberry32: the same scans on every run.
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Eight fleets, two per sector, each scanning once an hour with a 70%
+// success rate, except Drifter, which drops to 20% in the last 24h.
+function fixtureBuckets() {
+  const random = seededRandom(143);
+  const fleets = ["Alpha", "Bravo", "Charlie", "Delta", "Echo", "Foxtrot", "Golf", "Drifter"];
+  const buckets = [];
+  for (let hour = baselineStart.getTime(); hour < until.getTime(); hour += HOUR_MS) {
+    fleets.forEach((fleet, i) => {
+      const rate = fleet === "Drifter" && hour >= recentStart.getTime() ? 0.2 : 0.7;
+      const SDUs = random() < rate ? 1 + Math.floor(random() * 4) : 0;
+      buckets.push({
+        hour, fleet, coord: `${(i >> 1) + 1}_${(i >> 1) + 1}`,
+        scans: 1, successful: SDUs > 0 ? 1 : 0, SDUs,
+        first: hour, last: hour, detail: [[0, SDUs]]
+      });
+    });
+  }
+  return buckets;
+}
+
+test("adjusts p-values by Benjamini-Hochberg", () => {
+  const q = adjustPValues([0.01, 0.04, 0.03, 0.5]);
+  [0.04, 0.04 * 4 / 3, 0.04 * 4 / 3, 0.5].forEach((expected, i) => assertClose(assert, q[i], expected, `q[${i}]`));
+  assert.deepStrictEqual(adjustPValues([]), []);
+});
+
+test("flags only the planted anomaly", () => {
+  const result = detectAnomalies(fixtureBuckets(), { recentStart, until, baselineStart, alpha: 0.01 });
+  assert.strictEqual(result.tests.length, 8 + 4 + 8);
+  // By chance, Alpha, Charlie and Foxtrot fall below alpha before the correction.
+  const unrelated = test => test.fleet !== "Drifter" && test.coord !== "4_4";
+  const lucky = result.tests.filter(test => test.scope === "fleet" && unrelated(test) && Math.min(test.pSuccess, test.pYield) < 0.01);
+  assert.deepStrictEqual(lucky.map(test => test.fleet), ["Alpha", "Charlie", "Foxtrot"]);
+
+  const flagged = result.flagged.map(test => `${test.scope}:${test.fleet || test.coord}`);
+  assert.ok(flagged.includes("fleet:Drifter"), flagged.join(", "));
+  // Its sector and pair may follow it; nothing unrelated does.
+  result.flagged.forEach(test => {
+    assert.ok(!unrelated(test), `${test.scope} ${test.fleet} ${test.coord}`);
+    assert.ok(test.metrics.includes("success"));
+  });
+});
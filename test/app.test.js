@@ -0,0 +1,151 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { createApp, registerCommands, codeBlockSections } = require('../app');
+
+// Registers the slash commands on a stand-in for the Bolt app and runs one
+// with a stubbed ack and respond; resolves with the calls in order.
+async function runCommand(name, text) {
+  const handlers = {};
+  registerCommands({ command: (command, handler) => { handlers[command] = handler; } });
+  const calls = [];
+  await handlers[name]({
+    command: { command: name, text },
+    ack: async () => { calls.push({ ack: true }); },
+    respond: async message => { calls.push(message); },
+    logger: { error: () => {} }
+  });
+  return calls;
+}
+
+test("/sdu-price answers with the lowest listing", async () => {
+  const [ack, message] = await runCommand("/sdu-price", "");
+  assert.deepStrictEqual(ack, { ack: true });
+  assert.strictEqual(message.response_type, "in_channel");
+  assert.strictEqual(message.blocks[0].text.text, "Lowest SDU Listing");
+  assert.deepStrictEqual(message.blocks[1].fields.map(field => field.text), [
+    "*Price*\n0.020000 ATLAS",
+    "*Quantity*\n500",
+    "*Seller*\nSellerA"
+  ]);
+  assert.strictEqual(message.blocks[2].elements[0].text, "⚠️ SDU price replayed from a recorded fixture");
+});
+
+test("/scanners posts the ROI tables in code blocks", async () => {
+  const [, message] = await runCommand("/scanners", "48 vwap");
+  assert.strictEqual(message.response_type, "in_channel");
+  assert.strictEqual(message.text, "Scanner ROI report");
+  assert.match(message.blocks[0].text.text, /ROI/);
+  const tables = message.blocks.filter(block => block.type === "section").map(block => block.text.text);
+  assert.ok(tables.every(text => text.startsWith("```") && text.length <= 3000));
+  assert.ok(tables.some(text => /Net Profits/.test(text)));
+  assert.match(message.blocks[message.blocks.length - 1].elements[0].text, /VWAP/);
+});
+
+test("a failing report is answered privately with the error", async t => {
+  const readFileSync = fs.readFileSync;
+  t.mock.method(fs, "readFileSync", (file, ...args) => {
+    if (file === process.env.BASES_FILE_PATH) throw new Error("bases file unreadable");
+    return readFileSync(file, ...args);
+  });
+  const [, message] = await runCommand("/scanners", "");
+  assert.deepStrictEqual(message, { response_type: "ephemeral", text: "Error: bases file unreadable" });
+});
+
+test("a line longer than a section is split across sections", () => {
+  const sections = codeBlockSections("short\n" + "x".repeat(7000));
+  assert.deepStrictEqual(sections.map(section => section.text.text.length), [11, 2906, 2906, 1206]);
+  assert.strictEqual(sections.map(section => section.text.text.slice(3, -3)).join(""), "short" + "x".repeat(7000));
+});
+
+const SIGNING_SECRET = "test-signing-secret";
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => resolve(body));
+  });
+}
+
+// Slack's side: the Web API (auth.test only) and the command's response_url.
+// Resolves `responded` with the first message posted to the response_url.
+async function startFakeSlack() {
+  const calls = [];
+  let answer;
+  const responded = new Promise(resolve => { answer = resolve; });
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    calls.push(req.url);
+    res.setHeader("Content-Type", "application/json");
+    if (req.url === "/api/auth.test") {
+      res.end(JSON.stringify({ ok: true, user_id: "UBOT", bot_id: "BBOT", team_id: "T1" }));
+    } else {
+      res.end(JSON.stringify({ ok: true }));
+      if (req.url === "/respond") answer(JSON.parse(body));
+    }
+  });
+  return { server, url: await listen(server), calls, responded };
+}
+
+// A slash command as Slack posts it, signed with the signing secret.
+function postCommand(url, fields) {
+  const body = new URLSearchParams(fields).toString();
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = "v0=" + crypto.createHmac("sha256", SIGNING_SECRET).update(`v0:${timestamp}:${body}`).digest("hex");
+  return new Promise((resolve, reject) => {
+    const req = http.request(url + "/slack/events", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "X-Slack-Request-Timestamp": timestamp,
+        "X-Slack-Signature": signature
+      }
+    }, res => readBody(res).then(() => resolve(res.statusCode)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+test("the Bolt receiver answers a signed slash command through response_url", async t => {
+  const slack = await startFakeSlack();
+  t.after(() => slack.server.close());
+  const app = createApp({ token: "xoxb-test", signingSecret: SIGNING_SECRET, slackApiUrl: `${slack.url}/api/` });
+  const server = await app.start(0);
+  t.after(() => app.stop());
+  const appUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const status = await postCommand(appUrl, {
+    command: "/sdu-price",
+    text: "",
+    team_id: "T1",
+    user_id: "U1",
+    channel_id: "C1",
+    response_url: `${slack.url}/respond`,
+    trigger_id: "1.2.3"
+  });
+  assert.strictEqual(status, 200);
+  const message = await slack.responded;
+  assert.strictEqual(message.response_type, "in_channel");
+  assert.strictEqual(message.text, "SDU price");
+  assert.strictEqual(message.blocks[1].fields[0].text, "*Price*\n0.020000 ATLAS");
+  assert.ok(slack.calls.includes("/api/auth.test"));
+
+  // A request with a bad signature never reaches the handler.
+  const forged = await new Promise((resolve, reject) => {
+    const req = http.request(appUrl + "/slack/events", {
+      method: "POST",
+      headers: { "X-Slack-Request-Timestamp": Math.floor(Date.now() / 1000), "X-Slack-Signature": "v0=00" }
+    }, res => readBody(res).then(() => resolve(res.statusCode)));
+    req.on("error", reject);
+    req.end("command=%2Fsdu-price");
+  });
+  assert.strictEqual(forged, 401);
+});
@@ -0,0 +1,54 @@
+const { UNTIL, assertClose } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasesMapping, analyzeAndFormatLocal, buildRoiReport } = require('../anal_rc1');
+const { loadScanBuckets } = require('../scan_store');
+const { wilsonInterval, sideStats, compareRows, buildCompareReport } = require('../compare');
+const { renderText } = require('../report_format');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test("shows the roi report's ROI for the same window", async () => {
+  const roi = await analyzeAndFormatLocal(24, loadBasesMapping(), { until: UNTIL });
+  const side = { label: "A", since: new Date(UNTIL - 24 * HOUR_MS), until: UNTIL, fleets: [], buckets: await loadScanBuckets(), roi };
+  const overall = buildRoiReport(roi, 24).sections
+    .find(section => section.id === "netProfits")
+    .rows.find(row => row.category === "Overall");
+  assert.strictEqual(Math.round(sideStats(side).roi), 133);
+  assert.strictEqual(sideStats(side).roi, overall.roi);
+
+  const text = renderText(buildCompareReport(side, { ...side, label: "B" }));
+  assert.match(text, /^ROI\s+133%\s+133%\s+\+0%/m);
+  assert.doesNotMatch(text, / +$/m);
+});
+
+// Stats of a side with only a success rate measured.
+function successStats(rate, scans) {
+  return {
+    scans, successRate: rate, successCi: wilsonInterval(rate, scans),
+    sdusPerScan: null, sdusPerHour: null, valuePerFleetDay: null, value: null, cost: null, roi: null
+  };
+}
+
+test("the success rate interval stays open at 0% and 100%", () => {
+  const all = wilsonInterval(1, 20);
+  assertClose(assert, all.low, 0.8388698745050667, "100% low");
+  assert.strictEqual(all.high, 1);
+  const none = wilsonInterval(0, 20);
+  assert.strictEqual(none.low, 0);
+  assertClose(assert, none.high, 1 - all.low, "0% high");
+  assert.strictEqual(wilsonInterval(null, 0), null);
+
+  // Two perfect sides do not differ significantly.
+  const same = compareRows(successStats(1, 20), successStats(1, 20))[1];
+  assert.strictEqual(same.diff, 0);
+  assertClose(assert, same.ciLow, -(1 - all.low) * 100, "ciLow");
+  assertClose(assert, same.ciHigh, (1 - all.low) * 100, "ciHigh");
+  assert.strictEqual(same.significant, false);
+
+  const apart = compareRows(successStats(0, 20), successStats(1, 20))[1];
+  assert.strictEqual(apart.diff, 100);
+  assert.ok(apart.ciLow > 0 && apart.ciLow < 100);
+  assertClose(assert, apart.ciHigh, 100, "ciHigh");
+  assert.strictEqual(apart.significant, true);
+});
@@ -0,0 +1,47 @@
+const { UNTIL } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createServer } = require('../dashboard');
+const { CSV_FILE_PATH, ingestScanLog } = require('../scan_store');
+
+let server;
+let base;
+test.before(async () => {
+  server = createServer();
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+
+function getJson(urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get(base + urlPath, res => {
+      let body = "";
+      res.on("data", chunk => { body += chunk; });
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on("error", reject);
+  });
+}
+
+test("reports requested at once count every scan once", async () => {
+  const until = encodeURIComponent(UNTIL.toISOString());
+  const [efficiency, roi, again] = await Promise.all([
+    getJson("/api/efficiency"),
+    getJson(`/api/roi?since=48h&until=${until}`),
+    getJson("/api/efficiency")
+  ]);
+  assert.strictEqual(efficiency.status, 200);
+  assert.strictEqual(roi.status, 200);
+  // scan_stats.csv has 9 scans.
+  assert.strictEqual(efficiency.body.meta.totalScans, 9);
+  assert.strictEqual(again.body.meta.totalScans, 9);
+  const scout = roi.body.sections.find(section => section.id === "fleets").rows.find(row => row.fleet === "Rented Scout");
+  assert.strictEqual(scout.SDUs, 100);
+});
+
+test("concurrent callers in one process share the ingestion run", async () => {
+  const first = ingestScanLog(CSV_FILE_PATH);
+  assert.strictEqual(ingestScanLog(CSV_FILE_PATH), first);
+  await first;
+});
@@ -0,0 +1,35 @@
+const { DATA_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { assessDataQuality } = require('../data_quality');
+
+const HEADER = "Timestamp,Fleet Name,SDU Count,Starbase Coordinate\n";
+
+test("counts accepted and rejected rows over the same ingestion runs", async () => {
+  const csvFile = path.join(DATA_DIR, "quality.csv");
+  fs.writeFileSync(csvFile, HEADER +
+    "2025-03-01T00:00:00Z,Scout,3,1_1\n" +
+    "2025-03-01T00:20:00Z,Scout,0,1_1\n" +
+    "2025-03-01T00:40:00Z,Scout,x,1_1\n");
+  const whole = await assessDataQuality({ csvFile });
+  assert.strictEqual(whole.accepted, 2);
+  assert.strictEqual(whole.rejected, 1);
+
+  // Rows ingested after `since` count, whenever they were scanned.
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const since = new Date();
+  fs.appendFileSync(csvFile,
+    "2025-03-01T01:00:00Z,Scout,4,1_1\n" +
+    "2025-03-01T01:20:00Z,Scout,,1_1\n" +
+    "2025-03-01T01:40:00Z,Scout,2,1_1\n" +
+    "2025-03-01T02:00:00Z,Scout,5,1_1\n");
+  const recent = await assessDataQuality({ csvFile, since });
+  assert.strictEqual(recent.accepted, 3);
+  assert.strictEqual(recent.rejected, 1);
+
+  const all = await assessDataQuality({ csvFile });
+  assert.strictEqual(all.accepted, 5);
+  assert.strictEqual(all.rejected, 2);
+});
@@ -0,0 +1,82 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultInterval, buildTimeSeries, sparkline, formatTrend, computeTrends } = require('../efficiency_trends');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY = Date.UTC(2025, 3, 1);
+
+// An hour's bucket holding scans [minute, SDUs].
+function bucket(fleet, hour, scans) {
+  const start = DAY + hour * HOUR_MS;
+  const detail = scans.map(([minute, SDUs]) => [minute * MINUTE_MS, SDUs]);
+  return {
+    hour: start, fleet, coord: "1_1",
+    scans: detail.length,
+    successful: detail.filter(([, SDUs]) => SDUs > 0).length,
+    SDUs: detail.reduce((sum, [, SDUs]) => sum + SDUs, 0),
+    first: start + detail[0][0],
+    last: start + detail[detail.length - 1][0],
+    detail
+  };
+}
+
+test("picks hours for up to two days, days beyond", () => {
+  assert.strictEqual(defaultInterval(48 * HOUR_MS), "hour");
+  assert.strictEqual(defaultInterval(49 * HOUR_MS), "day");
+});
+
+test("builds hourly points with empty hours, cut edges and rolling rates", () => {
+  const buckets = [
+    bucket("Scout", 0, [[10, 4], [40, 0]]),
+    bucket("Scout", 2, [[20, 2], [50, 6]])
+  ];
+  // From 00:30: the first hour covers half an hour and one of its scans.
+  const series = buildTimeSeries(buckets, { since: new Date(DAY + 30 * MINUTE_MS), until: new Date(DAY + 3 * HOUR_MS) });
+  const points = series.fleets.Scout;
+  assert.deepStrictEqual(points.map(point => [point.start.slice(11, 16), point.hours, point.scans, point.SDUs]), [
+    ["00:00", 0.5, 1, 0],
+    ["01:00", 1, 0, 0],
+    ["02:00", 1, 2, 8]
+  ]);
+  assert.strictEqual(points[0].successRate, 0);
+  assert.strictEqual(points[1].successRate, null);
+  assert.strictEqual(points[2].sdusPerHour, 8);
+  // Rolling over the last six hours: 2 of 3 scans, 8 SDUs in 2.5h.
+  assert.strictEqual(points[2].rollingSuccessRate, (2 / 3) * 100);
+  assert.strictEqual(points[2].rollingSdusPerHour, 8 / 2.5);
+});
+
+test("draws sparklines on a fixed or the data's own scale", () => {
+  assert.strictEqual(sparkline([0, 50, 100, null], 100), "▁▅█ ");
+  assert.strictEqual(sparkline([1, 2, 4]), "▃▅█");
+  assert.strictEqual(sparkline([0, 0]), "▁▁");
+  assert.strictEqual(sparkline(Array.from({ length: 60 }, (_, i) => i)).length, 48);
+});
+
+test("formats trends with a dead band around zero", () => {
+  assert.strictEqual(formatTrend(3.21), "▲ +3.2");
+  assert.strictEqual(formatTrend(-1), "▼ -1.0");
+  assert.strictEqual(formatTrend(0.2), "= +0.2");
+  assert.strictEqual(formatTrend(null), "");
+});
+
+test("compares the window with the same length of time before it", () => {
+  const buckets = [
+    bucket("Scout", 0, [[0, 1], [30, 1]]),
+    bucket("Scout", 1, [[0, 1], [30, 0]]),
+    bucket("Miner", 1, [[0, 3]])
+  ];
+  const trends = computeTrends(buckets, { since: new Date(DAY + HOUR_MS), until: new Date(DAY + 2 * HOUR_MS) });
+  assert.strictEqual(trends.interval, "hour");
+  assert.strictEqual(trends.periodMs, HOUR_MS);
+  assert.deepStrictEqual(Object.keys(trends.fleets).sort(), ["Miner", "Scout"]);
+  // Scout: 50% now against 100% the hour before.
+  assert.strictEqual(trends.fleets.Scout.current.successRate, 50);
+  assert.strictEqual(trends.fleets.Scout.previous.successRate, 100);
+  assert.strictEqual(trends.fleets.Scout.successDelta, -50);
+  // Miner did not scan before the window.
+  assert.strictEqual(trends.fleets.Miner.previous, null);
+  assert.strictEqual(trends.fleets.Miner.successDelta, null);
+});
@@ -0,0 +1,45 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeFleetActivity, formatShortDuration, STATUS } = require('../fleet_activity');
+
+const HOUR_MS = 60 * 60 * 1000;
+const since = new Date("2025-04-01T00:00:00Z");
+const now = new Date("2025-04-02T00:00:00Z");
+
+// Scans every 30 minutes over the last 6 hours of the day.
+const lateStart = now.getTime() - 6 * HOUR_MS;
+const times = Array.from({ length: 13 }, (_, i) => lateStart + i * HOUR_MS / 2);
+
+test("a fleet that started inside the window was not down before it", () => {
+  const activity = analyzeFleetActivity(times, times[12], since, now, times[0]);
+  assert.strictEqual(activity.downtimeMs, 0);
+  assert.strictEqual(activity.longestSilenceMs, HOUR_MS / 2);
+  assert.strictEqual(activity.activeMs, 6 * HOUR_MS);
+  assert.strictEqual(activity.status, STATUS.ACTIVE);
+});
+
+test("a fleet that scanned before the window was down until it resumed", () => {
+  const activity = analyzeFleetActivity(times, times[12], since, now, since.getTime() - HOUR_MS);
+  // 18h of silence, less the one cadence it would have taken anyway.
+  assert.strictEqual(activity.downtimeMs, 18 * HOUR_MS - HOUR_MS / 2);
+  assert.strictEqual(activity.longestSilenceMs, 18 * HOUR_MS);
+  // The last 6h, plus the cadence a silence is not counted as downtime.
+  assert.strictEqual(activity.activeMs, 6.5 * HOUR_MS);
+});
+
+test("a fleet never seen was down for the whole window", () => {
+  const activity = analyzeFleetActivity([], null, since, now, null);
+  assert.strictEqual(activity.downtimeMs, 24 * HOUR_MS);
+  assert.strictEqual(activity.activeMs, 0);
+  assert.strictEqual(activity.status, STATUS.NEVER_SEEN);
+});
+
+test("a single scan measures no cadence", () => {
+  const last = now.getTime() - 2 * HOUR_MS;
+  const activity = analyzeFleetActivity([last], last, since, now, last);
+  assert.strictEqual(activity.cadenceMs, null);
+  assert.strictEqual(formatShortDuration(activity.cadenceMs), "N/A");
+  // The thresholds still assume 30 minutes: 2h of silence is a stall.
+  assert.strictEqual(activity.status, STATUS.STALLED);
+});
@@ -0,0 +1,76 @@
+const { DATA_DIR, assertClose } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildStints, stintEconomics, basePath } = require('../fleet_stints');
+const { normalizeContract } = require('../rentals');
+const { loadBasesMapping, analyzeAndFormatLocal } = require('../anal_rc1');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2025, 2, 1);
+const at = hours => START + hours * HOUR_MS;
+
+function visit(baseName, first, last, SDUs = 1) {
+  return { first: at(first), last: at(last), baseName, scans: 1, SDUs, SDUs24h: SDUs };
+}
+
+test("splits scans into stints at base changes", () => {
+  const { stints, relocations } = buildStints([
+    visit("Beta", 12, 13, 3),
+    visit("Alpha", 2, 3, 1),
+    visit("Alpha", 6, 7, 2)
+  ], new Date(at(24)));
+
+  assert.strictEqual(basePath(stints), "Alpha → Beta");
+  assert.deepStrictEqual(stints.map(stint => [stint.start, stint.end, stint.SDUs]), [
+    [at(2), at(12), 3],
+    [at(12), at(24), 3]
+  ]);
+  assert.deepStrictEqual(relocations, [
+    { from: "Alpha", to: "Beta", leftAt: new Date(at(7)), arrivedAt: new Date(at(12)) }
+  ]);
+});
+
+test("starts the first stint at `from` rather than the first scan", () => {
+  const visits = [visit("Alpha", 6, 7), visit("Beta", 12, 13)];
+  const now = new Date(at(24));
+  assert.strictEqual(buildStints(visits, now).stints[0].start, at(6));
+  assert.strictEqual(buildStints(visits, now, new Date(at(0))).stints[0].start, at(0));
+  // A scan before `from` still starts the stint.
+  assert.strictEqual(buildStints(visits, now, new Date(at(8))).stints[0].start, at(6));
+  assert.deepStrictEqual(buildStints([], now, new Date(at(0))).stints, []);
+});
+
+test("prices a stint against its rent", () => {
+  assert.deepStrictEqual(stintEconomics({ SDUs: 10 }, 0.5), { value: 5, rent: null, roi: null });
+  assert.deepStrictEqual(stintEconomics({ SDUs: 10, rent: 2.5 }, 0.5), { value: 5, rent: 2.5, roi: 200 });
+  assert.deepStrictEqual(stintEconomics({ SDUs: 10, rent: 0 }, 0.5), { value: 5, rent: 0, roi: null });
+});
+
+test("charges all of a window's rent to the fleet's stints", async () => {
+  const csvFile = path.join(DATA_DIR, "stints.csv");
+  fs.writeFileSync(csvFile, "Timestamp,Fleet Name,SDU Count,Starbase Coordinate\n" +
+    "2025-03-01T06:00:00Z,Scout,1,-10_20\n" +
+    "2025-03-01T12:00:00Z,Scout,1,5_5\n");
+  const until = new Date(at(24));
+  const report = (contract) => analyzeAndFormatLocal(24, loadBasesMapping(), {
+    csvFile,
+    until,
+    rentalContracts: [normalizeContract({ fleet: "Scout", dailyRate: 24, ...contract })]
+  });
+
+  // Rented for the whole window: the first stint starts at the window start.
+  const { fleetData } = await report({});
+  const [alpha, beta] = fleetData.Scout.stints;
+  assert.strictEqual(alpha.start, at(0));
+  assertClose(assert, alpha.rent, 12, "Alpha rent");
+  assertClose(assert, beta.rent, 12, "Beta rent");
+  assertClose(assert, alpha.rent + beta.rent, fleetData.Scout.rentDynamic, "stint rents");
+
+  // Rented from 02:00: the first stint starts then.
+  const rentedLater = (await report({ start: "2025-03-01T02:00:00Z" })).fleetData.Scout;
+  assert.strictEqual(rentedLater.stints[0].start, at(2));
+  assertClose(assert, rentedLater.stints[0].rent, 10, "Alpha rent");
+  assertClose(assert, rentedLater.rentDynamic, 22, "window rent");
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Required first by every test file: points the modules' env settings at the
+// files in test/fixtures and a throwaway data directory, before the modules
+// read them (and before dotenv could fill them from a local .env). Prices
+// are replayed from test/fixtures/prices.
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "scan-analyzer-test-"));
+
+// Scans in scan_stats.csv run up to and past this; reports end here.
+const UNTIL = new Date("2025-04-02T00:00:00Z");
+
+Object.keys(process.env)
+  .filter(key => key.startsWith("RENTAL_"))
+  .forEach(key => delete process.env[key]);
+delete process.env.SCAN_STORE_PATH;
+delete process.env.SDU_VWAP_UNITS;
+delete process.env.QUICKNODE_RPC_URL;
+
+Object.assign(process.env, {
+  CSV_FILE_PATH: path.join(FIXTURES_DIR, "scan_stats.csv"),
+  BASES_FILE_PATH: path.join(FIXTURES_DIR, "test.bases"),
+  SCAN_STORE_DIR: DATA_DIR,
+  RENTALS_FILE_PATH: path.join(FIXTURES_DIR, "rentals.json"),
+  OPERATING_COSTS_PATH: path.join(DATA_DIR, "operating_costs.json"),
+  PRICE_HISTORY_PATH: path.join(FIXTURES_DIR, "price_history.jsonl"),
+  PRICE_CACHE_PATH: path.join(DATA_DIR, "price_cache.json"),
+  PRICE_OVERRIDES_PATH: path.join(DATA_DIR, "price_overrides.json"),
+  PRICE_PROVIDERS: "marketplace,coingecko",
+  PRICE_SOURCE: "fixture",
+  PRICE_FIXTURES_DIR: path.join(FIXTURES_DIR, "prices"),
+  SDU_PRICE_MODE: "ask",
+  REPORT_TIMEZONE: "UTC",
+  SCAN_LOG_TIMEZONE: "UTC",
+  DEBUG_BASES: "false"
+});
+
+process.on("exit", () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+// assert.equal for sums of floats.
+function assertClose(assert, actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || "value"}: expected ${expected}, got ${actual}`);
+}
+
+// Runs the CLI in this process with its console output captured; resolves
+// with { code, stdout, stderr }. Loads scan_analyzer only when called, after
+// the test file has set its env.
+async function runCli(t, argv) {
+  const { run } = require('../scan_analyzer');
+  const out = [];
+  const err = [];
+  t.mock.method(console, "log", (...args) => out.push(args.join(" ")));
+  t.mock.method(console, "error", (...args) => err.push(args.join(" ")));
+  try {
+    const code = await run(argv);
+    return { code, stdout: out.join("\n"), stderr: err.join("\n") };
+  } finally {
+    console.log.mock.restore();
+    console.error.mock.restore();
+  }
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  DATA_DIR,
+  UNTIL,
+  assertClose,
+  runCli
+};
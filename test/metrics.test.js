@@ -0,0 +1,81 @@
+const { DATA_DIR, UNTIL } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { renderMetrics, collectMetrics } = require('../metrics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Samples of one metric as { "label=value,...": value }.
+function samplesOf(metrics, name) {
+  const metric = metrics.find(m => m.name === name);
+  if (!metric) return undefined;
+  return Object.fromEntries(metric.samples.map(sample => [
+    Object.entries(sample.labels).map(([key, value]) => `${key}=${value}`).join(","),
+    sample.value
+  ]));
+}
+
+test("renders the exposition format with escaped labels", () => {
+  const text = renderMetrics([
+    {
+      name: "sdus_total",
+      type: "counter",
+      help: "SDUs found.",
+      samples: [{ labels: { fleet: 'Say "hi"\\\n', base: "Alpha" }, value: 3 }]
+    },
+    {
+      name: "ratio",
+      type: "gauge",
+      help: "Edge values.",
+      samples: [{ labels: {}, value: Infinity }, { labels: {}, value: -Infinity }, { labels: {}, value: NaN }]
+    }
+  ]);
+  assert.strictEqual(text, [
+    "# HELP scanner_sdus_total SDUs found.",
+    "# TYPE scanner_sdus_total counter",
+    'scanner_sdus_total{fleet="Say \\"hi\\"\\\\\\n",base="Alpha"} 3',
+    "# HELP scanner_ratio Edge values.",
+    "# TYPE scanner_ratio gauge",
+    "scanner_ratio +Inf",
+    "scanner_ratio -Inf",
+    "scanner_ratio NaN",
+    ""
+  ].join("\n"));
+});
+
+test("counts the whole log by fleet and base and prices the last 24h", async () => {
+  const metrics = await collectMetrics({ now: UNTIL });
+  const scans = samplesOf(metrics, "scans_total");
+  assert.strictEqual(scans["fleet=Rented Scout,base=Alpha"], 4);
+  // Owned Miner's counters include its scan after `now`; Stray's sector has no base.
+  assert.strictEqual(scans["fleet=Owned Miner,base=Beta"], 4);
+  assert.strictEqual(scans["fleet=Stray,base=9_9"], 1);
+  assert.strictEqual(samplesOf(metrics, "sdus_total")["fleet=Rented Scout,base=Alpha"], 100);
+
+  const sinceLast = samplesOf(metrics, "seconds_since_last_scan");
+  assert.strictEqual(sinceLast["fleet=Rented Scout"], 6 * HOUR_MS / 1000);
+  assert.strictEqual(sinceLast["fleet=Owned Miner"], 0);
+
+  assert.deepStrictEqual(samplesOf(metrics, "price_available"), { "": 1 });
+  assert.deepStrictEqual(samplesOf(metrics, "sdu_price_atlas"), { "": 0.02 });
+  assert.deepStrictEqual(samplesOf(metrics, "atlas_usd"), { "": 0.0025 });
+  // 70 SDUs at 0.02 against 1 ATLAS of rent; Idle Hauler's 0.5 buys nothing.
+  assert.deepStrictEqual(samplesOf(metrics, "fleet_roi_percent"), { "fleet=Rented Scout": 140, "fleet=Idle Hauler": 0 });
+});
+
+test("keeps the scan counters through a price outage", () => {
+  const emptyPrices = fs.mkdtempSync(path.join(DATA_DIR, "no-prices-"));
+  const textfile = path.join(DATA_DIR, "outage", "scanner.prom");
+  const run = spawnSync(process.execPath, [path.join(__dirname, "..", "metrics.js"), "--textfile", textfile], {
+    env: { ...process.env, PRICE_FIXTURES_DIR: emptyPrices },
+    encoding: "utf8"
+  });
+  assert.strictEqual(run.status, 0, run.stderr);
+  const text = fs.readFileSync(textfile, "utf8");
+  assert.match(text, /^scanner_scans_total\{fleet="Rented Scout",base="Alpha"\} 4$/m);
+  assert.match(text, /^scanner_price_available 0$/m);
+  assert.doesNotMatch(text, /scanner_sdu_price_atlas/);
+});
@@ -0,0 +1,142 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const http = require('http');
+const { sendMail } = require('../smtp');
+const { notify } = require('../notifiers');
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+// A plaintext SMTP server that offers no STARTTLS and accepts everything;
+// `commands` collects what clients sent and `messages` the DATA bodies.
+function smtpStub() {
+  const commands = [];
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = "";
+    let data = null;
+    socket.write("220 stub ESMTP\r\n");
+    socket.on("data", chunk => {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data !== null) {
+          if (line === ".") {
+            messages.push(data.join("\r\n"));
+            data = null;
+            socket.write("250 queued\r\n");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        const verb = line.split(" ")[0].toUpperCase();
+        commands.push(line);
+        if (verb === "EHLO") socket.write("250-stub\r\n250 AUTH PLAIN\r\n");
+        else if (verb === "AUTH") socket.write("235 ok\r\n");
+        else if (verb === "DATA") { data = []; socket.write("354 go ahead\r\n"); }
+        else if (verb === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  return { server, commands, messages };
+}
+
+const MAIL = { from: "scanner@example.com", to: ["me@example.com"], subject: "ROI", text: "Net Profits:" };
+
+test("sends mail without credentials over plaintext", async t => {
+  const { server, commands, messages } = smtpStub();
+  t.after(() => server.close());
+  const port = await listen(server);
+  await sendMail({ ...MAIL, host: "127.0.0.1", port });
+  // QUIT may still be on its way when sendMail resolves.
+  assert.deepStrictEqual(commands.slice(0, 4).map(line => line.split(/[ :]/)[0]), ["EHLO", "MAIL", "RCPT", "DATA"]);
+  assert.match(messages[0], /^Subject: ROI$/m);
+  assert.match(messages[0], new RegExp(Buffer.from("Net Profits:").toString("base64")));
+});
+
+test("refuses to send the password without TLS", async t => {
+  const { server, commands } = smtpStub();
+  t.after(() => server.close());
+  const port = await listen(server);
+  await assert.rejects(
+    sendMail({ ...MAIL, host: "127.0.0.1", port, user: "me", pass: "secret" }),
+    err => err.retryable === false && /unencrypted connection/.test(err.message)
+  );
+  assert.ok(!commands.some(line => /^AUTH/.test(line)));
+});
+
+test("sends the password without TLS only when allowed", async t => {
+  const { server, commands, messages } = smtpStub();
+  t.after(() => server.close());
+  const port = await listen(server);
+  await sendMail({ ...MAIL, host: "127.0.0.1", port, user: "me", pass: "secret", allowPlaintextAuth: true });
+  assert.ok(commands.includes(`AUTH PLAIN ${Buffer.from("\0me\0secret").toString("base64")}`));
+  assert.strictEqual(messages.length, 1);
+});
+
+// A webhook endpoint answering with the queued statuses (then 200) and
+// keeping the JSON bodies it was sent.
+function webhookStub(statuses = []) {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      bodies.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(statuses.shift() || 200, { "Content-Type": "application/json" });
+      res.end("{}");
+    });
+  });
+  return { server, bodies };
+}
+
+const NO_WAIT = { baseDelayMs: 0, sleep: async () => {} };
+
+test("posts to Slack and retries a server error", async t => {
+  const { server, bodies } = webhookStub([503]);
+  t.after(() => server.close());
+  const port = await listen(server);
+  const channel = { type: "slack", name: "ops", webhookUrl: `http://127.0.0.1:${port}/hook` };
+  const results = await notify([channel], { title: "ROI", text: "a < b" }, NO_WAIT);
+  assert.deepStrictEqual(results, [{ channel: "ops", ok: true, parts: 1 }]);
+  assert.strictEqual(bodies.length, 2);
+  assert.strictEqual(bodies[1].body.text, "*ROI*\n```a &lt; b```");
+});
+
+test("splits long Discord messages and gives up on client errors", async t => {
+  const { server, bodies } = webhookStub([200, 200, 400]);
+  t.after(() => server.close());
+  const port = await listen(server);
+  const channel = { type: "discord", name: "guild", webhookUrl: `http://127.0.0.1:${port}/hook` };
+  const text = Array.from({ length: 300 }, (_, i) => `line ${i}`).join("\n");
+  const [sent] = await notify([channel], { title: "ROI", text }, NO_WAIT);
+  assert.deepStrictEqual(sent, { channel: "guild", ok: true, parts: 2 });
+  assert.ok(bodies.every(({ body }) => body.content.length <= 2000));
+  assert.match(bodies[1].body.content, /^\*\*ROI \(2\/2\)\*\*/);
+
+  const [failed] = await notify([channel], { title: "ROI", text: "short" }, NO_WAIT);
+  assert.deepStrictEqual(failed, { channel: "guild", ok: false, error: "HTTP 400: {}" });
+  assert.strictEqual(bodies.length, 3);
+});
+
+test("sends Telegram messages to the bot's chat", async t => {
+  const { server, bodies } = webhookStub();
+  t.after(() => server.close());
+  const port = await listen(server);
+  const channel = { type: "telegram", name: "tg", botToken: "123:abc", chatId: "42", apiUrl: `http://127.0.0.1:${port}` };
+  await notify([channel], { title: "ROI", text: "ok", priority: -1 }, NO_WAIT);
+  assert.strictEqual(bodies[0].url, "/bot123:abc/sendMessage");
+  assert.deepStrictEqual(bodies[0].body, {
+    chat_id: "42",
+    text: "<b>ROI</b>\n<pre>ok</pre>",
+    parse_mode: "HTML",
+    disable_notification: true
+  });
+});
@@ -0,0 +1,69 @@
+const { UNTIL, assertClose, runCli } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Live prices unless --offline says otherwise, so every report here only
+// has prices because --offline replays test/fixtures/prices.
+process.env.PRICE_SOURCE = "live";
+const { EXIT_CODES } = require('../scan_analyzer');
+
+const WINDOW = ["--since", "48h", "--until", UNTIL.toISOString()];
+
+async function runJson(t, argv) {
+  const result = await runCli(t, [...argv, "--offline", "--format", "json"]);
+  assert.strictEqual(result.code, EXIT_CODES.OK, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+function section(report, id) {
+  return report.sections.find(entry => entry.id === id);
+}
+
+test("roi --offline prices the window at the replayed book", async t => {
+  const report = await runJson(t, ["roi", ...WINDOW]);
+  assert.strictEqual(report.meta.currentPrice, 0.02);
+  assert.strictEqual(report.meta.priceSources.sduBook.replayed, true);
+  const scout = section(report, "fleets").rows.find(row => row.fleet === "Rented Scout");
+  assert.deepStrictEqual([scout.SDUs, scout.SDUs24h, scout.roi], [100, 70, 140]);
+  const [rented, , overall] = section(report, "netProfits").rows;
+  // JSON reports round to 8 decimals.
+  assert.strictEqual(rented.roi, 93.33333333);
+  assertClose(assert, overall.net24h, 0.5, "overall net24h");
+  assertClose(assert, overall.netDynamic, -0.1, "overall net over 48h");
+  assertClose(assert, section(report, "valuation").items[0].value, 3.45, "realized");
+});
+
+test("sell-plan --offline sells the window's SDUs into the replayed book", async t => {
+  const report = await runJson(t, ["sell-plan", ...WINDOW]);
+  assert.strictEqual(report.meta.amount, 145);
+  assert.deepStrictEqual([report.meta.bestBid, report.meta.bestAsk, report.meta.atlasUsd], [0.018, 0.02, 0.0025]);
+  const market = Object.fromEntries(section(report, "market").items.map(item => [item.key, item.value]));
+  assert.strictEqual(market.filled, "145 of 145 SDUs");
+  assertClose(assert, market.gross, 145 * 0.018, "market gross");
+  assertClose(assert, market.net, 145 * 0.018 * 0.94, "market net");
+  // 37, 36, 36 and 36 SDUs at 0.0199, 0.0198, 0.0196 and 0.0192.
+  assert.deepStrictEqual(section(report, "ladder").rows.map(rung => [rung.price, rung.quantity]),
+    [[0.0199, 37], [0.0198, 36], [0.0196, 36], [0.0192, 36]]);
+  assertClose(assert, report.meta.ladderTotals.gross, 2.8459, "ladder gross");
+});
+
+test("sell-plan --offline --book uses the recorded book's own rate", async t => {
+  const book = path.join(__dirname, "..", "order_book.sample.json");
+  const report = await runJson(t, ["sell-plan", "--amount", "1000", "--book", book]);
+  assert.deepStrictEqual([report.meta.bestBid, report.meta.atlasUsd], [0.0018, 0.0021]);
+  assert.match(section(report, "market").notes[0], /only 700 SDUs; 300 would stay unsold/);
+
+  const missing = await runCli(t, ["sell-plan", "--book", path.join(__dirname, "none.json"), "--offline"]);
+  assert.strictEqual(missing.code, EXIT_CODES.USAGE);
+  assert.match(missing.stderr, /Order book not found/);
+});
+
+test("compare --offline shows each side's scans and the roi report's ROI", async t => {
+  const report = await runJson(t, ["compare", ...WINDOW, "--split", "2025-04-01T00:00:00Z"]);
+  const rows = Object.fromEntries(section(report, "comparison").rows.map(row => [row.metric, row]));
+  assert.deepStrictEqual([rows.Scans.a, rows.Scans.b], [3, 4]);
+  assertClose(assert, rows["Value (ATLAS)"].b, 2, "B value");
+  assert.deepStrictEqual([rows.ROI.a, rows.ROI.b], [60, 133.33333333]);
+  assert.strictEqual(report.meta.currentPrice, 0.02);
+});
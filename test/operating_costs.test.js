@@ -0,0 +1,69 @@
+const { UNTIL, assertClose } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+// Consumable prices come from the manual overrides; the SDU book and
+// ATLAS/USD are still replayed.
+process.env.PRICE_PROVIDERS = "manual,marketplace,coingecko";
+const { fleetOperatingCosts } = require('../operating_costs');
+const { loadBasesMapping, analyzeAndFormatLocal } = require('../anal_rc1');
+
+const HOUR_MS = 60 * 60 * 1000;
+const COSTS_PATH = process.env.OPERATING_COSTS_PATH;
+const OVERRIDES_PATH = process.env.PRICE_OVERRIDES_PATH;
+
+const model = {
+  resources: {},
+  defaults: { perScan: { food: 1 }, perHour: { fuel: 10 } },
+  fleets: { "big miner": { perScan: { food: 3, toolkits: 1 } } }
+};
+const prices = { food: 0.01, fuel: 0.001 };
+
+test("charges per scan and per hour the fleet was running", () => {
+  const data = { scans: 4, scans24h: 2, activity: { activeMs: 40 * HOUR_MS }, activeMs24h: 20 * HOUR_MS };
+  const costs = fleetOperatingCosts(model, "Scout", data, prices);
+  assertClose(assert, costs.costDynamic, 4 * 0.01 + 40 * 10 * 0.001, "window cost");
+  assertClose(assert, costs.cost24h, 2 * 0.01 + 20 * 10 * 0.001, "24h cost");
+  assertClose(assert, costs.breakdown.fuel, 0.4, "fuel");
+  assert.deepStrictEqual(costs.unpriced, []);
+});
+
+test("a fleet's entry replaces the defaults it lists, unpriced resources are free", () => {
+  const data = { scans: 2, scans24h: 0, activity: { activeMs: HOUR_MS }, activeMs24h: 0 };
+  const costs = fleetOperatingCosts(model, "Big Miner ", data, prices);
+  assertClose(assert, costs.costDynamic, 2 * 3 * 0.01 + 10 * 0.001, "window cost");
+  assert.strictEqual(costs.cost24h, 0);
+  assert.deepStrictEqual(costs.unpriced, ["toolkits"]);
+});
+
+test("a fleet with no scans costs nothing", () => {
+  const costs = fleetOperatingCosts(model, "Scout", { scans: 0, scans24h: 0, activity: { activeMs: 0 }, activeMs24h: 0 }, prices);
+  assert.strictEqual(costs.costDynamic, 0);
+  assert.strictEqual(costs.cost24h, 0);
+  assert.deepStrictEqual(costs.breakdown, {});
+});
+
+test("splits operating costs between fleets rented in ATLAS or USD and owned ones", async t => {
+  fs.writeFileSync(COSTS_PATH, JSON.stringify({ defaults: model.defaults }));
+  fs.writeFileSync(OVERRIDES_PATH, JSON.stringify({ resources: prices }));
+  t.after(() => [COSTS_PATH, OVERRIDES_PATH].forEach(file => fs.rmSync(file, { force: true })));
+
+  const result = await analyzeAndFormatLocal(48, loadBasesMapping(), { until: UNTIL });
+  const { fleetData, operating } = result;
+
+  // Rented Scout (1 ATLAS a day) runs from its first scan at 03-31 02:00 with
+  // no downtime: 46h in the window, all of the last 24h.
+  assertClose(assert, fleetData["Rented Scout"].operatingCostDynamic, 4 * 0.01 + 46 * 0.01, "Scout window cost");
+  assertClose(assert, fleetData["Rented Scout"].operatingCost24h, 2 * 0.01 + 24 * 0.01, "Scout 24h cost");
+  // Idle Hauler (0.00125 USD a day) never scanned.
+  assert.strictEqual(fleetData["Idle Hauler"].operatingCostDynamic, 0);
+  assert.strictEqual(fleetData["Idle Hauler"].operatingCost24h, 0);
+
+  assertClose(assert, operating.rented.costDynamic, 0.5, "rented window cost");
+  assertClose(assert, operating.rented.cost24h, 0.26, "rented 24h cost");
+  // Rent: 1 + 0.5 ATLAS in the last 24h.
+  assertClose(assert, result.netRented24h, 70 * 0.02 - 1.5 - 0.26, "netRented24h");
+  assertClose(assert, operating.total.costDynamic, operating.rented.costDynamic + operating.owned.costDynamic, "total");
+  assert.deepStrictEqual(operating.unpriced, []);
+});
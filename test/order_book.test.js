@@ -0,0 +1,45 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { PRICE_MODES, vwapForQuantity, summarizeOrderBook, selectPrice } = require('../order_book');
+
+const ASKS = [
+  { price: 0.02, quantity: 100, owner: "A" },
+  { price: 0.025, quantity: 300, owner: "B" }
+];
+const BIDS = [
+  { price: 0.018, quantity: 200, owner: "C" },
+  { price: 0.015, quantity: 300, owner: "D" }
+];
+
+test("vwapForQuantity walks the levels for a partial fill of the second", () => {
+  const walk = vwapForQuantity(ASKS, 200);
+  assert.strictEqual(walk.filled, 200);
+  assert.strictEqual(walk.cost, 100 * 0.02 + 100 * 0.025);
+  assert.strictEqual(walk.vwap, walk.cost / 200);
+});
+
+test("vwapForQuantity covers only what a thin book holds", () => {
+  const walk = vwapForQuantity(ASKS, 1000);
+  assert.strictEqual(walk.filled, 400);
+  assert.strictEqual(walk.vwap, (100 * 0.02 + 300 * 0.025) / 400);
+});
+
+test("vwapForQuantity has no price on an empty book", () => {
+  assert.deepStrictEqual(vwapForQuantity([], 50), { vwap: null, filled: 0, cost: 0 });
+  // Nothing to fill gives the best price.
+  assert.deepStrictEqual(vwapForQuantity(ASKS, 0), { vwap: 0.02, filled: 0, cost: 0 });
+});
+
+test("selectPrice picks each mode's price", () => {
+  const summary = summarizeOrderBook({ asks: ASKS, bids: BIDS }, 200);
+  assert.strictEqual(selectPrice(summary, PRICE_MODES.ASK), 0.02);
+  assert.strictEqual(selectPrice(summary, PRICE_MODES.BID), 0.018);
+  assert.strictEqual(selectPrice(summary, PRICE_MODES.VWAP), 0.0225);
+  assert.strictEqual(selectPrice(summary, PRICE_MODES.MID), 0.019);
+  assert.strictEqual(selectPrice(summary), 0.02);
+  assert.throws(() => selectPrice(summary, "last"), /Unknown SDU price mode "last"/);
+
+  // One-sided books have no mid.
+  assert.strictEqual(selectPrice(summarizeOrderBook({ asks: ASKS, bids: [] }), PRICE_MODES.MID), null);
+});
@@ -0,0 +1,76 @@
+const { FIXTURES_DIR, DATA_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Recording overwrites fixtures and records prices, so this file works on a
+// copy of the fixtures and a history of its own.
+const PRICES_DIR = path.join(DATA_DIR, "prices");
+fs.cpSync(path.join(FIXTURES_DIR, "prices"), PRICES_DIR, { recursive: true });
+process.env.PRICE_FIXTURES_DIR = PRICES_DIR;
+process.env.PRICE_HISTORY_PATH = path.join(DATA_DIR, "price_history.jsonl");
+
+const axios = require('axios');
+const { PRICE_SOURCES, setPriceSource, loadFixture } = require('../price_fixtures');
+const { getQuote, describeQuote } = require('../price_providers');
+const { fetchLowestAskPrices } = require('../sdu_price');
+
+const FOOD_MINT = "foodQJAztMzX1DKpLaiounNe2BDMds5RNuPC6jsNrDG";
+
+test("replays the SDU/ATLAS book from recorded open orders", async () => {
+  const quote = await getQuote("sduBook");
+  assert.strictEqual(quote.source, "marketplace");
+  assert.strictEqual(quote.replayed, true);
+  // Sorted, dust asks and other markets left out, remaining quantities.
+  assert.deepStrictEqual(quote.value, {
+    asks: [
+      { price: 0.02, quantity: 500, owner: "SellerA" },
+      { price: 0.025, quantity: 1000, owner: "SellerB" }
+    ],
+    bids: [
+      { price: 0.018, quantity: 200, owner: "BuyerA" },
+      { price: 0.015, quantity: 300, owner: "BuyerB" }
+    ]
+  });
+  assert.strictEqual(describeQuote("sduBook", quote), "SDU price replayed from a recorded fixture");
+});
+
+test("replays consumable prices and CoinGecko's ATLAS/USD", async () => {
+  assert.deepStrictEqual(await fetchLowestAskPrices({ food: FOOD_MINT }), { food: 0.0012 });
+  const quote = await getQuote("atlasUsd");
+  assert.strictEqual(quote.value, 0.0025);
+  assert.strictEqual(quote.source, "coingecko");
+});
+
+test("replays leave the price cache and history alone", async () => {
+  await getQuote("atlasUsd");
+  assert.strictEqual(fs.existsSync(process.env.PRICE_CACHE_PATH), false);
+  assert.strictEqual(fs.existsSync(process.env.PRICE_HISTORY_PATH), false);
+});
+
+test("records live answers for later replay", async t => {
+  const get = t.mock.method(axios, "get", async () => ({ data: { "star-atlas": { usd: 0.0031 } } }));
+  setPriceSource(PRICE_SOURCES.RECORD);
+  t.after(() => setPriceSource(PRICE_SOURCES.FIXTURE));
+  const quote = await getQuote("atlasUsd");
+  assert.strictEqual(get.mock.callCount(), 1);
+  assert.strictEqual(quote.value, 0.0031);
+  assert.strictEqual(quote.replayed, undefined);
+  const recorded = loadFixture("coingecko");
+  assert.deepStrictEqual(recorded.data, { "star-atlas": { usd: 0.0031 } });
+  assert.ok(!isNaN(new Date(recorded.recordedAt)));
+
+  // The next replay answers with the recording.
+  setPriceSource(PRICE_SOURCES.FIXTURE);
+  assert.strictEqual((await getQuote("atlasUsd")).value, 0.0031);
+  assert.strictEqual(get.mock.callCount(), 1);
+});
+
+test("a missing fixture fails like an unreachable provider", async () => {
+  fs.rmSync(path.join(PRICES_DIR, "coingecko.json"));
+  await assert.rejects(
+    getQuote("atlasUsd", { providers: ["coingecko"], overridesPath: path.join(DATA_DIR, "none.json") }),
+    err => err.code === "ENOPRICE" && /no recorded fixture/.test(err.message)
+  );
+});
@@ -0,0 +1,28 @@
+const { DATA_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PRICE_SOURCES, setPriceSource } = require('../price_fixtures');
+const { getQuote } = require('../price_providers');
+
+const FOOD = { food: "foodQJAztMzX1DKpLaiounNe2BDMds5RNuPC6jsNrDG" };
+const FUEL = { fuel: "fueL3hBZjLLLJHiFH9cqZoozTG3XQZ53diwFPwbzNim" };
+
+test("caches consumable prices per set of mints", async t => {
+  const cachePath = path.join(DATA_DIR, "resource_cache.json");
+  fs.writeFileSync(cachePath, JSON.stringify({
+    [`resources:food=${FOOD.food}`]: { value: { food: 0.0011 }, source: "marketplace", fetchedAt: new Date().toISOString() }
+  }));
+  // Live, so a fresh cache entry answers instead of the marketplace.
+  setPriceSource(PRICE_SOURCES.RECORD);
+  t.after(() => setPriceSource(PRICE_SOURCES.FIXTURE));
+
+  const food = await getQuote("resources", { mints: FOOD, providers: ["marketplace"], cachePath });
+  assert.deepStrictEqual(food.value, { food: 0.0011 });
+  assert.strictEqual(food.stale, false);
+  await assert.rejects(
+    getQuote("resources", { mints: FUEL, providers: ["cache"], cachePath }),
+    err => err.code === "ENOPRICE"
+  );
+});
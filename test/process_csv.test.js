@@ -0,0 +1,108 @@
+const { FIXTURES_DIR, DATA_DIR, UNTIL, assertClose } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadBasesMapping, processCSV } = require('../anal_rc1');
+const { loadPriceHistory, PRICE_KINDS } = require('../price_history');
+
+const basesMapping = loadBasesMapping();
+
+test("counts SDUs and scans in the window and its last 24h", async () => {
+  const fleetData = await processCSV(48, basesMapping, null, { until: UNTIL });
+
+  assert.deepStrictEqual(Object.keys(fleetData).sort(), ["Idle Hauler", "Owned Miner", "Rented Scout", "Stray"]);
+  const scout = fleetData["Rented Scout"];
+  assert.strictEqual(scout.SDUs, 100);
+  assert.strictEqual(scout.SDUs24h, 70);
+  assert.strictEqual(scout.scans, 4);
+  assert.strictEqual(scout.scans24h, 2);
+  assert.strictEqual(scout.baseName, "Alpha");
+  assert.strictEqual(scout.realizedVal, undefined);
+
+  // The 50 SDUs before the window and the 99 after it do not count.
+  const miner = fleetData["Owned Miner"];
+  assert.strictEqual(miner.SDUs, 40);
+  assert.strictEqual(miner.SDUs24h, 25);
+  assert.strictEqual(miner.baseName, "Beta");
+});
+
+test("names coordinates missing from .bases Unknown", async () => {
+  const fleetData = await processCSV(48, basesMapping, null, { until: UNTIL });
+  assert.strictEqual(fleetData.Stray.baseName, "Unknown");
+  assert.strictEqual(fleetData.Stray.SDUs, 5);
+});
+
+test("adds rented fleets that never scanned, with nothing", async () => {
+  const fleetData = await processCSV(48, basesMapping, null, { until: UNTIL });
+  const idle = fleetData["Idle Hauler"];
+  assert.strictEqual(idle.SDUs, 0);
+  assert.strictEqual(idle.scans, 0);
+  assert.strictEqual(idle.baseName, "");
+});
+
+test("a shorter window drops the earlier scans", async () => {
+  const fleetData = await processCSV(12, basesMapping, null, { until: UNTIL });
+  assert.strictEqual(fleetData["Rented Scout"].SDUs, 40);
+  // Fleets seen earlier stay listed, with nothing in the window.
+  assert.strictEqual(fleetData["Owned Miner"].SDUs, 0);
+  assert.strictEqual(fleetData["Owned Miner"].baseName, "Beta");
+  // Scans at the window start count.
+  assert.strictEqual(fleetData.Stray.SDUs, 5);
+});
+
+test("filters by fleet and by base", async () => {
+  const byFleet = await processCSV(48, basesMapping, null, { until: UNTIL, fleets: ["rented scout"] });
+  assert.deepStrictEqual(Object.keys(byFleet), ["Rented Scout"]);
+
+  const byBase = await processCSV(48, basesMapping, null, { until: UNTIL, bases: ["Beta"] });
+  assert.deepStrictEqual(Object.keys(byBase), ["Owned Miner"]);
+});
+
+test("values each scan at the price recorded before it", async () => {
+  const prices = {
+    sduHistory: loadPriceHistory(PRICE_KINDS.SDU),
+    atlasUsdHistory: [],
+    currentPrice: 0.02,
+    atlasUsd: 0.0025
+  };
+  const fleetData = await processCSV(48, basesMapping, prices, { until: UNTIL });
+  const scout = fleetData["Rented Scout"];
+  // 30 SDUs at 0.01 on 2025-03-31, 70 at 0.03 on 2025-04-01.
+  assertClose(assert, scout.realizedVal, 30 * 0.01 + 70 * 0.03, "realizedVal");
+  assertClose(assert, scout.realizedVal24h, 70 * 0.03, "realizedVal24h");
+  assertClose(assert, scout.realizedUsd, scout.realizedVal * 0.0025, "realizedUsd");
+  assert.strictEqual(fleetData["Idle Hauler"].realizedVal, 0);
+});
+
+test("prices scans in the same hour at their own times", async () => {
+  const csvFile = path.join(DATA_DIR, "price_move.csv");
+  fs.writeFileSync(csvFile, "Timestamp,Fleet Name,SDU Count,Starbase Coordinate\n" +
+    "2025-04-01T10:10:00Z,Rented Scout,3,-10_20\n" +
+    "2025-04-01T10:50:00Z,Rented Scout,5,-10_20\n");
+  const prices = {
+    sduHistory: [
+      { time: Date.parse("2025-04-01T10:00:00Z"), price: 0.01 },
+      { time: Date.parse("2025-04-01T10:30:00Z"), price: 0.05 }
+    ],
+    atlasUsdHistory: [{ time: Date.parse("2025-04-01T10:40:00Z"), price: 0.004 }],
+    currentPrice: 0.02,
+    atlasUsd: 0.0025
+  };
+  const fleetData = await processCSV(24, basesMapping, prices, { csvFile, until: UNTIL, rentalContracts: [] });
+  const scout = fleetData["Rented Scout"];
+  assertClose(assert, scout.realizedVal, 3 * 0.01 + 5 * 0.05, "realizedVal");
+  assertClose(assert, scout.realizedUsd, 3 * 0.01 * 0.0025 + 5 * 0.05 * 0.004, "realizedUsd");
+});
+
+test("reads logs with the legacy Starbase column and skips bad rows", async () => {
+  const fleetData = await processCSV(48, basesMapping, null, {
+    csvFile: path.join(FIXTURES_DIR, "legacy_scan_stats.csv"),
+    until: UNTIL,
+    rentalContracts: []
+  });
+  assert.deepStrictEqual(Object.keys(fleetData), ["Rented Scout"]);
+  assert.strictEqual(fleetData["Rented Scout"].SDUs, 10);
+  assert.strictEqual(fleetData["Rented Scout"].scans, 2);
+  assert.strictEqual(fleetData["Rented Scout"].baseName, "Alpha");
+});
@@ -0,0 +1,91 @@
+const { FIXTURES_DIR, DATA_DIR, UNTIL, assertClose, runCli } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_PATH = path.join(DATA_DIR, "profiles.json");
+process.env.PROFILES_PATH = PROFILES_PATH;
+const { loadProfiles, selectProfiles } = require('../profiles');
+
+// "main" uses the fixtures; "alt" has a log of its own and no rentals.
+const altCsv = path.join(DATA_DIR, "alt.csv");
+fs.writeFileSync(altCsv, "Timestamp,Fleet Name,SDU Count,Starbase Coordinate\n" +
+  "2025-04-01T12:00:00Z,Alt Scout,50,-10_20\n" +
+  "2025-04-01T13:00:00Z,Rented Scout,10,-10_20\n");
+fs.writeFileSync(PROFILES_PATH, JSON.stringify({
+  main: { rentals: path.join(FIXTURES_DIR, "rentals.json") },
+  alt: {
+    csv: [altCsv],
+    bases: path.join(FIXTURES_DIR, "test.bases"),
+    rentals: [],
+    notifiers: { channels: { phone: { type: "pushover", token: "t", user: "u" } } }
+  }
+}));
+
+function writeProfiles(name, profiles) {
+  const file = path.join(DATA_DIR, name);
+  fs.writeFileSync(file, JSON.stringify(profiles));
+  return file;
+}
+
+test("loads profiles with files or inline settings and leaves the rest to the globals", () => {
+  const { main, alt } = loadProfiles();
+  assert.strictEqual(main.csvFile, process.env.CSV_FILE_PATH);
+  assert.strictEqual(main.basesFile, undefined);
+  assert.strictEqual(main.notifierConfig, undefined);
+  assert.deepStrictEqual(main.rentalContracts.map(contract => contract.key), ["rented scout", "idle hauler"]);
+
+  assert.strictEqual(alt.csvFile, altCsv);
+  assert.deepStrictEqual(alt.rentalContracts, []);
+  // Only the profile's own channels, never the env ones.
+  assert.deepStrictEqual(Object.keys(alt.notifierConfig.channels), ["phone"]);
+  assert.deepStrictEqual(loadProfiles(path.join(DATA_DIR, "none.json")), {});
+});
+
+test("rejects malformed profiles", () => {
+  const load = profiles => () => loadProfiles(writeProfiles("bad.json", profiles));
+  assert.throws(load([]), /must contain an object of named profiles/);
+  assert.throws(load({ all: {} }), /Invalid profile name "all"/);
+  assert.throws(load({ "a b": {} }), /Invalid profile name "a b"/);
+  assert.throws(load({ main: [] }), /Profile "main" must be an object/);
+  assert.throws(load({ main: { csv: [] } }), /Profile "main" has an invalid csv/);
+  assert.throws(load({ main: { rentals: path.join(DATA_DIR, "none.json") } }), /Profile "main": rentals file not found/);
+  assert.throws(load({ main: { rentals: [{ fleet: "Scout", dailyRate: -1 }] } }), /invalid dailyRate: -1/);
+});
+
+test("selects profiles in the order given, once each", () => {
+  const profiles = loadProfiles();
+  assert.deepStrictEqual(selectProfiles(profiles, ["alt", "main", "alt"]).map(profile => profile.name), ["alt", "main"]);
+  assert.deepStrictEqual(selectProfiles(profiles, ["all"]).map(profile => profile.name), ["main", "alt"]);
+  assert.throws(() => selectProfiles(profiles, ["other"]), /Unknown profile "other" \(configured: main, alt\)\./);
+  assert.throws(() => selectProfiles({}, ["all"]), /No profiles configured/);
+});
+
+test("roi over several profiles merges their fleets and keeps each one's nets", async t => {
+  const { code, stdout } = await runCli(t, [
+    "roi", "--profile", "all", "--since", "48h", "--until", UNTIL.toISOString(), "--offline", "--format", "json"
+  ]);
+  assert.strictEqual(code, 0);
+  const report = JSON.parse(stdout);
+  const fleets = report.sections.find(section => section.id === "fleets").rows;
+  // A fleet name both profiles use is told apart by its profile.
+  assert.deepStrictEqual(
+    fleets.map(row => [row.fleet, row.profile]).filter(([fleet]) => /Scout/.test(fleet)).sort(),
+    [["Alt Scout", "alt"], ["Rented Scout (alt)", "alt"], ["Rented Scout", "main"]]
+  );
+  // alt has no rentals, so its scouts are owned.
+  assert.strictEqual(fleets.find(row => row.fleet === "Rented Scout (alt)").rent, null);
+
+  const profiles = report.sections.find(section => section.id === "profiles").rows;
+  assert.deepStrictEqual(profiles.map(row => row.profile), ["main", "alt", "Total"]);
+  // 60 SDUs at 0.02 ATLAS and nothing to pay.
+  assert.strictEqual(profiles[1].net24h, 1.2);
+  assertClose(assert, profiles[2].net24h, profiles[0].net24h + profiles[1].net24h, "total net");
+});
+
+test("other commands take a single profile", async t => {
+  const { code, stderr } = await runCli(t, ["efficiency", "--profile", "main,alt"]);
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /efficiency takes one --profile; only roi merges several\./);
+});
@@ -0,0 +1,87 @@
+const { assertClose } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeContract } = require('../rentals');
+const { ADVICE, trailingSduPrice, buildRentalAdvice, buildAdvisorReport } = require('../rental_advisor');
+const { renderText } = require('../report_format');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const until = new Date("2025-04-02T00:00:00Z");
+const since = new Date(until - 2 * DAY_MS);
+
+// Two days at 0.02 ATLAS per SDU now and 0.015 on average; ATLAS is 0.0025 USD.
+const fleet = (SDUs, extra = {}) => ({ SDUs, scans: SDUs > 0 ? 10 : 0, rentDynamic: null, baseName: "Alpha", ...extra });
+const result = {
+  currentPrice: 0.02,
+  atlasUsd: 0.0025,
+  priceInfo: { quotes: {} },
+  fleetData: {
+    Keeper: fleet(200, { rentDynamic: 2 }),
+    Tight: fleet(140, { rentDynamic: 2 }),
+    Loser: fleet(60, { rentDynamic: 2 }),
+    Idle: fleet(0, { rentDynamic: 2 }),
+    Ended: fleet(100, { rentDynamic: 0.5 }),
+    Owned: fleet(100, { operatingCostDynamic: 0.2 })
+  }
+};
+const contracts = [
+  { fleet: "Keeper", dailyRate: 1 },
+  { fleet: "Tight", dailyRate: 0.0025, currency: "USD" },
+  { fleet: "Loser", dailyRate: 1, end: "2025-04-05T00:00:00Z" },
+  { fleet: "Idle", dailyRate: 1 },
+  { fleet: "Ended", dailyRate: 1, end: "2025-04-01T12:00:00Z" }
+].map(normalizeContract);
+
+const advice = buildRentalAdvice(result, contracts, { since, until, trailingPrice: 0.015, margin: 0.2, horizonDays: 7 });
+const rented = Object.fromEntries(advice.rented.map(row => [row.fleet, row]));
+
+test("averages the recorded prices of the trailing days", () => {
+  const history = [
+    { time: until - 10 * DAY_MS, price: 1 },
+    { time: until - 2 * DAY_MS, price: 0.01 },
+    { time: until - DAY_MS, price: 0.02 }
+  ];
+  assertClose(assert, trailingSduPrice(7, until, history), 0.015, "trailing price");
+  assert.strictEqual(trailingSduPrice(1, until, history.slice(0, 2)), null);
+});
+
+test("judges rented fleets on the lower break-even against the rent", () => {
+  // Keeper: 100 SDUs a day, 2 ATLAS now and 1.5 on average, against 1.
+  assert.strictEqual(rented.Keeper.advice, ADVICE.KEEP);
+  assertClose(assert, rented.Keeper.breakEvenCurrent, 2, "Keeper now");
+  assertClose(assert, rented.Keeper.headroom, 50, "Keeper headroom");
+
+  // Tight: 1.05 against 1 ATLAS (0.0025 USD) is inside the 20% margin.
+  assert.strictEqual(rented.Tight.advice, ADVICE.RENEGOTIATE);
+  assertClose(assert, rented.Tight.rent, 1, "Tight rent in ATLAS");
+  assertClose(assert, rented.Tight.targetRent, 1.05 / 1.2, "Tight target");
+
+  // Loser: 0.45 against 1, for the 3 days its contract still runs.
+  assert.strictEqual(rented.Loser.advice, ADVICE.DROP);
+  assertClose(assert, rented.Loser.horizonNet, (0.45 - 1) * 3, "Loser horizon");
+  assert.strictEqual(rented.Loser.ends, "2025-04-05T00:00:00.000Z");
+
+  // A fleet that never scanned is dropped; one whose contract ended is left out.
+  assert.strictEqual(rented.Idle.advice, ADVICE.DROP);
+  assert.strictEqual(rented.Ended, undefined);
+  assert.deepStrictEqual(advice.rented.map(row => row.fleet), ["Idle", "Loser", "Tight", "Keeper"]);
+});
+
+test("prices owned fleets' leasing on the higher break-even", () => {
+  assert.deepStrictEqual(advice.owned.map(row => row.fleet), ["Owned"]);
+  const [owned] = advice.owned;
+  // 50 SDUs a day less 0.1 ATLAS of costs: 0.9 now, 0.65 on average.
+  assertClose(assert, owned.costPerDay, 0.1, "costs per day");
+  assertClose(assert, owned.breakEvenTrailing, 0.65, "trailing break-even");
+  assertClose(assert, owned.leaseAbove, 0.9 * 1.2, "lease above");
+  assertClose(assert, owned.horizonSDUs, 350, "7 day SDUs");
+});
+
+test("renders the renegotiation target and the prices used", () => {
+  const text = renderText(buildAdvisorReport(advice, result, 48, until));
+  assert.match(text, /^Tight .*renegotiate to ≤ 0\.88$/m);
+  assert.match(text, /SDU price 0\.0200 now, 0\.0150 on average over the last 7d\./);
+
+  const noHistory = buildRentalAdvice(result, contracts, { since, until, margin: 0.2 });
+  assert.match(renderText(buildAdvisorReport(noHistory, result, 48, until)), /No SDU prices recorded in the last 7d/);
+});
@@ -0,0 +1,41 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Zoneless contract dates are read in REPORT_TIMEZONE.
+process.env.REPORT_TIMEZONE = "Europe/Berlin";
+const { normalizeContract, rentForWindow, dailyRateAt } = require('../rentals');
+const { getRentalCost } = require('../anal_rc1');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("reads zoneless contract dates in REPORT_TIMEZONE", () => {
+  const contract = normalizeContract({ fleet: "Scout", dailyRate: 1, start: "2025-04-01", end: "2025-04-02T06:00:00Z" });
+  assert.strictEqual(contract.start.toISOString(), "2025-03-31T22:00:00.000Z");
+  assert.strictEqual(contract.end.toISOString(), "2025-04-02T06:00:00.000Z");
+  assert.throws(() => normalizeContract({ fleet: "Scout", dailyRate: 1, start: "soon" }), /invalid start: soon/);
+  assert.throws(
+    () => normalizeContract({ fleet: "Scout", dailyRate: 1, start: "2025-04-02", end: "2025-04-01" }),
+    /Rental for "Scout" has an invalid end: 2025-04-01 \(before its start 2025-04-02\)/
+  );
+});
+
+test("leaves USD contracts out without an ATLAS/USD rate", t => {
+  const warn = t.mock.method(console, "error", () => {});
+  const contracts = [
+    normalizeContract({ fleet: "Hauler", dailyRate: 0.5, currency: "USD" }),
+    normalizeContract({ fleet: "Scout", dailyRate: 2 })
+  ];
+  const from = new Date("2025-04-01T00:00:00Z");
+  const to = new Date(from.getTime() + DAY_MS);
+  assert.strictEqual(rentForWindow(contracts, "Hauler", from, to, 0.25), 2);
+  assert.strictEqual(rentForWindow(contracts, "Hauler", from, to), null);
+  assert.strictEqual(dailyRateAt(contracts, "Hauler", from), null);
+  assert.strictEqual(rentForWindow(contracts, "Scout", from, to), 2);
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /Skipping the USD rental of "Hauler"/);
+
+  // The daily rate shown without a quote (test/fixtures/rentals.json).
+  assert.strictEqual(getRentalCost("Idle Hauler"), "N/A");
+  assert.strictEqual(getRentalCost("Rented Scout"), 1);
+});
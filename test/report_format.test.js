@@ -0,0 +1,144 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderText, renderMarkdown, renderCsv, renderJson, renderHtml, renderReport } = require('../report_format');
+
+// One of each kind of section: items, a table with a child row, an empty
+// table, a detail table and a notes-only footer.
+const report = {
+  report: "sample",
+  title: "Fleet <Report> & Co",
+  generatedAt: "2025-04-02T00:00:00.000Z",
+  meta: { hours: 24 },
+  sections: [
+    {
+      id: "summary",
+      title: "Summary",
+      items: [
+        { key: "value", label: "Value", value: 0.1 + 0.2, digits: 2, suffix: " ATLAS" },
+        { key: "comment", label: "Comment", value: 'says "hi", then <b>' }
+      ]
+    },
+    {
+      id: "fleets",
+      title: "Fleets",
+      columns: [
+        { key: "fleet", label: "Fleet" },
+        { key: "SDUs", label: "SDUs" },
+        { key: "roi", label: "ROI", digits: 0, suffix: "%" }
+      ],
+      rows: [
+        {
+          fleet: "Miner|1, Inc",
+          SDUs: 10,
+          roi: 133.333,
+          children: [{ fleet: "Alpha", SDUs: 4, roi: null, display: { fleet: "↳ Alpha" } }]
+        },
+        { fleet: "Scout", SDUs: 0, roi: 50 }
+      ]
+    },
+    { id: "empty", title: "Alerts", columns: [{ key: "rule", label: "Rule" }], rows: [], emptyMessage: "No alerts." },
+    { id: "raw", title: "Raw", detail: true, columns: [{ key: "x", label: "X" }], rows: [{ x: 1 }] },
+    { id: "window", notes: ["Window: last 24h."] }
+  ]
+};
+
+test("text aligns items and columns and leaves detail sections out", () => {
+  assert.strictEqual(renderText(report), [
+    "Summary:",
+    "  Value:   0.30 ATLAS",
+    '  Comment: says "hi", then <b>',
+    "",
+    "Fleets:",
+    "Fleet          SDUs   ROI",
+    "------------   ----   ----",
+    "Miner|1, Inc   10     133%",
+    "  ↳ Alpha      4      N/A",
+    "Scout          0      50%",
+    "",
+    "No alerts.",
+    "",
+    "Window: last 24h."
+  ].join("\n"));
+});
+
+test("markdown escapes pipes in cells and keeps detail sections", () => {
+  assert.strictEqual(renderMarkdown(report), [
+    "# Fleet <Report> & Co",
+    "",
+    "## Summary",
+    "",
+    "- **Value:** 0.30 ATLAS",
+    '- **Comment:** says "hi", then <b>',
+    "",
+    "## Fleets",
+    "",
+    "| Fleet | SDUs | ROI |",
+    "| --- | --- | --- |",
+    "| Miner\\|1, Inc | 10 | 133% |",
+    "|   ↳ Alpha | 4 | N/A |",
+    "| Scout | 0 | 50% |",
+    "",
+    "## Alerts",
+    "",
+    "No alerts.",
+    "",
+    "## Raw",
+    "",
+    "| X |",
+    "| --- |",
+    "| 1 |",
+    "",
+    "_Window: last 24h._",
+    ""
+  ].join("\n"));
+});
+
+test("html escapes every text it writes", () => {
+  const html = renderHtml(report);
+  assert.match(html, /<title>Fleet &lt;Report&gt; &amp; Co<\/title>/);
+  assert.match(html, /<h1>Fleet &lt;Report&gt; &amp; Co<\/h1>/);
+  assert.match(html, /<dt>Comment<\/dt><dd>says &quot;hi&quot;, then &lt;b&gt;<\/dd>/);
+  assert.match(html, /<tr class="child"><td>↳ Alpha<\/td><td>4<\/td><td>N\/A<\/td><\/tr>/);
+  assert.match(html, /<p>No alerts\.<\/p>/);
+  assert.match(html, /<p class="note">Window: last 24h\.<\/p>/);
+  assert.doesNotMatch(html, /<b>/);
+});
+
+test("csv quotes commas and quotes and writes raw values", () => {
+  assert.strictEqual(renderCsv(report), [
+    "# Summary",
+    "key,value",
+    "value,0.3",
+    'comment,"says ""hi"", then <b>"',
+    "",
+    "# Fleets",
+    "level,fleet,SDUs,roi",
+    '0,"Miner|1, Inc",10,133.333',
+    "1,Alpha,4,",
+    "0,Scout,0,50",
+    "",
+    "# Alerts",
+    "rule",
+    "",
+    "# Raw",
+    "x",
+    "1"
+  ].join("\n"));
+});
+
+test("json keeps the data and drops presentation keys", () => {
+  const json = JSON.parse(renderJson(report));
+  assert.deepStrictEqual(json.sections[0].items[0], { key: "value", label: "Value", value: 0.3 });
+  assert.deepStrictEqual(json.sections[1].columns[2], { key: "roi", label: "ROI" });
+  assert.deepStrictEqual(json.sections[1].rows[0].children, [{ fleet: "Alpha", SDUs: 4, roi: null }]);
+  assert.deepStrictEqual(json.sections[2], { id: "empty", title: "Alerts", columns: [{ key: "rule", label: "Rule" }], rows: [] });
+  assert.strictEqual("detail" in json.sections[3], false);
+  assert.deepStrictEqual(json.meta, { hours: 24 });
+});
+
+test("renderReport rejects unknown formats and falls back to the text layout", () => {
+  assert.throws(() => renderReport(report, "pdf"), /Unknown report format "pdf" \(available: text, mobile, json, csv, markdown, html\)\./);
+  assert.strictEqual(renderReport(report, "mobile"), renderText(report));
+  assert.strictEqual(renderReport(report, "mobile", { text: () => "custom" }), "custom");
+});
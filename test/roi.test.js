@@ -0,0 +1,76 @@
+const { UNTIL, assertClose } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasesMapping, analyzeAndFormatLocal, buildRoiReport, renderRoiMobile } = require('../anal_rc1');
+const { renderText } = require('../report_format');
+
+// With the replayed book the SDU price is the lowest ask of 0.02 ATLAS (the
+// 0.005 dust ask is below the floor) and ATLAS is 0.0025 USD. Rented Scout
+// pays 1 ATLAS a day, Idle Hauler 0.00125 USD (0.5 ATLAS) a day.
+const PRICE = 0.02;
+const ATLAS_USD = 0.0025;
+
+let result;
+test.before(async () => {
+  result = await analyzeAndFormatLocal(48, loadBasesMapping(), { until: UNTIL });
+});
+
+test("prices SDUs at the replayed lowest ask", () => {
+  assert.strictEqual(result.currentPrice, PRICE);
+  assert.strictEqual(result.atlasUsd, ATLAS_USD);
+  assert.strictEqual(result.priceInfo.quotes.sduBook.replayed, true);
+  assert.strictEqual(result.priceInfo.orderBook.bestBid, 0.018);
+});
+
+test("charges rent for the window and its last 24h", () => {
+  const { fleetData } = result;
+  assertClose(assert, fleetData["Rented Scout"].rent24h, 1, "Scout 24h rent");
+  assertClose(assert, fleetData["Rented Scout"].rentDynamic, 2, "Scout 48h rent");
+  assertClose(assert, fleetData["Idle Hauler"].rent24h, 0.5, "Hauler 24h rent");
+  assertClose(assert, fleetData["Idle Hauler"].rentDynamic, 1, "Hauler 48h rent");
+  assert.strictEqual(fleetData["Owned Miner"].rent24h, null);
+});
+
+test("splits net profits into rented and owned fleets", () => {
+  // Rented: 100 SDUs (70 in 24h) against 3 ATLAS (1.5 in 24h) of rent.
+  // Owned: Owned Miner and Stray, 45 SDUs (30 in 24h).
+  assertClose(assert, result.totalVal24h, 100 * PRICE, "totalVal24h");
+  assertClose(assert, result.totalRent24h, 1.5, "totalRent24h");
+  assertClose(assert, result.netRented24h, 70 * PRICE - 1.5, "netRented24h");
+  assertClose(assert, result.netRentedDynamic, 100 * PRICE - 3, "netRentedDynamic");
+  assertClose(assert, result.netOwned24h, 30 * PRICE, "netOwned24h");
+  assertClose(assert, result.netOwnedDynamic, 45 * PRICE, "netOwnedDynamic");
+  assertClose(assert, result.net24h, 100 * PRICE - 1.5, "net24h");
+  assertClose(assert, result.netDynamic, 145 * PRICE - 3, "netDynamic");
+  assert.strictEqual(result.operating, null);
+});
+
+test("values scans at recorded prices as well as at the current one", () => {
+  const { valuation } = result;
+  assertClose(assert, valuation.markDynamic, 145 * PRICE, "markDynamic");
+  // 45 SDUs scanned at 0.01 on 2025-03-31, 100 at 0.03 on 2025-04-01.
+  assertClose(assert, valuation.realizedDynamic, 45 * 0.01 + 100 * 0.03, "realizedDynamic");
+  assertClose(assert, valuation.realizedUsdDynamic, valuation.realizedDynamic * ATLAS_USD, "realizedUsdDynamic");
+});
+
+test("text format lists every fleet and the net profits", () => {
+  const text = renderText(buildRoiReport(result, 48));
+  assert.match(text, /SDU Breakdown \(Last 48h\)/);
+  assert.match(text, /Rented Scout\s+Alpha\s+100\s+2\.00\s+2\.40\s+70\s+1\.40\s+1\s+140%\s+active/);
+  assert.match(text, /Owned Miner\s+Beta\s+40\s+0\.80\s+0\.90\s+25\s+0\.50\s+N\/A\s+N\/A/);
+  assert.match(text, /Idle Hauler\s+0\s+0\.00\s+0\.00\s+0\s+0\.00\s+0\.5\s+0%\s+never seen/);
+  assert.match(text, /Rented\s+-0\.10\s+-0\.00\s+-1\.00\s+-0\.00\s+93%/);
+  assert.match(text, /Owned\s+0\.60\s+0\.00\s+0\.90\s+0\.00\s+N\/A/);
+  assert.match(text, /Overall\s+0\.50\s+0\.00\s+-0\.10\s+-0\.00\s+133%/);
+  assert.match(text, /Realized at scan-time price:\s+3\.45 ATLAS/);
+  assert.match(text, /Current SDU Price \(best ask\): 0\.02 ATLAS/);
+  assert.match(text, /⚠️ SDU price replayed from a recorded fixture/);
+});
+
+test("mobile format shows rented fleets only", () => {
+  const mobile = renderRoiMobile(buildRoiReport(result, 48));
+  assert.match(mobile, /• Rented Scout \(Alpha\)\n {3}ROI: {2}140%\n {3}24h: {2}1\.40 ATLAS\n {3}48h: 2\.00 ATLAS/);
+  assert.match(mobile, /• Idle Hauler \(\)\n {3}⚠️ never seen/);
+  assert.doesNotMatch(mobile, /Owned Miner|Stray/);
+  assert.match(mobile, /• Overall\n {4}24h: {5}0\.50 ATLAS \(0\.00 USD\)\n {4}Last 48h: -0\.10 ATLAS \(-0\.00 USD\)/);
+});
@@ -0,0 +1,59 @@
+const { UNTIL, runCli } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES } = require('../scan_analyzer');
+
+const SCAN_ANALYZER = path.join(__dirname, "..", "scan_analyzer.js");
+
+for (const key of ["REPORT_TIMEZONE", "SCAN_LOG_TIMEZONE"]) {
+  test(`an invalid ${key} is a usage error`, () => {
+    const result = spawnSync(process.execPath, [SCAN_ANALYZER, "roi", "--offline"], {
+      env: { ...process.env, [key]: "Mars/Olympus" },
+      encoding: "utf8"
+    });
+    assert.strictEqual(result.status, EXIT_CODES.USAGE);
+    assert.match(result.stderr, new RegExp(`^Invalid ${key} "Mars/Olympus": use an IANA time zone`));
+  });
+}
+
+test("only windowed reports note their window", async t => {
+  const until = UNTIL.toISOString();
+  const price = await runCli(t, ["price", "--window", "yesterday", "--until", until, "--offline", "--format", "json"]);
+  assert.strictEqual(price.code, EXIT_CODES.OK);
+  const report = JSON.parse(price.stdout);
+  assert.strictEqual(report.meta.window, undefined);
+  assert.ok(!report.sections.some(section => section.id === "window"));
+
+  const sectors = await runCli(t, ["sectors", "--window", "yesterday", "--until", until, "--offline"]);
+  assert.strictEqual(sectors.code, EXIT_CODES.OK);
+  assert.match(sectors.stdout, /Window: yesterday: 2025-04-01 00:00 - 2025-04-02 00:00 \(UTC\)/);
+});
+
+test("mobile layouts keep the window and data quality footers", async t => {
+  for (const command of ["roi", "efficiency"]) {
+    const result = await runCli(t, [command, "--window", "yesterday", "--until", UNTIL.toISOString(), "--offline", "--format", "mobile"]);
+    assert.strictEqual(result.code, EXIT_CODES.OK);
+    assert.match(result.stdout, /\n\nWindow: yesterday: 2025-04-01 00:00 - 2025-04-02 00:00 \(UTC\)\n\n⚠️ Coordinates missing from \.bases: 9_9\./);
+  }
+});
+
+test("an unknown price mode is a usage error", async t => {
+  const flag = await runCli(t, ["roi", "--price-mode", "last", "--offline"]);
+  assert.strictEqual(flag.code, EXIT_CODES.USAGE);
+  assert.match(flag.stderr, /^Unknown --price-mode "last" \(available: ask, bid, vwap, mid\)/);
+
+  const env = spawnSync(process.execPath, [SCAN_ANALYZER, "roi", "--offline"], {
+    env: { ...process.env, SDU_PRICE_MODE: "last" },
+    encoding: "utf8"
+  });
+  assert.strictEqual(env.status, EXIT_CODES.USAGE);
+  assert.match(env.stderr, /^Unknown SDU_PRICE_MODE "last"/);
+});
+
+test("--price-mode picks the price the report values SDUs at", async t => {
+  const result = await runCli(t, ["roi", "--since", "48h", "--until", UNTIL.toISOString(), "--price-mode", "bid", "--offline", "--format", "json"]);
+  assert.strictEqual(result.code, EXIT_CODES.OK);
+  assert.strictEqual(JSON.parse(result.stdout).meta.currentPrice, 0.018);
+});
@@ -0,0 +1,168 @@
+const { DATA_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+// Rows more than 1ms ahead of the clock are held back.
+process.env.SCAN_FUTURE_TOLERANCE_MS = "1";
+// Keys of rows more than an hour older than the fleet's latest scan are forgotten.
+process.env.SCAN_DUPLICATE_WINDOW_HOURS = "1";
+const { storePathFor, readStore, ingestScanLog, loadScanBuckets, bucketBetween, bucketScanTimes } = require('../scan_store');
+const { REASONS, WARNINGS } = require('../scan_schema');
+
+const SCAN_STORE = path.join(__dirname, "..", "scan_store.js");
+
+// A log long enough for two runs' parsing to overlap: `rows` scans, one a
+// minute, by three fleets.
+function writeLog(name, rows) {
+  const file = path.join(DATA_DIR, name);
+  const start = Date.UTC(2025, 2, 1);
+  const lines = ["Timestamp,Fleet Name,SDU Count,Starbase Coordinate"];
+  for (let i = 0; i < rows; i++) {
+    lines.push(`${new Date(start + i * 60 * 1000).toISOString()},Fleet ${i % 3},${i % 5},1_${i % 3}`);
+  }
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+  return file;
+}
+
+function storedScans(csvFile) {
+  let scans = 0;
+  readStore(storePathFor(csvFile)).buckets.forEach(bucket => { scans += bucket.scans; });
+  return scans;
+}
+
+function runIngest(csvFile) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SCAN_STORE, csvFile], { stdio: "ignore" });
+    child.on("error", reject);
+    child.on("exit", resolve);
+  });
+}
+
+test("two ingestion processes at once store every scan once", async () => {
+  const csvFile = writeLog("concurrent.csv", 20000);
+  const codes = await Promise.all([runIngest(csvFile), runIngest(csvFile)]);
+  assert.deepStrictEqual(codes, [0, 0]);
+  assert.strictEqual(storedScans(csvFile), 20000);
+  assert.strictEqual(fs.existsSync(storePathFor(csvFile) + ".lock"), false);
+});
+
+test("waits for a lock held by a running process", async () => {
+  const csvFile = writeLog("held.csv", 9);
+  const lockPath = storePathFor(csvFile) + ".lock";
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }));
+
+  let done = false;
+  const ingest = ingestScanLog(csvFile).then(scans => { done = true; return scans; });
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.strictEqual(done, false);
+  fs.rmSync(lockPath);
+  assert.strictEqual(await ingest, 9);
+});
+
+test("takes over the lock of a process that is gone", async () => {
+  const csvFile = writeLog("stale.csv", 9);
+  const lockPath = storePathFor(csvFile) + ".lock";
+  const { pid } = spawnSync(process.execPath, ["-e", ""]);
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  fs.writeFileSync(lockPath, JSON.stringify({ pid, at: new Date().toISOString() }));
+
+  assert.strictEqual(await ingestScanLog(csvFile), 9);
+  assert.strictEqual(storedScans(csvFile), 9);
+  assert.strictEqual(fs.existsSync(lockPath), false);
+});
+
+const HEADER = "Timestamp,Fleet Name,SDU Count,Starbase Coordinate\n";
+
+test("rejects a row repeated anywhere in the log, across runs", async () => {
+  const csvFile = path.join(DATA_DIR, "repeats.csv");
+  fs.writeFileSync(csvFile, HEADER +
+    "2025-03-01T00:00:00Z,Scout,3,1_1\n" +
+    "2025-03-01T00:20:00Z,Scout,4,1_1\n" +
+    "2025-03-01T00:00:00Z,Scout,3,1_1\n");
+  assert.strictEqual(await ingestScanLog(csvFile), 2);
+  fs.appendFileSync(csvFile, "2025-03-01T00:20:00Z,Scout,4,1_1\n2025-03-01T00:20:00Z,Miner,4,1_1\n");
+  assert.strictEqual(await ingestScanLog(csvFile), 1);
+  assert.strictEqual(storedScans(csvFile), 3);
+  const rejected = readStore(storePathFor(csvFile)).quality.reduce((sum, record) => sum + (record.rejected[REASONS.DUPLICATE] || 0), 0);
+  assert.strictEqual(rejected, 2);
+});
+
+test("holds rows dated in the future back until they are due", async () => {
+  const csvFile = path.join(DATA_DIR, "future.csv");
+  const due = new Date(Date.now() + 1000);
+  fs.writeFileSync(csvFile, HEADER + `${due.toISOString()},Scout,5,1_1\n2099-01-01T00:00:00Z,Scout,5,1_1\n`);
+  assert.strictEqual(await ingestScanLog(csvFile), 0);
+  const { checkpoint, quality } = readStore(storePathFor(csvFile));
+  assert.strictEqual(checkpoint.pending.length, 1);
+  assert.strictEqual(quality[0].warnings[WARNINGS.HELD_BACK], 1);
+  assert.strictEqual(quality[0].rejected[REASONS.FUTURE_TIMESTAMP], 1);
+
+  await new Promise(resolve => setTimeout(resolve, due - Date.now() + 50));
+  assert.strictEqual(await ingestScanLog(csvFile), 1);
+  assert.strictEqual(storedScans(csvFile), 1);
+  assert.deepStrictEqual(readStore(storePathFor(csvFile)).checkpoint.pending, []);
+});
+
+test("cuts a bucket at a window edge by its scans' own times", async () => {
+  const csvFile = path.join(DATA_DIR, "edge.csv");
+  fs.writeFileSync(csvFile, HEADER +
+    "2025-03-01T00:10:00Z,Scout,10,1_1\n" +
+    "2025-03-01T00:20:00Z,Scout,0,1_1\n" +
+    "2025-03-01T00:50:00Z,Scout,2,1_1\n");
+  const [bucket] = await loadScanBuckets({ csvFile });
+  const part = bucketBetween(bucket, new Date("2025-03-01T00:15:00Z"), new Date("2025-03-01T00:55:00Z"));
+  assert.deepStrictEqual(
+    { scans: part.scans, successful: part.successful, SDUs: part.SDUs },
+    { scans: 2, successful: 1, SDUs: 2 }
+  );
+  assert.strictEqual(part.first, Date.parse("2025-03-01T00:20:00Z"));
+  assert.deepStrictEqual(bucketScanTimes(bucket), [10, 20, 50].map(minute => Date.UTC(2025, 2, 1, 0, minute)));
+});
+
+test("compacted stores are read from the window's first hour on", async () => {
+  const csvFile = writeLog("indexed.csv", 10000);
+  await ingestScanLog(csvFile);
+  const storePath = storePathFor(csvFile);
+  const index = JSON.parse(fs.readFileSync(storePath + ".idx", "utf8"));
+  assert.strictEqual(index.size, fs.statSync(storePath).size);
+
+  const lastHour = index.hours[index.hours.length - 1][0];
+  const recent = readStore(storePath, lastHour);
+  assert.deepStrictEqual(new Set([...recent.buckets.values()].map(bucket => bucket.hour)), new Set([lastHour]));
+  assert.ok(recent.checkpoint);
+
+  const since = new Date(lastHour - 5.5 * 60 * 60 * 1000);
+  const windowed = await loadScanBuckets({ csvFile, since });
+  const whole = (await loadScanBuckets({ csvFile })).filter(bucket => bucket.last >= since.getTime());
+  assert.deepStrictEqual(windowed, whole);
+});
+
+test("keeps a bucket's scans in time order when rows arrive out of order", async () => {
+  const csvFile = path.join(DATA_DIR, "unordered.csv");
+  fs.writeFileSync(csvFile, HEADER +
+    "2025-03-01T00:40:00Z,Scout,4,1_1\n" +
+    "2025-03-01T00:10:00Z,Scout,1,1_1\n");
+  await ingestScanLog(csvFile);
+  fs.appendFileSync(csvFile, "2025-03-01T00:20:00Z,Scout,2,1_1\n2025-03-01T00:50:00Z,Scout,5,1_1\n");
+  const [bucket] = await loadScanBuckets({ csvFile });
+  assert.deepStrictEqual(bucket.detail.map(([offset, SDUs]) => [offset / 60000, SDUs]), [[10, 1], [20, 2], [40, 4], [50, 5]]);
+  assert.strictEqual(bucketBetween(bucket, new Date("2025-03-01T00:15:00Z"), new Date("2025-03-01T00:45:00Z")).SDUs, 6);
+});
+
+test("checks rows older than the remembered keys against the store", async () => {
+  const csvFile = path.join(DATA_DIR, "old_repeats.csv");
+  fs.writeFileSync(csvFile, HEADER + "2025-03-01T00:00:00Z,Scout,3,1_1\n2025-03-01T05:00:00Z,Scout,4,1_1\n");
+  assert.strictEqual(await ingestScanLog(csvFile), 2);
+  assert.deepStrictEqual(readStore(storePathFor(csvFile)).checkpoint.seen, ["1740805200000|Scout"]);
+
+  fs.appendFileSync(csvFile, "2025-03-01T00:00:00Z,Scout,3,1_1\n2025-03-01T01:00:00Z,Scout,2,1_1\n");
+  assert.strictEqual(await ingestScanLog(csvFile), 1);
+  assert.strictEqual(storedScans(csvFile), 3);
+  const [, latest] = readStore(storePathFor(csvFile)).quality;
+  assert.deepStrictEqual(latest.rejected, { [REASONS.DUPLICATE]: 1 });
+  assert.deepStrictEqual(latest.warnings, { [WARNINGS.OUT_OF_ORDER]: 1 });
+});
@@ -0,0 +1,48 @@
+const { DATA_DIR } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { storePathFor } = require('../scan_store');
+const { processSectors, rankSectors } = require('../sectors');
+
+const HOUR = Date.UTC(2025, 2, 1, 0);
+const MINUTE_MS = 60 * 1000;
+
+// Two rollups from before buckets listed their scans: two scans each, one
+// on either side of the window start, so each counts for half its SDUs.
+function legacyBucket(fleet) {
+  return { type: "bucket", hour: HOUR, fleet, coord: "1_1", scans: 2, successful: 2, SDUs: 3, first: HOUR, last: HOUR + 40 * MINUTE_MS };
+}
+
+test("rounds each sector's prorated totals once", async () => {
+  const csvFile = path.join(DATA_DIR, "legacy.csv");
+  fs.writeFileSync(csvFile, "Timestamp,Fleet Name,SDU Count,Starbase Coordinate\n");
+  const { dev, ino, size } = fs.statSync(csvFile);
+  const checkpoint = { type: "checkpoint", file: csvFile, dev, ino, offset: size, header: ["Timestamp", "Fleet Name", "SDU Count", "Starbase Coordinate"] };
+  const storePath = storePathFor(csvFile);
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, [legacyBucket("Scout"), legacyBucket("Miner"), checkpoint].map(line => JSON.stringify(line)).join("\n") + "\n");
+
+  const until = new Date(HOUR + 24 * 60 * MINUTE_MS);
+  const sectors = await processSectors(23.5, {}, csvFile, { until });
+  assert.strictEqual(sectors["1_1"].scans, 2);
+  assert.strictEqual(sectors["1_1"].SDUs, 3);
+});
+
+test("scans per hour are per hour a fleet stayed at the sector", async () => {
+  const csvFile = path.join(DATA_DIR, "occupancy.csv");
+  fs.writeFileSync(csvFile, "Timestamp,Fleet Name,SDU Count,Starbase Coordinate\n" +
+    // Scout scans 1_1 once and moves on to 2_2 six hours later.
+    "2025-03-01T00:00:00Z,Scout,1,1_1\n" +
+    "2025-03-01T06:00:00Z,Scout,1,2_2\n" +
+    // Miner sits at 3_3 from its first scan to the end of the window.
+    "2025-03-01T12:00:00Z,Miner,1,3_3\n" +
+    "2025-03-01T18:00:00Z,Miner,1,3_3\n");
+  const until = new Date("2025-03-02T00:00:00Z");
+  const ranked = rankSectors(await processSectors(24, {}, csvFile, { until }));
+  const rate = coord => ranked.find(sector => sector.coord === coord).scansPerHour;
+  assert.strictEqual(rate("1_1"), 1 / 6);
+  assert.strictEqual(rate("2_2"), 1 / 18);
+  assert.strictEqual(rate("3_3"), 2 / 12);
+});
@@ -0,0 +1,65 @@
+const { DATA_DIR, assertClose } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadOrderBookFixture, simulateMarketSell, buildLadder, planSale, buildSellPlanReport } = require('../sell_planner');
+const { getQuote } = require('../price_providers');
+const { renderText } = require('../report_format');
+
+const SAMPLE_BOOK = path.join(__dirname, "..", "order_book.sample.json");
+const FEE = 0.06;
+
+test("a sale larger than the bids fills partially", () => {
+  // Bids: 100 at 0.0018, 400 at 0.0015, 200 at 0.001.
+  const { book, atlasUsd } = loadOrderBookFixture(SAMPLE_BOOK);
+  const market = simulateMarketSell(book, 1000, FEE);
+  assert.strictEqual(market.filled, 700);
+  assert.strictEqual(market.unfilled, 300);
+  assertClose(assert, market.gross, 0.98, "gross");
+  assertClose(assert, market.vwap, 0.0014, "vwap");
+  assertClose(assert, market.slippagePct, (0.0004 / 0.0018) * 100, "slippage");
+  assertClose(assert, market.net, 0.98 * (1 - FEE), "net");
+
+  const text = renderText(buildSellPlanReport(planSale(book, 1000, { atlasUsd, feeRate: FEE }), { source: "--amount" }));
+  assert.match(text, /Filled:\s+700 of 1000 SDUs/);
+  assert.match(text, /⚠️ The bids take only 700 SDUs; 300 would stay unsold\./);
+});
+
+test("an empty book sells nothing and has no ladder", () => {
+  const emptyBook = path.join(DATA_DIR, "empty_book.json");
+  fs.writeFileSync(emptyBook, JSON.stringify({ asks: [], bids: [] }));
+  const { book, atlasUsd } = loadOrderBookFixture(emptyBook);
+  assert.strictEqual(atlasUsd, null);
+  const plan = planSale(book, 50, { atlasUsd: 0.0025, feeRate: FEE });
+  assert.deepStrictEqual(
+    { bestAsk: plan.bestAsk, bestBid: plan.bestBid, filled: plan.market.filled, vwap: plan.market.vwap, net: plan.market.net },
+    { bestAsk: null, bestBid: null, filled: 0, vwap: null, net: 0 }
+  );
+  assert.deepStrictEqual(plan.ladder, []);
+  const text = renderText(buildSellPlanReport(plan, { source: "--amount" }));
+  assert.match(text, /No asks listed to undercut\./);
+  assert.match(text, /Best bid:\s+N\/A/);
+});
+
+test("ladder prices are rounded down to ATLAS's 8 decimals", async () => {
+  // The replayed book's lowest ask is 0.02; 0.02 * 0.96 must not come out
+  // as 0.01919999.
+  const { value: book } = await getQuote("sduBook");
+  const ladder = buildLadder(book, 10, { steps: [4, 0.5, 2, 1], feeRate: FEE });
+  assert.deepStrictEqual(ladder.map(rung => [rung.step, rung.price, rung.quantity]), [
+    [0.5, 0.0199, 3],
+    [1, 0.0198, 3],
+    [2, 0.0196, 2],
+    [4, 0.0192, 2]
+  ]);
+  assert.ok(ladder.every(rung => rung.asksAhead === 0 && !rung.crossesBid));
+
+  // 0.002 less 2/3% is 0.0019866666...: rounded down, not to the nearest.
+  const { book: sample } = loadOrderBookFixture(SAMPLE_BOOK);
+  const [rung] = buildLadder(sample, 5, { steps: [2 / 3], feeRate: FEE });
+  assert.strictEqual(rung.price, 0.00198666);
+  // The lowest ask, 0.002, is above the rung.
+  assert.strictEqual(rung.asksAhead, 0);
+  assert.strictEqual(rung.crossesBid, false);
+});
@@ -0,0 +1,67 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { startOf, addCalendar, parseTimestamp, resolveWindow, describeWindow } = require('../windows');
+const { parseCliArgs } = require('../scan_analyzer');
+
+const BERLIN = "Europe/Berlin";
+const iso = time => new Date(time).toISOString();
+
+// Wednesday; Berlin went from CET to CEST on Sunday 2025-03-30.
+const NOW = new Date("2025-04-02T10:00:00Z");
+
+test("calendar windows follow the zone's midnights across a DST change", () => {
+  const lastWeek = resolveWindow("last-week", { now: NOW, timeZone: BERLIN });
+  assert.strictEqual(lastWeek.kind, "calendar");
+  assert.deepStrictEqual([iso(lastWeek.since), iso(lastWeek.until)], ["2025-03-23T23:00:00.000Z", "2025-03-30T22:00:00.000Z"]);
+  assert.strictEqual((lastWeek.until - lastWeek.since) / 3600000, 167);
+  // Its 24h figures are its last calendar day, 23 hours long.
+  assert.deepStrictEqual([iso(lastWeek.day.since), iso(lastWeek.day.until)], ["2025-03-29T23:00:00.000Z", "2025-03-30T22:00:00.000Z"]);
+  assert.strictEqual(describeWindow(lastWeek), "last-week: 2025-03-24 00:00 - 2025-03-31 00:00 (Europe/Berlin)");
+
+  const today = resolveWindow("today", { now: NOW, timeZone: BERLIN });
+  assert.deepStrictEqual([iso(today.since), iso(today.until)], ["2025-04-01T22:00:00.000Z", iso(NOW)]);
+  const lastMonth = resolveWindow("last-month", { now: NOW, timeZone: "UTC" });
+  assert.deepStrictEqual([iso(lastMonth.since), iso(lastMonth.until)], ["2025-03-01T00:00:00.000Z", "2025-04-01T00:00:00.000Z"]);
+});
+
+test("cycle windows count GAME_CYCLE_HOURS from GAME_CYCLE_ANCHOR", () => {
+  // The default anchor is Monday 2024-01-01 00:00 UTC, the length a week.
+  const cycle = resolveWindow("cycle", { now: NOW, timeZone: "UTC" });
+  assert.deepStrictEqual([cycle.kind, iso(cycle.since), iso(cycle.until)], ["cycle", "2025-03-31T00:00:00.000Z", iso(NOW)]);
+  const last = resolveWindow("last-cycle", { now: NOW, timeZone: "UTC" });
+  assert.deepStrictEqual([iso(last.since), iso(last.until)], ["2025-03-24T00:00:00.000Z", "2025-03-31T00:00:00.000Z"]);
+  assert.strictEqual(iso(last.day.since), "2025-03-30T00:00:00.000Z");
+  assert.strictEqual(resolveWindow("fortnight", { now: NOW }), null);
+});
+
+test("startOf and addCalendar go by the wall clock", () => {
+  const sunday = Date.parse("2025-03-30T12:00:00Z");
+  assert.strictEqual(iso(startOf(sunday, "day", BERLIN)), "2025-03-29T23:00:00.000Z");
+  assert.strictEqual(iso(startOf(sunday, "week", BERLIN)), "2025-03-23T23:00:00.000Z");
+  assert.strictEqual(iso(startOf(sunday, "month", BERLIN)), "2025-02-28T23:00:00.000Z");
+  assert.strictEqual(iso(addCalendar(startOf(sunday, "day", BERLIN), "day", 1, BERLIN)), "2025-03-30T22:00:00.000Z");
+  // When the clocks go back, 02:30 comes twice; each is in its own hour.
+  assert.strictEqual(iso(startOf(Date.parse("2025-10-26T00:30:00Z"), "hour", BERLIN)), "2025-10-26T00:00:00.000Z");
+  assert.strictEqual(iso(startOf(Date.parse("2025-10-26T01:30:00Z"), "hour", BERLIN)), "2025-10-26T01:00:00.000Z");
+  // Half-hour offsets: 16:15 in Kolkata is 10:45 UTC.
+  assert.strictEqual(iso(startOf(Date.parse("2025-04-01T10:45:00Z"), "hour", "Asia/Kolkata")), "2025-04-01T10:30:00.000Z");
+});
+
+test("parses zoneless timestamps in the given zone", () => {
+  assert.strictEqual(iso(parseTimestamp("2025-04-01 06:00", BERLIN)), "2025-04-01T04:00:00.000Z");
+  assert.strictEqual(iso(parseTimestamp("2025-01-15", BERLIN)), "2025-01-14T23:00:00.000Z");
+  assert.strictEqual(iso(parseTimestamp("2025-04-01T06:00:00.5", "UTC")), "2025-04-01T06:00:00.500Z");
+  // A zone or offset wins over the default.
+  assert.strictEqual(iso(parseTimestamp("2025-04-01T06:00:00+01:00", BERLIN)), "2025-04-01T05:00:00.000Z");
+  // 02:30 did not happen on 2025-03-30; it is read as 02:30 CET.
+  assert.strictEqual(iso(parseTimestamp("2025-03-30 02:30", BERLIN)), "2025-03-30T01:30:00.000Z");
+  assert.ok(isNaN(parseTimestamp("yesterday-ish", BERLIN)));
+});
+
+test("a relative --since is a rolling window, a date an explicit one", () => {
+  const relative = parseCliArgs(["roi", "--since", "48h"], NOW);
+  assert.deepStrictEqual([relative.window.kind, relative.window.name, relative.hours], ["rolling", "48h", 48]);
+  const dated = parseCliArgs(["roi", "--since", "2025-04-01"], NOW);
+  assert.deepStrictEqual([dated.window.kind, iso(dated.since)], ["explicit", "2025-04-01T00:00:00.000Z"]);
+});
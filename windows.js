@@ -0,0 +1,235 @@
+require('dotenv').config();
+
+// One model for report windows, [since, until):
+//   rolling    30m, 36h, 7d, 2w ending at `until` (default: now), given as
+//              --window or a relative --since
+//   calendar   today, yesterday, this-week, last-week, this-month, last-month
+//              in REPORT_TIMEZONE; weeks start on Monday
+//   cycle      cycle, last-cycle: GAME_CYCLE_HOURS-long periods counted from
+//              GAME_CYCLE_ANCHOR
+//   explicit   --since <date/time> [--until]
+// Every window also has a `day`: the last 24h of a rolling or explicit
+// window, or the last calendar day of a calendar or cycle window. Reports
+// use it for their "24h" figures, so those always sit inside the window.
+// Zoneless timestamps (e.g. "2025-04-01" or "2025-04-01 06:00") are read in
+// REPORT_TIMEZONE on the command line and in SCAN_LOG_TIMEZONE in the log.
+const SYSTEM_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || SYSTEM_TIMEZONE;
+const SCAN_LOG_TIMEZONE = process.env.SCAN_LOG_TIMEZONE || SYSTEM_TIMEZONE;
+// Monday 2024-01-01 00:00 UTC: weekly cycles starting Mondays at midnight UTC.
+const GAME_CYCLE_ANCHOR = process.env.GAME_CYCLE_ANCHOR || "2024-01-01T00:00:00Z";
+const GAME_CYCLE_HOURS = parseFloat(process.env.GAME_CYCLE_HOURS) || 168;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const DURATION_UNITS = { m: MINUTE_MS, h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+
+const CALENDAR_WINDOWS = ["today", "yesterday", "this-week", "last-week", "this-month", "last-month"];
+const CYCLE_WINDOWS = ["cycle", "last-cycle"];
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+      weekday: "short"
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Wall-clock fields of `time` (ms) in `timeZone`; month is 1-based and
+// weekday 0 is Sunday.
+function zonedParts(time, timeZone = REPORT_TIMEZONE) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// How far `timeZone`'s wall clock is ahead of UTC at `time`.
+function zoneOffsetMs(time, timeZone) {
+  const p = zonedParts(time, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(time / 1000) * 1000;
+}
+
+// The instant the wall clock in `timeZone` shows the given fields. Fields
+// may overflow (day 32, hour -1) like Date.UTC's. Times skipped by a DST
+// change resolve to the same wall time before the change.
+function zonedTime({ year, month, day = 1, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone = REPORT_TIMEZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const guess = wall - zoneOffsetMs(wall, timeZone);
+  return wall - zoneOffsetMs(guess, timeZone);
+}
+
+// Start of the hour, day, week (Monday) or month containing `time`.
+function startOf(time, unit, timeZone = REPORT_TIMEZONE) {
+  const p = zonedParts(time, timeZone);
+  switch (unit) {
+    case "hour":
+      // Offsets are not always whole hours, so go by the wall clock's
+      // minutes; rebuilding the wall time would pick the wrong one of the
+      // two 02:00s when the clocks go back.
+      return time - ((p.minute * 60 + p.second) * 1000 + time % 1000);
+    case "day":
+      return zonedTime({ year: p.year, month: p.month, day: p.day }, timeZone);
+    case "week":
+      return zonedTime({ year: p.year, month: p.month, day: p.day - ((p.weekday + 6) % 7) }, timeZone);
+    case "month":
+      return zonedTime({ year: p.year, month: p.month }, timeZone);
+    default:
+      throw new Error(`Unknown unit "${unit}"`);
+  }
+}
+
+// `time` moved by `count` hours, calendar days, weeks or months.
+function addCalendar(time, unit, count, timeZone = REPORT_TIMEZONE) {
+  if (unit === "hour") return time + count * HOUR_MS;
+  const p = zonedParts(time, timeZone);
+  if (unit === "day") return zonedTime({ ...p, day: p.day + count }, timeZone);
+  if (unit === "week") return zonedTime({ ...p, day: p.day + 7 * count }, timeZone);
+  if (unit === "month") return zonedTime({ ...p, month: p.month + count }, timeZone);
+  throw new Error(`Unknown unit "${unit}"`);
+}
+
+const ZONELESS = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/;
+
+// A timestamp as a Date; one without a zone or offset is wall-clock time
+// in `timeZone`. Invalid input gives an Invalid Date, like new Date().
+function parseTimestamp(value, timeZone = REPORT_TIMEZONE) {
+  const text = String(value).trim();
+  const match = ZONELESS.exec(text);
+  if (!match) return new Date(text);
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = "0"] = match;
+  return new Date(zonedTime({
+    year: +year,
+    month: +month,
+    day: +day,
+    hour: +hour,
+    minute: +minute,
+    second: +second,
+    ms: parseInt(fraction.padEnd(3, "0").slice(0, 3), 10)
+  }, timeZone));
+}
+
+// Milliseconds in a rolling window spec such as "36h", or null.
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)([mhdw])$/.exec(value);
+  return match ? parseFloat(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+function makeWindow(kind, name, since, until, day, timeZone) {
+  return {
+    kind,
+    name,
+    since: new Date(since),
+    until: new Date(until),
+    day: { since: new Date(Math.max(since, day)), until: new Date(until) },
+    timeZone
+  };
+}
+
+// [since, until) with the last 24h of it as `day`.
+function explicitWindow(since, until, timeZone = REPORT_TIMEZONE) {
+  return makeWindow("explicit", null, since.getTime(), until.getTime(), until.getTime() - DAY_MS, timeZone);
+}
+
+function rollingWindow(hours, until = new Date(), timeZone = REPORT_TIMEZONE) {
+  const end = until.getTime();
+  return makeWindow("rolling", `${hours}h`, end - hours * HOUR_MS, end, end - DAY_MS, timeZone);
+}
+
+function cycleStart(time) {
+  const anchor = new Date(GAME_CYCLE_ANCHOR).getTime();
+  const length = GAME_CYCLE_HOURS * HOUR_MS;
+  return anchor + Math.floor((time - anchor) / length) * length;
+}
+
+/**
+ * The window a spec names, as of `now`: { kind, name, since, until, day:
+ * { since, until }, timeZone }. Current calendar and cycle periods end at
+ * `now`. Returns null for specs it does not know.
+ */
+function resolveWindow(spec, { now = new Date(), timeZone = REPORT_TIMEZONE } = {}) {
+  const end = now.getTime();
+  const duration = parseDuration(spec);
+  if (duration !== null) return makeWindow("rolling", spec, end - duration, end, end - DAY_MS, timeZone);
+
+  if (CALENDAR_WINDOWS.includes(spec)) {
+    const [which, unit] = spec === "today" ? ["this", "day"] : spec === "yesterday" ? ["last", "day"] : spec.split("-");
+    const current = startOf(end, unit, timeZone);
+    const since = which === "this" ? current : addCalendar(current, unit, -1, timeZone);
+    const until = which === "this" ? end : current;
+    return makeWindow("calendar", spec, since, until, startOf(until - 1, "day", timeZone), timeZone);
+  }
+
+  if (CYCLE_WINDOWS.includes(spec)) {
+    const current = cycleStart(end);
+    const since = spec === "cycle" ? current : current - GAME_CYCLE_HOURS * HOUR_MS;
+    const until = spec === "cycle" ? end : current;
+    return makeWindow("cycle", spec, since, until, startOf(until - 1, "day", timeZone), timeZone);
+  }
+  return null;
+}
+
+// "2025-04-01 06:00" in `timeZone`.
+function formatZoned(date, timeZone = REPORT_TIMEZONE) {
+  const p = zonedParts(date.getTime(), timeZone);
+  const pad = n => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// "yesterday: 2025-04-01 00:00 - 2025-04-02 00:00 (Europe/Berlin)"
+function describeWindow(window) {
+  const range = `${formatZoned(window.since, window.timeZone)} - ${formatZoned(window.until, window.timeZone)} (${window.timeZone})`;
+  return window.name ? `${window.name}: ${range}` : range;
+}
+
+module.exports = {
+  REPORT_TIMEZONE,
+  SCAN_LOG_TIMEZONE,
+  CALENDAR_WINDOWS,
+  CYCLE_WINDOWS,
+  isValidTimeZone,
+  zonedParts,
+  zonedTime,
+  startOf,
+  addCalendar,
+  parseTimestamp,
+  parseDuration,
+  explicitWindow,
+  rollingWindow,
+  resolveWindow,
+  formatZoned,
+  describeWindow
+};